@@ -24,6 +24,24 @@ const query = async (text, params) => {
   }
 };
 
+// Función para ejecutar varias queries en una misma transacción. `fn` recibe el
+// cliente (con su propio query); si lanza, se hace ROLLBACK y se relanza.
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(rollbackError => console.error('Error en ROLLBACK:', rollbackError.message));
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 // Función para crear todas las tablas
 const createTables = async () => {
   const createUsersTable = `
@@ -38,6 +56,26 @@ const createTables = async () => {
       created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
     );
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS verification_sent_at TIMESTAMP WITH TIME ZONE;
+    -- Las cuentas creadas con Google no tienen contraseña
+    ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret_key_version INTEGER;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_failed_attempts INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_failed_at TIMESTAMP WITH TIME ZONE;
+    -- Las cuentas anteriores a la verificación de email se dan por verificadas
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'email_verified_at'
+      ) THEN
+        ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE;
+        UPDATE users SET email_verified_at = created_at;
+      END IF;
+    END $$;
   `;
 
   const createSubscriptionsTable = `
@@ -53,6 +91,87 @@ const createTables = async () => {
       created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
     );
+    -- Período de gracia tras un impago o una cancelación y bajada al plan free
+    ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS grace_period_ends_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS grace_warning_sent_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS downgraded_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS data_archive_at TIMESTAMP WITH TIME ZONE;
+    -- Fecha (event.created) del último evento de Stripe aplicado, para ignorar los que llegan tarde
+    ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS stripe_event_created_at TIMESTAMP WITH TIME ZONE;
+  `;
+
+  const createOrganizationsTable = `
+    CREATE TABLE IF NOT EXISTS organizations (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      owner_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_organizations_owner ON organizations (owner_user_id);
+  `;
+
+  const createOrganizationMembersTable = `
+    CREATE TABLE IF NOT EXISTS organization_members (
+      id SERIAL PRIMARY KEY,
+      organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'analyst', 'viewer')),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(organization_id, user_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members (user_id);
+    -- Cada usuario que no pertenece a ninguna organización recibe la suya
+    INSERT INTO organizations (name, owner_user_id)
+    SELECT COALESCE(NULLIF(TRIM(u.company_name), ''), u.name), u.id FROM users u
+    WHERE NOT EXISTS (SELECT 1 FROM organization_members m WHERE m.user_id = u.id)
+      AND NOT EXISTS (SELECT 1 FROM organizations o WHERE o.owner_user_id = u.id);
+    INSERT INTO organization_members (organization_id, user_id, role)
+    SELECT id, owner_user_id, 'owner' FROM organizations
+    ON CONFLICT (organization_id, user_id) DO NOTHING;
+  `;
+
+  const createOrganizationInvitationsTable = `
+    CREATE TABLE IF NOT EXISTS organization_invitations (
+      id SERIAL PRIMARY KEY,
+      organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+      email VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'analyst', 'viewer')),
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      accepted_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_organization_invitations_org ON organization_invitations (organization_id);
+  `;
+
+  const createBusinessesTable = `
+    CREATE TABLE IF NOT EXISTS businesses (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_businesses_user ON businesses (user_id);
+    ALTER TABLE businesses ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE;
+    -- Los negocios anteriores a las organizaciones pasan a la organización de su usuario
+    UPDATE businesses b SET organization_id = o.id
+    FROM organizations o WHERE o.owner_user_id = b.user_id AND b.organization_id IS NULL;
+    ALTER TABLE businesses ALTER COLUMN organization_id SET NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_businesses_organization ON businesses (organization_id);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS current_business_id INTEGER REFERENCES businesses(id) ON DELETE SET NULL;
+    -- Cada organización tiene al menos un negocio, creado con su nombre
+    INSERT INTO businesses (user_id, organization_id, name)
+    SELECT o.owner_user_id, o.id, o.name FROM organizations o
+    WHERE NOT EXISTS (SELECT 1 FROM businesses b WHERE b.organization_id = o.id);
+    UPDATE users u SET current_business_id = (
+      SELECT MIN(b.id) FROM businesses b
+      JOIN organization_members m ON m.organization_id = b.organization_id
+      WHERE m.user_id = u.id
+    )
+    WHERE u.current_business_id IS NULL;
   `;
 
   const createIntegrationsTable = `
@@ -69,6 +188,26 @@ const createTables = async () => {
       created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
     );
+    ALTER TABLE integrations ADD COLUMN IF NOT EXISTS business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE;
+    UPDATE integrations i SET business_id = u.current_business_id
+    FROM users u WHERE u.id = i.user_id AND i.business_id IS NULL;
+    ALTER TABLE integrations ALTER COLUMN business_id SET NOT NULL;
+    -- Una integración de cada tipo por negocio (antes era por usuario). Si ya
+    -- hay duplicados se conserva la activa actualizada más recientemente.
+    DROP INDEX IF EXISTS idx_integrations_user_type;
+    DELETE FROM integrations i
+    USING integrations keep
+    WHERE keep.business_id = i.business_id
+      AND keep.integration_type = i.integration_type
+      AND keep.id <> i.id
+      AND (keep.is_active IS TRUE, COALESCE(keep.updated_at, '-infinity'), keep.id)
+        > (i.is_active IS TRUE, COALESCE(i.updated_at, '-infinity'), i.id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_integrations_business_type ON integrations (business_id, integration_type);
+    ALTER TABLE integrations ADD COLUMN IF NOT EXISTS credentials_key_version INTEGER;
+    ALTER TABLE integrations ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE integrations ADD COLUMN IF NOT EXISTS last_error TEXT;
+    ALTER TABLE integrations ADD COLUMN IF NOT EXISTS last_error_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE integrations ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0;
   `;
 
   const createDashboardDataTable = `
@@ -82,6 +221,39 @@ const createTables = async () => {
       period_end TIMESTAMP WITH TIME ZONE,
       created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
     );
+    ALTER TABLE dashboard_data ADD COLUMN IF NOT EXISTS business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE;
+    UPDATE dashboard_data d SET business_id = u.current_business_id
+    FROM users u WHERE u.id = d.user_id AND d.business_id IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_dashboard_data_business ON dashboard_data (business_id, created_at);
+  `;
+
+  const createDashboardDataArchiveTable = `
+    CREATE TABLE IF NOT EXISTS dashboard_data_archive (
+      id INTEGER PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      integration_id INTEGER REFERENCES integrations(id) ON DELETE CASCADE,
+      business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+      data_type VARCHAR(50) NOT NULL,
+      data_value JSONB NOT NULL,
+      period_start TIMESTAMP WITH TIME ZONE,
+      period_end TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE,
+      archived_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_dashboard_data_archive_user ON dashboard_data_archive (user_id);
+    CREATE TABLE IF NOT EXISTS daily_metrics_archive (
+      id INTEGER PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      integration_id INTEGER REFERENCES integrations(id) ON DELETE CASCADE,
+      integration_type VARCHAR(50) NOT NULL,
+      metric VARCHAR(50) NOT NULL,
+      metric_date DATE NOT NULL,
+      value NUMERIC(18, 4) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP WITH TIME ZONE,
+      updated_at TIMESTAMP WITH TIME ZONE,
+      archived_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_daily_metrics_archive_user ON daily_metrics_archive (user_id);
   `;
 
   const createAlertsTable = `
@@ -96,6 +268,182 @@ const createTables = async () => {
       data JSONB,
       created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
     );
+    -- Las alertas de cuenta (seguridad, facturación) no tienen negocio
+    ALTER TABLE alerts ADD COLUMN IF NOT EXISTS business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE;
+  `;
+
+  const createDailyMetricsTable = `
+    CREATE TABLE IF NOT EXISTS daily_metrics (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      integration_id INTEGER REFERENCES integrations(id) ON DELETE CASCADE,
+      integration_type VARCHAR(50) NOT NULL,
+      metric VARCHAR(50) NOT NULL,
+      metric_date DATE NOT NULL,
+      value NUMERIC(18, 4) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, integration_id, metric, metric_date)
+    );
+    CREATE INDEX IF NOT EXISTS idx_daily_metrics_user_date ON daily_metrics (user_id, metric_date);
+    CREATE INDEX IF NOT EXISTS idx_daily_metrics_integration_date ON daily_metrics (integration_id, metric_date);
+  `;
+
+  const createPasswordResetTokensTable = `
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      used_at TIMESTAMP WITH TIME ZONE,
+      requested_ip VARCHAR(45),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens (user_id);
+  `;
+
+  const createTwoFactorRecoveryCodesTable = `
+    CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user ON two_factor_recovery_codes (user_id);
+  `;
+
+  const createAuthIdentitiesTable = `
+    CREATE TABLE IF NOT EXISTS auth_identities (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      provider VARCHAR(50) NOT NULL,
+      provider_subject VARCHAR(255) NOT NULL,
+      email VARCHAR(255),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      last_login_at TIMESTAMP WITH TIME ZONE,
+      UNIQUE(provider, provider_subject)
+    );
+    CREATE INDEX IF NOT EXISTS idx_auth_identities_user ON auth_identities (user_id);
+  `;
+
+  const createRateLimitsTable = `
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      bucket_key VARCHAR(255) PRIMARY KEY,
+      hits INTEGER NOT NULL DEFAULT 0,
+      window_start TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  const createAuthFailuresTable = `
+    CREATE TABLE IF NOT EXISTS auth_failures (
+      id SERIAL PRIMARY KEY,
+      scope VARCHAR(20) NOT NULL,
+      identifier VARCHAR(255) NOT NULL,
+      failures INTEGER NOT NULL DEFAULT 0,
+      last_failure_at TIMESTAMP WITH TIME ZONE,
+      next_attempt_at TIMESTAMP WITH TIME ZONE,
+      locked_until TIMESTAMP WITH TIME ZONE,
+      UNIQUE(scope, identifier)
+    );
+  `;
+
+  const createSyncJobsTable = `
+    CREATE TABLE IF NOT EXISTS sync_jobs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      integration_id INTEGER REFERENCES integrations(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+      period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+      locked_by VARCHAR(100),
+      last_error TEXT,
+      result JSONB,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP WITH TIME ZONE,
+      finished_at TIMESTAMP WITH TIME ZONE,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    ALTER TABLE sync_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP WITH TIME ZONE;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_jobs_pending_integration
+      ON sync_jobs (integration_id) WHERE status IN ('queued', 'running');
+    CREATE INDEX IF NOT EXISTS idx_sync_jobs_queue ON sync_jobs (run_at) WHERE status = 'queued';
+  `;
+
+  const createSyncRunsTable = `
+    CREATE TABLE IF NOT EXISTS sync_runs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      integration_id INTEGER REFERENCES integrations(id) ON DELETE CASCADE,
+      sync_job_id INTEGER REFERENCES sync_jobs(id) ON DELETE SET NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      period_start TIMESTAMP WITH TIME ZONE,
+      period_end TIMESTAMP WITH TIME ZONE,
+      records_fetched INTEGER,
+      duration_ms INTEGER,
+      error_message TEXT,
+      error_code VARCHAR(50),
+      started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP WITH TIME ZONE
+    );
+    CREATE INDEX IF NOT EXISTS idx_sync_runs_integration_started ON sync_runs (integration_id, started_at DESC);
+  `;
+
+  const createJobRunsTable = `
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id SERIAL PRIMARY KEY,
+      job_name VARCHAR(100) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP WITH TIME ZONE,
+      error TEXT,
+      details JSONB
+    );
+    CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs (job_name, started_at DESC);
+  `;
+
+  const createWebhookEventsTable = `
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id SERIAL PRIMARY KEY,
+      stripe_event_id VARCHAR(255) UNIQUE NOT NULL,
+      event_type VARCHAR(100) NOT NULL,
+      object_id VARCHAR(255),
+      livemode BOOLEAN DEFAULT false,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'received',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      skip_reason TEXT,
+      event_created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP WITH TIME ZONE,
+      processed_at TIMESTAMP WITH TIME ZONE,
+      next_retry_at TIMESTAMP WITH TIME ZONE,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_events_received ON webhook_events (received_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_webhook_events_retry ON webhook_events (next_retry_at) WHERE status = 'failed';
+  `;
+
+  const createApiKeysTable = `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      created_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      key_prefix VARCHAR(20) NOT NULL,
+      key_hash VARCHAR(64) UNIQUE NOT NULL,
+      scopes TEXT[] NOT NULL,
+      expires_at TIMESTAMP WITH TIME ZONE,
+      last_used_at TIMESTAMP WITH TIME ZONE,
+      last_used_ip VARCHAR(45),
+      revoked_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_api_keys_business ON api_keys (business_id);
   `;
 
   const createSessionsTable = `
@@ -106,6 +454,11 @@ const createTables = async () => {
       expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
       created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
     );
+    ALTER TABLE sessions ADD COLUMN IF NOT EXISTS family_id VARCHAR(64);
+    ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+    ALTER TABLE sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_family ON sessions (family_id);
   `;
 
   try {
@@ -117,17 +470,65 @@ const createTables = async () => {
     await query(createSubscriptionsTable);
     console.log('✅ Tabla subscriptions creada');
     
+    await query(createOrganizationsTable);
+    console.log('✅ Tabla organizations creada');
+
+    await query(createOrganizationMembersTable);
+    console.log('✅ Tabla organization_members creada');
+
+    await query(createOrganizationInvitationsTable);
+    console.log('✅ Tabla organization_invitations creada');
+
+    await query(createBusinessesTable);
+    console.log('✅ Tabla businesses creada');
+
     await query(createIntegrationsTable);
     console.log('✅ Tabla integrations creada');
     
     await query(createDashboardDataTable);
     console.log('✅ Tabla dashboard_data creada');
+
+    await query(createDashboardDataArchiveTable);
+    console.log('✅ Tablas dashboard_data_archive y daily_metrics_archive creadas');
     
     await query(createAlertsTable);
     console.log('✅ Tabla alerts creada');
     
+    await query(createDailyMetricsTable);
+    console.log('✅ Tabla daily_metrics creada');
+
     await query(createSessionsTable);
     console.log('✅ Tabla sessions creada');
+
+    await query(createPasswordResetTokensTable);
+    console.log('✅ Tabla password_reset_tokens creada');
+
+    await query(createTwoFactorRecoveryCodesTable);
+    console.log('✅ Tabla two_factor_recovery_codes creada');
+
+    await query(createAuthIdentitiesTable);
+    console.log('✅ Tabla auth_identities creada');
+
+    await query(createRateLimitsTable);
+    console.log('✅ Tabla rate_limits creada');
+
+    await query(createAuthFailuresTable);
+    console.log('✅ Tabla auth_failures creada');
+
+    await query(createSyncJobsTable);
+    console.log('✅ Tabla sync_jobs creada');
+
+    await query(createSyncRunsTable);
+    console.log('✅ Tabla sync_runs creada');
+
+    await query(createJobRunsTable);
+    console.log('✅ Tabla job_runs creada');
+
+    await query(createApiKeysTable);
+    console.log('✅ Tabla api_keys creada');
+
+    await query(createWebhookEventsTable);
+    console.log('✅ Tabla webhook_events creada');
     
     console.log('🚀 Todas las tablas de BizlyticsApp creadas exitosamente');
     
@@ -184,7 +585,7 @@ const getUserStats = async (userId) => {
   }
 };
 
-// Función para limpiar sesiones expiradas
+// Función para limpiar sesiones expiradas (devuelve cuántas se eliminaron)
 const cleanupExpiredSessions = async () => {
   try {
     const result = await query(
@@ -192,8 +593,10 @@ const cleanupExpiredSessions = async () => {
       []
     );
     console.log(`🧹 Limpiadas ${result.rowCount} sesiones expiradas`);
+    return result.rowCount;
   } catch (error) {
     console.error('Error limpiando sesiones:', error);
+    throw error;
   }
 };
 
@@ -210,6 +613,7 @@ const closePool = async () => {
 // Exportar funciones
 module.exports = {
   query,
+  withTransaction,
   createTables,
   testConnection,
   getUserStats,
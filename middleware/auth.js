@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../database');
+const { createUserAlert } = require('../services/alerts');
+
+// Autenticación: access tokens JWT de vida corta + refresh tokens rotatorios.
+//
+// Cada sesión (fila de sessions) es una familia de refresh tokens. El refresh token
+// tiene la forma <family_id>.<secreto> y en session_token solo se guarda el hash
+// SHA-256 del último emitido. Presentar un refresh token anterior de la familia
+// significa que alguien lo reutilizó (robo) y se revoca la sesión entera.
+
+const ACCESS_TOKEN_AUDIENCE = 'bizlyticsapp:access';
+const DEV_JWT_SECRET = 'bizlyticsapp-dev-secret';
+
+let warnedDevSecret = false;
+
+// Función para obtener la duración del access token (formato de jsonwebtoken)
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Función para obtener la duración del refresh token en milisegundos
+const getRefreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Función para obtener el secreto de firma de JWT. En producción es obligatorio.
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET es obligatoria en producción');
+  }
+
+  if (!warnedDevSecret) {
+    console.warn('⚠️ JWT_SECRET no configurada - usando secreto de desarrollo');
+    warnedDevSecret = true;
+  }
+  return DEV_JWT_SECRET;
+};
+
+// Función para verificar la configuración de autenticación al arrancar (lanza error si falta algo)
+const assertAuthConfig = () => {
+  getJwtSecret();
+};
+
+// Función para calcular el hash con el que se guarda un refresh token
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Función para comparar dos hashes sin filtrar información por tiempo
+const hashesMatch = (a, b) =>
+  typeof a === 'string' && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Función para generar un refresh token nuevo de una familia
+const generateRefreshToken = (familyId) => `${familyId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+// Función para separar la familia de un refresh token (null si el formato no es válido)
+const parseRefreshToken = (refreshToken) => {
+  const match = /^([a-f0-9]{32})\.([A-Za-z0-9_-]{43})$/.exec(refreshToken || '');
+  return match ? { familyId: match[1] } : null;
+};
+
+// Función para firmar un access token ligado a una sesión
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sid: sessionId },
+  getJwtSecret(),
+  { expiresIn: getAccessTokenTtl(), audience: ACCESS_TOKEN_AUDIENCE }
+);
+
+// Función para construir la respuesta con el par de tokens
+const buildTokenResponse = (userId, sessionId, refreshToken, refreshExpiresAt) => {
+  const token = signAccessToken(userId, sessionId);
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    token_expires_at: new Date(exp * 1000).toISOString(),
+    refresh_token: refreshToken,
+    refresh_token_expires_at: refreshExpiresAt.toISOString()
+  };
+};
+
+// La última actividad de una sesión se actualiza como mucho una vez por minuto
+const LAST_USED_UPDATE_SECONDS = 60;
+
+// Función para obtener la IP y el user agent de la petición
+const getClientInfo = (req) => ({
+  ip: req?.ip || null,
+  userAgent: req?.get?.('user-agent')?.slice(0, 500) || null
+});
+
+// Función para crear una sesión nueva (login/registro) y emitir sus tokens
+const createSession = async (userId, req = null) => {
+  const familyId = crypto.randomBytes(16).toString('hex');
+  const refreshToken = generateRefreshToken(familyId);
+  const expiresAt = new Date(Date.now() + getRefreshTokenTtlMs());
+  const { ip, userAgent } = getClientInfo(req);
+
+  const sessionResult = await query(
+    `INSERT INTO sessions (user_id, session_token, family_id, expires_at, last_used_at, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5, $6)
+     RETURNING id`,
+    [userId, hashToken(refreshToken), familyId, expiresAt, ip, userAgent]
+  );
+
+  return buildTokenResponse(userId, sessionResult.rows[0].id, refreshToken, expiresAt);
+};
+
+// Función para crear un error de refresh con código
+const refreshError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Función para revocar la familia de un refresh token reutilizado y avisar al usuario
+const revokeReusedFamily = async (session) => {
+  await query('DELETE FROM sessions WHERE id = $1', [session.id]);
+
+  console.warn(`🚨 Refresh token reutilizado para usuario ${session.user_id}, sesión ${session.id} revocada`);
+  await createUserAlert(
+    session.user_id,
+    'session_token_reuse',
+    'Sesión cerrada por seguridad',
+    'Se detectó el uso de un token de sesión antiguo. Hemos cerrado esa sesión; vuelve a iniciar sesión y cambia tu contraseña si no reconoces la actividad.',
+    'warning',
+    { session_id: session.id }
+  );
+};
+
+// Función para rotar un refresh token: invalida el presentado y emite un par nuevo.
+// Lanza errores con code INVALID_REFRESH_TOKEN, REFRESH_TOKEN_EXPIRED o REFRESH_TOKEN_REUSED.
+const refreshSession = async (refreshToken, req = null) => {
+  const parsed = parseRefreshToken(refreshToken);
+
+  if (!parsed) {
+    throw refreshError('Refresh token inválido', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const sessionResult = await query(
+    'SELECT id, user_id, session_token, expires_at FROM sessions WHERE family_id = $1',
+    [parsed.familyId]
+  );
+
+  if (sessionResult.rows.length === 0) {
+    throw refreshError('Refresh token inválido', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const session = sessionResult.rows[0];
+  const presentedHash = hashToken(refreshToken);
+
+  if (!hashesMatch(session.session_token, presentedHash)) {
+    await revokeReusedFamily(session);
+    throw refreshError('Refresh token reutilizado, sesión revocada', 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (new Date() > new Date(session.expires_at)) {
+    await query('DELETE FROM sessions WHERE id = $1', [session.id]);
+    throw refreshError('Sesión expirada', 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  const newRefreshToken = generateRefreshToken(parsed.familyId);
+  const expiresAt = new Date(Date.now() + getRefreshTokenTtlMs());
+  const { ip, userAgent } = getClientInfo(req);
+
+  // La condición sobre session_token evita que dos peticiones concurrentes roten el mismo token
+  const updateResult = await query(
+    `UPDATE sessions SET session_token = $1, expires_at = $2, last_used_at = CURRENT_TIMESTAMP,
+            ip_address = COALESCE($5, ip_address), user_agent = COALESCE($6, user_agent)
+     WHERE id = $3 AND session_token = $4`,
+    [hashToken(newRefreshToken), expiresAt, session.id, presentedHash, ip, userAgent]
+  );
+
+  if (updateResult.rowCount === 0) {
+    await revokeReusedFamily(session);
+    throw refreshError('Refresh token reutilizado, sesión revocada', 'REFRESH_TOKEN_REUSED');
+  }
+
+  return buildTokenResponse(session.user_id, session.id, newRefreshToken, expiresAt);
+};
+
+// Función para revocar la sesión de un refresh token (logout)
+const revokeRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await query(
+    'DELETE FROM sessions WHERE family_id = $1 AND session_token = $2',
+    [parsed.familyId, hashToken(refreshToken)]
+  );
+  return result.rowCount > 0;
+};
+
+// Función para listar las sesiones activas de un usuario
+const listSessions = async (userId) => {
+  const result = await query(
+    `SELECT id, created_at, last_used_at, ip_address, user_agent, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND expires_at > NOW() AND family_id IS NOT NULL
+     ORDER BY COALESCE(last_used_at, created_at) DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Función para registrar la actividad de una sesión (limitada a una escritura por minuto)
+const touchSession = async (sessionId, req) => {
+  const { ip, userAgent } = getClientInfo(req);
+
+  await query(
+    `UPDATE sessions SET last_used_at = CURRENT_TIMESTAMP,
+            ip_address = COALESCE($2, ip_address), user_agent = COALESCE($3, user_agent)
+     WHERE id = $1
+       AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $4::int))`,
+    [sessionId, ip, userAgent, LAST_USED_UPDATE_SECONDS]
+  );
+};
+
+// Función para revocar una sesión por su ID
+const revokeSession = async (userId, sessionId) => {
+  const result = await query(
+    'DELETE FROM sessions WHERE id = $1 AND user_id = $2',
+    [sessionId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+// Función para revocar todas las sesiones de un usuario (opcionalmente salvo una)
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const result = await query(
+    'DELETE FROM sessions WHERE user_id = $1 AND ($2::int IS NULL OR id <> $2)',
+    [userId, exceptSessionId]
+  );
+  return result.rowCount;
+};
+
+// Función para leer el access token de la cabecera Authorization
+const getBearerToken = (req) => req.headers.authorization?.replace('Bearer ', '') || null;
+
+// Función para verificar un access token (acepta opciones de jwt.verify como ignoreExpiration)
+const verifyAccessToken = (token, options = {}) =>
+  jwt.verify(token, getJwtSecret(), { audience: ACCESS_TOKEN_AUDIENCE, ...options });
+
+// Middleware para verificar autenticación
+const requireAuth = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: 'Token requerido' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyAccessToken(token);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expirado', code: 'TOKEN_EXPIRED' });
+      }
+      return res.status(401).json({ error: 'Token inválido' });
+    }
+
+    // Verificar que la sesión no se ha cerrado ni revocado
+    const sessionResult = await query(
+      'SELECT id, expires_at FROM sessions WHERE id = $1 AND user_id = $2',
+      [decoded.sid, decoded.userId]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(401).json({ error: 'Sesión inválida' });
+    }
+
+    if (new Date() > new Date(sessionResult.rows[0].expires_at)) {
+      return res.status(401).json({ error: 'Sesión expirada' });
+    }
+
+    req.userId = decoded.userId;
+    req.sessionId = decoded.sid;
+
+    // La última actividad no debe retrasar ni romper la petición
+    touchSession(decoded.sid, req)
+      .catch(error => console.error('Error actualizando actividad de sesión:', error.message));
+
+    next();
+  } catch (error) {
+    console.error('Error en autenticación:', error);
+    return res.status(401).json({ error: 'Token inválido' });
+  }
+};
+
+module.exports = {
+  getJwtSecret,
+  assertAuthConfig,
+  createSession,
+  refreshSession,
+  revokeRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  getBearerToken,
+  verifyAccessToken,
+  requireAuth
+};
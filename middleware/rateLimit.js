@@ -0,0 +1,75 @@
+const { query } = require('../database');
+
+// Limitador de peticiones por ventana fija guardado en Postgres (sin Redis).
+// Cada clave (nombre del limitador + identificador) tiene un contador que se
+// reinicia cuando su ventana caduca. Si la base de datos falla, se deja pasar.
+
+// Función para sumar un intento a una clave y devolver el contador de la ventana actual
+const hit = async (bucketKey, windowSeconds) => {
+  const result = await query(
+    `INSERT INTO rate_limits (bucket_key, hits, window_start)
+     VALUES ($1, 1, CURRENT_TIMESTAMP)
+     ON CONFLICT (bucket_key) DO UPDATE SET
+       hits = CASE
+         WHEN rate_limits.window_start < NOW() - make_interval(secs => $2::int) THEN 1
+         ELSE rate_limits.hits + 1
+       END,
+       window_start = CASE
+         WHEN rate_limits.window_start < NOW() - make_interval(secs => $2::int) THEN CURRENT_TIMESTAMP
+         ELSE rate_limits.window_start
+       END
+     RETURNING hits,
+               CEIL(EXTRACT(EPOCH FROM (window_start + make_interval(secs => $2::int) - NOW()))) AS reset_in`,
+    [bucketKey, windowSeconds]
+  );
+  return {
+    hits: result.rows[0].hits,
+    resetIn: Math.max(parseInt(result.rows[0].reset_in) || 1, 1)
+  };
+};
+
+// Función para crear un middleware limitador.
+// `keyBy(req)` devuelve el identificador (por defecto la IP); si devuelve null no se limita.
+const rateLimit = ({ name, windowSeconds, max, keyBy = (req) => req.ip, message }) => {
+  return async (req, res, next) => {
+    let identifier;
+
+    try {
+      identifier = keyBy(req);
+      if (!identifier) return next();
+
+      const { hits, resetIn } = await hit(`${name}:${String(identifier).toLowerCase()}`, windowSeconds);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(max - hits, 0)));
+      res.set('RateLimit-Reset', String(resetIn));
+
+      if (hits > max) {
+        res.set('Retry-After', String(resetIn));
+        return res.status(429).json({
+          error: message || 'Demasiadas peticiones. Inténtalo de nuevo más tarde',
+          code: 'RATE_LIMITED',
+          retry_after: resetIn
+        });
+      }
+    } catch (error) {
+      console.error(`Error en limitador ${name}:`, error.message);
+    }
+
+    next();
+  };
+};
+
+// Función para borrar contadores de ventanas ya caducadas (la ventana más larga es de un día)
+const cleanupRateLimits = async () => {
+  const result = await query(
+    "DELETE FROM rate_limits WHERE window_start < NOW() - INTERVAL '1 day'",
+    []
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  rateLimit,
+  cleanupRateLimits
+};
@@ -0,0 +1,103 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../services/emailVerification');
+const { requireBusiness } = require('../services/businesses');
+const { requireRole } = require('../services/organizations');
+const {
+  API_KEY_SCOPES,
+  hasApiAccess,
+  normalizeApiKeyInput,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../services/apiKeys');
+const router = express.Router();
+
+// Las API keys son del negocio seleccionado y las gestionan sus admins
+
+// GET /api/api-keys - Listar las API keys del negocio seleccionado
+router.get('/', requireAuth, requireBusiness, requireRole('admin'), async (req, res) => {
+  try {
+    const [apiKeys, apiAccess] = await Promise.all([
+      listApiKeys(req.businessId),
+      hasApiAccess(req.business.owner_user_id)
+    ]);
+
+    res.json({
+      api_keys: apiKeys,
+      available_scopes: API_KEY_SCOPES,
+      api_access: apiAccess
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo API keys:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/api-keys - Crear una API key (la key solo se muestra en esta respuesta)
+router.post('/', requireAuth, requireVerifiedEmail, requireBusiness, requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await hasApiAccess(req.business.owner_user_id))) {
+      return res.status(403).json({
+        error: 'El acceso a la API está disponible solo en el plan Business',
+        code: 'API_ACCESS_REQUIRED',
+        upgrade_required: true
+      });
+    }
+
+    const input = normalizeApiKeyInput(req.body);
+
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const result = await createApiKey(req.businessId, req.userId, input);
+
+    if (result.error) {
+      return res.status(409).json({ error: result.error, code: result.code });
+    }
+
+    console.log(`🔑 API key ${result.apiKey.key_prefix} creada para negocio ${req.businessId} por usuario ${req.userId}`);
+
+    res.status(201).json({
+      message: 'API key creada. Guárdala ahora: no se volverá a mostrar',
+      api_key: result.apiKey,
+      key: result.key
+    });
+
+  } catch (error) {
+    console.error('Error creando API key:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revocar una API key
+router.delete('/:id', requireAuth, requireBusiness, requireRole('admin'), async (req, res) => {
+  try {
+    const apiKeyId = parseInt(req.params.id);
+
+    if (isNaN(apiKeyId)) {
+      return res.status(400).json({ error: 'ID de API key inválido' });
+    }
+
+    const apiKey = await revokeApiKey(req.businessId, apiKeyId);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key no encontrada' });
+    }
+
+    console.log(`🔑 API key ${apiKey.key_prefix} revocada por usuario ${req.userId}`);
+
+    res.json({
+      message: 'API key revocada',
+      api_key: apiKey
+    });
+
+  } catch (error) {
+    console.error('Error revocando API key:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
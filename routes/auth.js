@@ -1,17 +1,78 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { query } = require('../database');
+const {
+  createSession,
+  refreshSession,
+  revokeRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  getBearerToken,
+  verifyAccessToken,
+  requireAuth
+} = require('../middleware/auth');
+const {
+  createPasswordResetToken,
+  findPasswordResetUser,
+  consumePasswordResetToken,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../services/passwordReset');
+const {
+  validatePassword,
+  passwordErrorResponse,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+} = require('../services/passwordPolicy');
+const { ensureDefaultBusiness } = require('../services/businesses');
+const {
+  LOCKOUT_MINUTES,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  countRemainingRecoveryCodes,
+  startEnrollment,
+  getTwoFactorState,
+  recordSuccessfulCode,
+  verifySecondFactor,
+  disableTwoFactor,
+  signChallenge,
+  verifyChallenge
+} = require('../services/twoFactor');
+const {
+  isGoogleOAuthConfigured,
+  getLoginRedirectUri,
+  LOGIN_BINDING_COOKIE,
+  LOGIN_BINDING_MAX_AGE_MS,
+  getCookie,
+  buildLoginAuthorizeUrl,
+  verifyLoginState,
+  exchangeCode
+} = require('../services/googleOAuth');
+const { verifyGoogleIdToken } = require('../services/googleIdToken');
+const {
+  findUserByIdentity,
+  linkIdentity,
+  touchIdentity,
+  listLoginMethods,
+  unlinkIdentity
+} = require('../services/authIdentities');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../services/loginProtection');
+const { rateLimit } = require('../middleware/rateLimit');
+const { sendVerificationEmail, reserveResend, confirmEmail } = require('../services/emailVerification');
 const router = express.Router();
 
-// Función para generar token JWT
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'bizlyticsapp-secret-key-2025',
-    { expiresIn: '30d' }
-  );
-};
+// Limitadores de las rutas públicas
+const registerLimiter = rateLimit({ name: 'register', windowSeconds: 60 * 60, max: 10 });
+const forgotPasswordIpLimiter = rateLimit({ name: 'forgot-password-ip', windowSeconds: 15 * 60, max: 5 });
+const forgotPasswordEmailLimiter = rateLimit({
+  name: 'forgot-password-email',
+  windowSeconds: 60 * 60,
+  max: 3,
+  keyBy: (req) => req.body?.email
+});
+const secondFactorLimiter = rateLimit({ name: 'login-2fa', windowSeconds: 15 * 60, max: 20 });
 
 // Función para validar email
 const isValidEmail = (email) => {
@@ -20,7 +81,7 @@ const isValidEmail = (email) => {
 };
 
 // POST /api/auth/register - Registro de usuario
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimiter, async (req, res) => {
   try {
     const { email, password, name, company_name } = req.body;
 
@@ -37,10 +98,10 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({
-        error: 'La contraseña debe tener al menos 6 caracteres'
-      });
+    const passwordValidation = validatePassword(password, { email, name, company_name });
+
+    if (!passwordValidation.valid) {
+      return res.status(400).json(passwordErrorResponse(passwordValidation));
     }
 
     // Verificar si el usuario ya existe
@@ -56,8 +117,7 @@ router.post('/register', async (req, res) => {
     }
 
     // Hashear contraseña
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const passwordHash = await hashPassword(password);
 
     // Crear usuario
     const newUser = await query(
@@ -69,15 +129,11 @@ router.post('/register', async (req, res) => {
 
     const user = newUser.rows[0];
 
-    // Generar token
-    const token = generateToken(user.id);
+    // Crear el primer negocio con el nombre de la empresa
+    await ensureDefaultBusiness(user.id);
 
-    // Crear sesión
-    const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 días
-    await query(
-      'INSERT INTO sessions (user_id, session_token, expires_at) VALUES ($1, $2, $3)',
-      [user.id, token, expiresAt]
-    );
+    // Crear sesión y emitir tokens
+    const tokens = await createSession(user.id, req);
 
     res.status(201).json({
       message: 'Usuario registrado exitosamente',
@@ -87,11 +143,16 @@ router.post('/register', async (req, res) => {
         name: user.name,
         company_name: user.company_name,
         subscription_status: user.subscription_status,
+        email_verified: false,
         created_at: user.created_at
       },
-      token
+      ...tokens
     });
 
+    // Enviar el email de verificación (un fallo de SMTP no debe romper el registro)
+    sendVerificationEmail(user)
+      .catch(error => console.error('Error enviando email de verificación:', error));
+
   } catch (error) {
     console.error('Error en registro:', error);
     res.status(500).json({
@@ -105,45 +166,66 @@ router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Validaciones
-    if (!email || !password) {
+    // Validaciones (antes de consultar los bloqueos, que usan el email)
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
       return res.status(400).json({
         error: 'Email y contraseña son requeridos'
       });
     }
 
+    // Respetar esperas y bloqueos por intentos fallidos (cuenta e IP)
+    const attempt = await checkLoginAllowed(email, req.ip);
+
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retry_after));
+      return res.status(429).json({
+        error: attempt.code === 'TOO_MANY_ATTEMPTS'
+          ? 'Demasiados intentos fallidos. Espera antes de volver a intentarlo'
+          : 'Acceso bloqueado temporalmente por demasiados intentos fallidos',
+        code: attempt.code,
+        retry_after: attempt.retry_after
+      });
+    }
+
     // Buscar usuario
     const userResult = await query(
-      'SELECT id, email, password_hash, name, company_name, subscription_status FROM users WHERE email = $1',
+      `SELECT id, email, password_hash, name, company_name, subscription_status, email_verified_at, totp_enabled_at
+       FROM users WHERE email = $1`,
       [email.toLowerCase()]
     );
 
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({
-        error: 'Email o contraseña incorrectos'
-      });
-    }
-
     const user = userResult.rows[0];
 
     // Verificar contraseña
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    // Las cuentas creadas con Google no tienen contraseña
+    const isValidPassword = await verifyPassword(password, user?.password_hash);
 
     if (!isValidPassword) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({
         error: 'Email o contraseña incorrectos'
       });
     }
 
-    // Generar nuevo token
-    const token = generateToken(user.id);
+    // Recalcular el hash si se cambió el coste de bcrypt
+    if (needsRehash(user.password_hash)) {
+      await query('UPDATE users SET password_hash = $1 WHERE id = $2', [await hashPassword(password), user.id]);
+    }
 
-    // Crear nueva sesión
-    const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 días
-    await query(
-      'INSERT INTO sessions (user_id, session_token, expires_at) VALUES ($1, $2, $3)',
-      [user.id, token, expiresAt]
-    );
+    // Con 2FA activo la sesión solo se emite tras verificar el código, y los
+    // fallos de la cuenta no se olvidan hasta entonces
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: 'Introduce el código de verificación',
+        two_factor_required: true,
+        challenge_token: signChallenge(user.id)
+      });
+    }
+
+    await recordLoginSuccess(email);
+
+    // Crear nueva sesión y emitir tokens
+    const tokens = await createSession(user.id, req);
 
     res.json({
       message: 'Login exitoso',
@@ -152,9 +234,10 @@ router.post('/login', async (req, res) => {
         email: user.email,
         name: user.name,
         company_name: user.company_name,
-        subscription_status: user.subscription_status
+        subscription_status: user.subscription_status,
+        email_verified: !!user.email_verified_at
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -165,77 +248,358 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// POST /api/auth/logout - Logout de usuario
-router.post('/logout', async (req, res) => {
+// POST /api/auth/login/2fa - Segundo paso del login con código TOTP o de recuperación
+router.post('/login/2fa', secondFactorLimiter, async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const { challenge_token, code, recovery_code } = req.body;
 
-    if (token) {
-      // Eliminar sesión
-      await query(
-        'DELETE FROM sessions WHERE session_token = $1',
-        [token]
-      );
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        error: 'Token de verificación y código son requeridos'
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyChallenge(challenge_token);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'El paso de verificación ha caducado, vuelve a iniciar sesión',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    const verification = await verifySecondFactor(challenge.userId, { code, recovery_code });
+
+    if (!verification.valid) {
+      if (verification.code === 'LOCKED_OUT') {
+        return res.status(429).json({
+          error: `Demasiados códigos incorrectos. Inténtalo de nuevo en ${LOCKOUT_MINUTES} minutos`,
+          code: 'LOCKED_OUT'
+        });
+      }
+
+      return res.status(401).json({
+        error: 'Código de verificación incorrecto',
+        code: verification.code
+      });
+    }
+
+    const userResult = await query(
+      'SELECT id, email, name, company_name, subscription_status, email_verified_at FROM users WHERE id = $1',
+      [challenge.userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
     }
 
+    const user = userResult.rows[0];
+    await recordLoginSuccess(user.email);
+
+    // Crear nueva sesión y emitir tokens
+    const tokens = await createSession(user.id, req);
+
     res.json({
-      message: 'Logout exitoso'
+      message: 'Login exitoso',
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        company_name: user.company_name,
+        subscription_status: user.subscription_status,
+        email_verified: !!user.email_verified_at
+      },
+      recovery_codes_remaining: verification.method === 'recovery_code'
+        ? await countRemainingRecoveryCodes(user.id)
+        : undefined,
+      ...tokens
     });
 
   } catch (error) {
-    console.error('Error en logout:', error);
+    console.error('Error en segundo paso de login:', error);
     res.status(500).json({
       error: 'Error interno del servidor'
     });
   }
 });
 
-// GET /api/auth/me - Obtener información del usuario actual
-router.get('/me', async (req, res) => {
+// Opciones de la cookie que liga el flujo de Google al navegador. SameSite=Lax
+// permite que llegue en la redirección de Google al callback; el frontend debe
+// estar en el mismo sitio que la API y llamar a /google/link con credenciales.
+const googleBindingCookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/google'
+};
+
+// Función para iniciar un flujo de Google: deja la cookie de ligadura y devuelve la URL
+const startGoogleFlow = (res, options) => {
+  const { url, binding } = buildLoginAuthorizeUrl(options);
+  res.cookie(LOGIN_BINDING_COOKIE, binding, { ...googleBindingCookieOptions, maxAge: LOGIN_BINDING_MAX_AGE_MS });
+  return url;
+};
+
+// GET /api/auth/google - Iniciar sesión con Google (redirige a la pantalla de Google)
+router.get('/google', async (req, res) => {
+  if (!isGoogleOAuthConfigured()) {
+    return res.status(503).json({
+      error: 'El inicio de sesión con Google no está configurado en el servidor',
+      code: 'GOOGLE_OAUTH_NOT_CONFIGURED'
+    });
+  }
+
+  res.redirect(startGoogleFlow(res, { mode: 'login' }));
+});
+
+// POST /api/auth/google/link - Obtener la URL para vincular Google a la cuenta actual
+router.post('/google/link', requireAuth, async (req, res) => {
+  if (!isGoogleOAuthConfigured()) {
+    return res.status(503).json({
+      error: 'El inicio de sesión con Google no está configurado en el servidor',
+      code: 'GOOGLE_OAUTH_NOT_CONFIGURED'
+    });
+  }
+
+  res.json({
+    authorization_url: startGoogleFlow(res, { mode: 'link', userId: req.userId })
+  });
+});
+
+// Función para crear la cuenta de un usuario que entra por primera vez con Google
+const createGoogleUser = async (profile) => {
+  const newUser = await query(
+    `INSERT INTO users (email, password_hash, name, subscription_status, email_verified_at)
+     VALUES ($1, NULL, $2, $3, CURRENT_TIMESTAMP)
+     RETURNING id, email, name, totp_enabled_at`,
+    [profile.email, profile.name || profile.email.split('@')[0], 'free']
+  );
+  await ensureDefaultBusiness(newUser.rows[0].id);
+  return newUser.rows[0];
+};
+
+// Función para resolver el usuario de un login con Google: identidad ya vinculada,
+// cuenta existente con el mismo email verificado (se vincula) o cuenta nueva.
+// Devuelve { user } o { code } si no se puede iniciar sesión.
+const resolveGoogleLogin = async (profile) => {
+  const linkedUser = await findUserByIdentity('google', profile.subject);
+  if (linkedUser) {
+    await touchIdentity('google', profile.subject, profile.email);
+    return { user: linkedUser };
+  }
+
+  if (!profile.email || !profile.email_verified) {
+    return { code: 'GOOGLE_EMAIL_NOT_VERIFIED' };
+  }
+
+  const existingResult = await query(
+    'SELECT id, email, name, email_verified_at, totp_enabled_at FROM users WHERE email = $1',
+    [profile.email]
+  );
+
+  if (existingResult.rows.length > 0) {
+    const existingUser = existingResult.rows[0];
+
+    // Con el email sin verificar, quien registró la cuenta podría no ser su dueño:
+    // hay que entrar con contraseña y vincular Google desde la configuración
+    if (!existingUser.email_verified_at) {
+      return { code: 'ACCOUNT_EXISTS_UNVERIFIED' };
+    }
+
+    await linkIdentity(existingUser.id, 'google', profile.subject, profile.email);
+    console.log(`🔗 Google vinculado automáticamente al usuario ${existingUser.id}`);
+    return { user: existingUser };
+  }
+
+  const user = await createGoogleUser(profile);
+  await linkIdentity(user.id, 'google', profile.subject, profile.email);
+  console.log(`👤 Usuario ${user.id} creado con Google`);
+  return { user };
+};
+
+// GET /api/auth/google/callback - Callback de inicio de sesión / vinculación con Google.
+// Los tokens de sesión se entregan al frontend en el fragmento (#) de la URL,
+// que el navegador no envía a ningún servidor.
+router.get('/google/callback', async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const redirectTo = (path, params, useFragment = false) =>
+    res.redirect(`${frontendUrl}${path}${useFragment ? '#' : '?'}${new URLSearchParams(params).toString()}`);
+
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const { code, state, error: oauthError } = req.query;
 
-    if (!token) {
-      return res.status(401).json({
-        error: 'Token no proporcionado'
-      });
+    // El state solo vale en el navegador que inició el flujo (cookie de ligadura)
+    const binding = getCookie(req, LOGIN_BINDING_COOKIE);
+    res.clearCookie(LOGIN_BINDING_COOKIE, googleBindingCookieOptions);
+
+    let statePayload;
+    try {
+      statePayload = verifyLoginState(state, binding);
+    } catch (error) {
+      return res.status(400).json({ error: 'Parámetro state inválido o expirado' });
     }
 
-    // Verificar token
-    let decoded;
+    const errorPath = statePayload.mode === 'link' ? '/settings/security' : '/login';
+
+    if (oauthError || !code) {
+      return redirectTo(errorPath, { google_error: 'OAUTH_DENIED' });
+    }
+
+    // Canjear el código y verificar el ID token
+    let profile;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET || 'bizlyticsapp-secret-key-2025');
+      const tokens = await exchangeCode(code, getLoginRedirectUri());
+      profile = await verifyGoogleIdToken(tokens.id_token, { nonce: statePayload.nonce });
     } catch (error) {
-      return res.status(401).json({
-        error: 'Token inválido'
+      console.error('Error verificando login con Google:', error.response?.data || error.message);
+      return redirectTo(errorPath, { google_error: 'OAUTH_FAILED' });
+    }
+
+    // Vincular Google a una cuenta con sesión iniciada
+    if (statePayload.mode === 'link') {
+      const linked = await linkIdentity(statePayload.userId, 'google', profile.subject, profile.email);
+      return redirectTo('/settings/security', linked ? { google_linked: '1' } : { google_error: 'IDENTITY_IN_USE' });
+    }
+
+    const { user, code: loginError } = await resolveGoogleLogin(profile);
+
+    if (loginError) {
+      return redirectTo('/login', { google_error: loginError });
+    }
+
+    // Con 2FA activo se pide el código antes de emitir la sesión
+    if (user.totp_enabled_at) {
+      return redirectTo('/login/2fa', { challenge_token: signChallenge(user.id) }, true);
+    }
+
+    const tokens = await createSession(user.id, req);
+    redirectTo('/auth/callback', tokens, true);
+
+  } catch (error) {
+    console.error('Error en callback de login con Google:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// GET /api/auth/identities - Métodos de inicio de sesión de la cuenta
+router.get('/identities', requireAuth, async (req, res) => {
+  try {
+    const methods = await listLoginMethods(req.userId);
+
+    res.json(methods);
+
+  } catch (error) {
+    console.error('Error listando métodos de inicio de sesión:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /api/auth/identities/:id - Desvincular un método de inicio de sesión externo
+router.delete('/identities/:id', requireAuth, async (req, res) => {
+  try {
+    const identityId = parseInt(req.params.id);
+
+    if (isNaN(identityId)) {
+      return res.status(400).json({
+        error: 'ID de identidad inválido'
       });
     }
 
-    // Verificar sesión
-    const sessionResult = await query(
-      'SELECT expires_at FROM sessions WHERE session_token = $1 AND user_id = $2',
-      [token, decoded.userId]
-    );
+    const result = await unlinkIdentity(req.userId, identityId);
 
-    if (sessionResult.rows.length === 0) {
-      return res.status(401).json({
-        error: 'Sesión no encontrada'
+    if (result.error) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json(result);
+    }
+
+    res.json({
+      message: 'Método de inicio de sesión desvinculado',
+      identity: result.removed
+    });
+
+  } catch (error) {
+    console.error('Error desvinculando identidad:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/refresh - Rotar el refresh token y obtener un access token nuevo
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        error: 'Refresh token requerido'
       });
     }
 
-    const session = sessionResult.rows[0];
-    if (new Date() > new Date(session.expires_at)) {
-      // Eliminar sesión expirada
-      await query('DELETE FROM sessions WHERE session_token = $1', [token]);
+    const tokens = await refreshSession(refresh_token, req);
+
+    res.json(tokens);
+
+  } catch (error) {
+    if (['INVALID_REFRESH_TOKEN', 'REFRESH_TOKEN_EXPIRED', 'REFRESH_TOKEN_REUSED'].includes(error.code)) {
       return res.status(401).json({
-        error: 'Sesión expirada'
+        error: error.message,
+        code: error.code
       });
     }
 
+    console.error('Error renovando sesión:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/logout - Logout de usuario
+router.post('/logout', async (req, res) => {
+  try {
+    const token = getBearerToken(req);
+    const { refresh_token } = req.body || {};
+
+    // Cerrar la sesión del refresh token si se envía
+    if (refresh_token) {
+      await revokeRefreshToken(refresh_token);
+    }
+
+    // Cerrar la sesión del access token (aunque haya caducado)
+    if (token) {
+      try {
+        const decoded = verifyAccessToken(token, { ignoreExpiration: true });
+        await revokeSession(decoded.userId, decoded.sid);
+      } catch (error) {
+        // Un token inválido no tiene sesión que cerrar
+      }
+    }
+
+    res.json({
+      message: 'Logout exitoso'
+    });
+
+  } catch (error) {
+    console.error('Error en logout:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/auth/me - Obtener información del usuario actual
+router.get('/me', requireAuth, async (req, res) => {
+  try {
     // Obtener información del usuario
     const userResult = await query(
-      'SELECT id, email, name, company_name, subscription_status, created_at FROM users WHERE id = $1',
-      [decoded.userId]
+      `SELECT id, email, name, company_name, subscription_status, email_verified_at, totp_enabled_at, created_at
+       FROM users WHERE id = $1`,
+      [req.userId]
     );
 
     if (userResult.rows.length === 0) {
@@ -253,6 +617,8 @@ router.get('/me', async (req, res) => {
         name: user.name,
         company_name: user.company_name,
         subscription_status: user.subscription_status,
+        email_verified: !!user.email_verified_at,
+        two_factor_enabled: !!user.totp_enabled_at,
         created_at: user.created_at
       }
     });
@@ -265,20 +631,103 @@ router.get('/me', async (req, res) => {
   }
 });
 
-// POST /api/auth/forgot-password - Solicitar reset de contraseña
-router.post('/forgot-password', async (req, res) => {
+// GET /api/auth/verify-email - Confirmar el email con el enlace firmado.
+// Desde el navegador redirige al frontend; con Accept: application/json responde JSON.
+router.get('/verify-email', async (req, res) => {
+  const wantsJson = req.accepts(['html', 'json']) === 'json';
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  const respond = (status, body) => {
+    if (wantsJson) {
+      return res.status(status).json(body);
+    }
+    const params = status === 200 ? 'email_verified=1' : `email_verification_error=${encodeURIComponent(body.code)}`;
+    return res.redirect(`${frontendUrl}/login?${params}`);
+  };
+
   try {
-    const { email } = req.body;
+    const { token } = req.query;
 
-    if (!email) {
-      return res.status(400).json({
-        error: 'Email es requerido'
+    if (!token) {
+      return respond(400, { error: 'Token de verificación requerido', code: 'INVALID_VERIFICATION_TOKEN' });
+    }
+
+    let user;
+    try {
+      user = await confirmEmail(token);
+    } catch (error) {
+      const expired = error.name === 'TokenExpiredError';
+      return respond(400, {
+        error: expired ? 'El enlace de verificación ha caducado' : 'El enlace de verificación no es válido',
+        code: expired ? 'VERIFICATION_TOKEN_EXPIRED' : 'INVALID_VERIFICATION_TOKEN'
       });
     }
 
+    if (!user) {
+      return respond(400, { error: 'El enlace de verificación no es válido', code: 'INVALID_VERIFICATION_TOKEN' });
+    }
+
+    respond(200, {
+      message: 'Email verificado exitosamente',
+      email: user.email,
+      email_verified_at: user.email_verified_at
+    });
+
+  } catch (error) {
+    console.error('Error verificando email:', error);
+    respond(500, { error: 'Error interno del servidor', code: 'SERVER_ERROR' });
+  }
+});
+
+// POST /api/auth/resend-verification - Reenviar el email de verificación
+router.post('/resend-verification', requireAuth, async (req, res) => {
+  try {
+    const reservation = await reserveResend(req.userId);
+
+    if (reservation.error) {
+      const status = { USER_NOT_FOUND: 404, ALREADY_VERIFIED: 400, RESEND_THROTTLED: 429 }[reservation.code];
+
+      if (reservation.retry_after) {
+        res.set('Retry-After', String(reservation.retry_after));
+      }
+
+      return res.status(status).json(reservation);
+    }
+
+    await sendVerificationEmail(reservation.user);
+
+    res.json({
+      message: 'Email de verificación enviado'
+    });
+
+  } catch (error) {
+    console.error('Error reenviando verificación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Función (middleware) para exigir un email de texto antes de que los limitadores cuenten la petición
+const requireEmailBody = (req, res, next) => {
+  const email = req.body?.email;
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({
+      error: 'Email es requerido'
+    });
+  }
+  next();
+};
+
+// POST /api/auth/forgot-password - Solicitar reset de contraseña
+router.post('/forgot-password', requireEmailBody, forgotPasswordIpLimiter, forgotPasswordEmailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
     // Verificar si existe el usuario
     const userResult = await query(
-      'SELECT id FROM users WHERE email = $1',
+      'SELECT id, email, name FROM users WHERE email = $1',
       [email.toLowerCase()]
     );
 
@@ -287,11 +736,16 @@ router.post('/forgot-password', async (req, res) => {
       message: 'Si el email existe, recibirás instrucciones para resetear tu contraseña'
     });
 
-    // Solo proceder si el usuario existe
+    // Solo proceder si el usuario existe (tras responder, para no delatar si existe)
     if (userResult.rows.length > 0) {
-      // Aquí se implementaría el envío de email
-      // Por ahora solo loggeamos
-      console.log(`Reset de contraseña solicitado para: ${email}`);
+      const user = userResult.rows[0];
+
+      try {
+        const { token } = await createPasswordResetToken(user.id, req.ip);
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Error enviando email de reset de contraseña:', error);
+      }
     }
 
   } catch (error) {
@@ -302,44 +756,89 @@ router.post('/forgot-password', async (req, res) => {
   }
 });
 
-// POST /api/auth/change-password - Cambiar contraseña
-router.post('/change-password', async (req, res) => {
+// POST /api/auth/reset-password - Establecer nueva contraseña con el token del email
+router.post('/reset-password', async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const { token, newPassword } = req.body;
 
-    if (!token) {
-      return res.status(401).json({
-        error: 'Token no proporcionado'
+    if (!token || !newPassword || typeof token !== 'string' || typeof newPassword !== 'string') {
+      return res.status(400).json({
+        error: 'Token y nueva contraseña son requeridos'
       });
     }
 
-    if (!currentPassword || !newPassword) {
+    const resetUser = await findPasswordResetUser(token);
+
+    if (!resetUser) {
       return res.status(400).json({
-        error: 'Contraseña actual y nueva son requeridas'
+        error: 'El enlace de reset no es válido o ha caducado',
+        code: 'INVALID_RESET_TOKEN'
       });
     }
 
-    if (newPassword.length < 6) {
+    // Validar la contraseña antes de gastar el enlace
+    const passwordValidation = validatePassword(newPassword, resetUser);
+
+    if (!passwordValidation.valid) {
+      return res.status(400).json(passwordErrorResponse(passwordValidation));
+    }
+
+    // Hashear la nueva contraseña antes de gastar el enlace: si falla, sigue valiendo
+    const newPasswordHash = await hashPassword(newPassword);
+
+    // Consumir el token (un solo uso)
+    const userId = await consumePasswordResetToken(token);
+
+    if (!userId) {
       return res.status(400).json({
-        error: 'La nueva contraseña debe tener al menos 6 caracteres'
+        error: 'El enlace de reset no es válido o ha caducado',
+        code: 'INVALID_RESET_TOKEN'
       });
     }
 
-    // Verificar token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET || 'bizlyticsapp-secret-key-2025');
-    } catch (error) {
-      return res.status(401).json({
-        error: 'Token inválido'
+    const userResult = await query(
+      `UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+       RETURNING id, email, name`,
+      [newPasswordHash, userId]
+    );
+
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    const revokedSessions = await revokeAllSessions(userId);
+
+    res.json({
+      message: 'Contraseña restablecida exitosamente. Inicia sesión con tu nueva contraseña.'
+    });
+
+    if (userResult.rows.length > 0) {
+      sendPasswordChangedEmail(userResult.rows[0])
+        .catch(error => console.error('Error enviando aviso de cambio de contraseña:', error));
+    }
+
+    console.log(`🔑 Contraseña restablecida para usuario ${userId}, ${revokedSessions} sesiones cerradas`);
+
+  } catch (error) {
+    console.error('Error en reset-password:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/change-password - Cambiar contraseña
+router.post('/change-password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'Contraseña actual y nueva son requeridas'
       });
     }
 
     // Obtener usuario y verificar contraseña actual
     const userResult = await query(
-      'SELECT password_hash FROM users WHERE id = $1',
-      [decoded.userId]
+      'SELECT email, name, company_name, password_hash FROM users WHERE id = $1',
+      [req.userId]
     );
 
     if (userResult.rows.length === 0) {
@@ -349,7 +848,15 @@ router.post('/change-password', async (req, res) => {
     }
 
     const user = userResult.rows[0];
-    const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
+
+    if (!user.password_hash) {
+      return res.status(400).json({
+        error: 'Tu cuenta no tiene contraseña. Usa "¿Olvidaste tu contraseña?" para crear una',
+        code: 'NO_PASSWORD'
+      });
+    }
+
+    const isValidPassword = await verifyPassword(currentPassword, user.password_hash);
 
     if (!isValidPassword) {
       return res.status(401).json({
@@ -357,18 +864,27 @@ router.post('/change-password', async (req, res) => {
       });
     }
 
+    const passwordValidation = validatePassword(newPassword, user);
+
+    if (!passwordValidation.valid) {
+      return res.status(400).json(passwordErrorResponse(passwordValidation));
+    }
+
     // Hashear nueva contraseña
-    const saltRounds = 12;
-    const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+    const newPasswordHash = await hashPassword(newPassword);
 
     // Actualizar contraseña
     await query(
       'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [newPasswordHash, decoded.userId]
+      [newPasswordHash, req.userId]
     );
 
+    // Cerrar el resto de sesiones, abiertas con la contraseña anterior
+    const revokedSessions = await revokeAllSessions(req.userId, req.sessionId);
+
     res.json({
-      message: 'Contraseña actualizada exitosamente'
+      message: 'Contraseña actualizada exitosamente',
+      revoked_sessions: revokedSessions
     });
 
   } catch (error) {
@@ -379,4 +895,271 @@ router.post('/change-password', async (req, res) => {
   }
 });
 
+// GET /api/auth/sessions - Listar las sesiones activas del usuario
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.userId);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error listando sesiones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions - Cerrar todas las sesiones salvo la actual
+router.delete('/sessions', requireAuth, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.userId, req.sessionId);
+
+    res.json({
+      message: 'Se han cerrado las demás sesiones',
+      revoked_sessions: revokedSessions
+    });
+
+  } catch (error) {
+    console.error('Error cerrando sesiones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Cerrar una sesión concreta
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    if (isNaN(sessionId)) {
+      return res.status(400).json({
+        error: 'ID de sesión inválido'
+      });
+    }
+
+    const revoked = await revokeSession(req.userId, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Sesión no encontrada'
+      });
+    }
+
+    res.json({
+      message: sessionId === req.sessionId ? 'Sesión actual cerrada' : 'Sesión cerrada',
+      current: sessionId === req.sessionId
+    });
+
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/auth/2fa - Estado de la verificación en dos pasos
+router.get('/2fa', requireAuth, async (req, res) => {
+  try {
+    const state = await getTwoFactorState(req.userId);
+
+    if (!state) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    res.json({
+      enabled: !!state.totp_enabled_at,
+      enabled_at: state.totp_enabled_at,
+      pending_confirmation: !!state.totp_secret && !state.totp_enabled_at,
+      recovery_codes_remaining: state.totp_enabled_at ? await countRemainingRecoveryCodes(req.userId) : 0
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo estado 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/2fa/setup - Iniciar la activación de 2FA (devuelve la URI otpauth)
+router.post('/2fa/setup', requireAuth, async (req, res) => {
+  try {
+    const state = await getTwoFactorState(req.userId);
+
+    if (!state) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (state.totp_enabled_at) {
+      return res.status(409).json({
+        error: 'La verificación en dos pasos ya está activada',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = await startEnrollment(req.userId);
+
+    res.json({
+      message: 'Escanea el código QR con tu app de autenticación y confirma con el primer código',
+      secret,
+      otpauth_uri: buildOtpauthUri(state.email, secret)
+    });
+
+  } catch (error) {
+    console.error('Error iniciando 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/2fa/confirm - Confirmar la activación con el primer código
+router.post('/2fa/confirm', requireAuth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Código de verificación requerido'
+      });
+    }
+
+    const state = await getTwoFactorState(req.userId);
+
+    if (!state) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (state.totp_enabled_at) {
+      return res.status(409).json({
+        error: 'La verificación en dos pasos ya está activada',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!state.totp_secret) {
+      return res.status(400).json({
+        error: 'Primero inicia la activación de 2FA',
+        code: 'TWO_FACTOR_NOT_STARTED'
+      });
+    }
+
+    const step = verifyTotp(state.totp_secret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Código de verificación incorrecto',
+        code: 'INVALID_CODE'
+      });
+    }
+
+    await query(
+      'UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [req.userId]
+    );
+    await recordSuccessfulCode(req.userId, step);
+
+    const recoveryCodes = await generateRecoveryCodes(req.userId);
+
+    res.json({
+      message: 'Verificación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro.',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Error confirmando 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Función para comprobar la contraseña actual en las rutas sensibles de 2FA.
+// Devuelve el estado 2FA o envía la respuesta de error y devuelve null.
+const checkPasswordForTwoFactor = async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    res.status(400).json({ error: 'La contraseña actual es requerida' });
+    return null;
+  }
+
+  const state = await getTwoFactorState(req.userId);
+
+  if (!state) {
+    res.status(404).json({ error: 'Usuario no encontrado' });
+    return null;
+  }
+
+  if (!await verifyPassword(password, state.password_hash)) {
+    res.status(401).json({ error: 'Contraseña actual incorrecta' });
+    return null;
+  }
+
+  if (!state.totp_enabled_at) {
+    res.status(400).json({
+      error: 'La verificación en dos pasos no está activada',
+      code: 'TWO_FACTOR_NOT_ENABLED'
+    });
+    return null;
+  }
+
+  return state;
+};
+
+// POST /api/auth/2fa/disable - Desactivar 2FA (requiere la contraseña actual)
+router.post('/2fa/disable', requireAuth, async (req, res) => {
+  try {
+    const state = await checkPasswordForTwoFactor(req, res);
+    if (!state) return;
+
+    await disableTwoFactor(req.userId);
+
+    res.json({
+      message: 'Verificación en dos pasos desactivada'
+    });
+
+  } catch (error) {
+    console.error('Error desactivando 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Regenerar códigos de recuperación (requiere la contraseña actual)
+router.post('/2fa/recovery-codes', requireAuth, async (req, res) => {
+  try {
+    const state = await checkPasswordForTwoFactor(req, res);
+    if (!state) return;
+
+    const recoveryCodes = await generateRecoveryCodes(req.userId);
+
+    res.json({
+      message: 'Códigos de recuperación regenerados. Los anteriores ya no son válidos.',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Error regenerando códigos de recuperación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,200 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../services/emailVerification');
+const {
+  getBusinessLimit,
+  normalizeBusinessName,
+  listBusinesses,
+  countBusinesses,
+  getBusiness,
+  createBusiness,
+  switchBusiness,
+  renameBusiness,
+  deleteBusiness,
+  requireBusiness
+} = require('../services/businesses');
+const { hasRole, requireRole } = require('../services/organizations');
+const { PLAN_ENTITLEMENTS } = require('../services/entitlements');
+const router = express.Router();
+
+// Función para obtener un negocio accesible exigiendo rol admin en su organización.
+// Devuelve { business } o { status, error }.
+const getManagedBusiness = async (userId, businessId) => {
+  const business = await getBusiness(userId, businessId);
+
+  if (!business) {
+    return { status: 404, error: 'Negocio no encontrado' };
+  }
+
+  if (!hasRole(business.role, 'admin')) {
+    return { status: 403, error: 'Tu rol en la organización no permite esta acción', code: 'INSUFFICIENT_ROLE' };
+  }
+
+  return { business };
+};
+
+// GET /api/businesses - Listar los negocios accesibles y el límite de la organización seleccionada
+router.get('/', requireAuth, requireBusiness, async (req, res) => {
+  try {
+    const [businesses, limit, organizationBusinesses] = await Promise.all([
+      listBusinesses(req.userId),
+      getBusinessLimit(req.business.owner_user_id),
+      countBusinesses(req.business.organization_id)
+    ]);
+
+    res.json({
+      businesses,
+      current_business_id: req.businessId,
+      organization: {
+        id: req.business.organization_id,
+        name: req.business.organization_name,
+        role: req.role
+      },
+      plan_type: limit.plan_type,
+      max_businesses: limit.max_businesses,
+      can_add_more: hasRole(req.role, 'admin') && organizationBusinesses < limit.max_businesses
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo negocios:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/businesses - Crear un negocio en la organización seleccionada
+// (varios negocios requieren el plan Business)
+router.post('/', requireAuth, requireVerifiedEmail, requireBusiness, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, error } = normalizeBusinessName(req.body.name);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await createBusiness(req.business, name);
+
+    if (result.error) {
+      return res.status(403).json({
+        error: result.error,
+        code: result.code,
+        max_businesses: result.max_businesses,
+        upgrade_required: Object.values(PLAN_ENTITLEMENTS).some(plan => plan.max_businesses > result.max_businesses)
+      });
+    }
+
+    // Opcionalmente se selecciona el negocio recién creado
+    if (req.body.switch === true) {
+      await switchBusiness(req.userId, result.business.id);
+    }
+
+    console.log(`🏢 Negocio ${result.business.id} creado para usuario ${req.userId}`);
+
+    res.status(201).json({
+      message: 'Negocio creado exitosamente',
+      business: { ...result.business, is_current: req.body.switch === true }
+    });
+
+  } catch (error) {
+    console.error('Error creando negocio:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// PUT /api/businesses/:id - Renombrar un negocio
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const businessId = parseInt(req.params.id);
+
+    if (isNaN(businessId)) {
+      return res.status(400).json({ error: 'ID de negocio inválido' });
+    }
+
+    const { name, error } = normalizeBusinessName(req.body.name);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const managed = await getManagedBusiness(req.userId, businessId);
+
+    if (managed.error) {
+      return res.status(managed.status).json({ error: managed.error, ...(managed.code ? { code: managed.code } : {}) });
+    }
+
+    const business = await renameBusiness(businessId, name);
+
+    res.json({
+      message: 'Negocio actualizado exitosamente',
+      business
+    });
+
+  } catch (error) {
+    console.error('Error actualizando negocio:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/businesses/:id/switch - Seleccionar el negocio activo del dashboard
+router.post('/:id/switch', requireAuth, async (req, res) => {
+  try {
+    const businessId = parseInt(req.params.id);
+
+    if (isNaN(businessId)) {
+      return res.status(400).json({ error: 'ID de negocio inválido' });
+    }
+
+    const business = await switchBusiness(req.userId, businessId);
+
+    if (!business) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    res.json({
+      message: `Negocio activo: ${business.name}`,
+      business: { ...business, is_current: true }
+    });
+
+  } catch (error) {
+    console.error('Error cambiando de negocio:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// DELETE /api/businesses/:id - Eliminar un negocio con sus integraciones, datos y alertas
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const businessId = parseInt(req.params.id);
+
+    if (isNaN(businessId)) {
+      return res.status(400).json({ error: 'ID de negocio inválido' });
+    }
+
+    const managed = await getManagedBusiness(req.userId, businessId);
+
+    if (managed.error) {
+      return res.status(managed.status).json({ error: managed.error, ...(managed.code ? { code: managed.code } : {}) });
+    }
+
+    const result = await deleteBusiness(managed.business);
+
+    if (result.error) {
+      return res.status(409).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    console.log(`🗑️ Negocio ${businessId} eliminado por usuario ${req.userId}`);
+
+    res.json({
+      message: 'Negocio eliminado exitosamente',
+      deleted: result.deleted
+    });
+
+  } catch (error) {
+    console.error('Error eliminando negocio:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
@@ -1,66 +1,41 @@
 const express = require('express');
 const { query } = require('../database');
-const jwt = require('jsonwebtoken');
+const {
+  DAY_MS,
+  SYNC_DATA_TYPES,
+  getPeriodMetrics,
+  getCurrentAndPreviousMetrics,
+  percentChange,
+  compareMetric,
+  resolveBaselinePeriods,
+  scaleMetrics
+} = require('../services/metrics');
+const {
+  GRANULARITIES,
+  toDateString,
+  startOfUTCDay,
+  getTimeSeries
+} = require('../services/dailyMetrics');
+const { enqueueSync, getSyncJob, listSyncJobs } = require('../services/syncQueue');
+const { SYNCABLE_TYPES } = require('../services/connectors');
+const { requireAuth } = require('../middleware/auth');
+const { requireBusiness } = require('../services/businesses');
+const { requireRole } = require('../services/organizations');
+const { PLAN_ENTITLEMENTS, hasFeature, loadEntitlements } = require('../services/entitlements');
 const router = express.Router();
 
-// Middleware para verificar autenticación
-const requireAuth = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'Token requerido' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'bizlyticsapp-secret-key-2025');
-    
-    // Verificar sesión activa
-    const sessionResult = await query(
-      'SELECT user_id, expires_at FROM sessions WHERE session_token = $1 AND user_id = $2',
-      [token, decoded.userId]
-    );
-
-    if (sessionResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Sesión inválida' });
-    }
-
-    const session = sessionResult.rows[0];
-    if (new Date() > new Date(session.expires_at)) {
-      await query('DELETE FROM sessions WHERE session_token = $1', [token]);
-      return res.status(401).json({ error: 'Sesión expirada' });
-    }
+// Rango máximo de días consultable en /analytics
+const MAX_ANALYTICS_DAYS = 730;
 
-    req.userId = decoded.userId;
-    next();
-  } catch (error) {
-    console.error('Error en autenticación:', error);
-    return res.status(401).json({ error: 'Token inválido' });
-  }
-};
-
-// Función para generar datos simulados inteligentes
-const generateSmartMockData = (integrationsCount, subscriptionPlan) => {
-  const baseMultiplier = subscriptionPlan === 'business' ? 2.5 : subscriptionPlan === 'pro' ? 1.5 : 1;
-  const integrationMultiplier = Math.max(1, integrationsCount * 0.3);
-  
-  return {
-    revenue: Math.round((800 + Math.random() * 2200) * baseMultiplier * integrationMultiplier),
-    transactions: Math.round((15 + Math.random() * 35) * integrationMultiplier),
-    customers: Math.round((5 + Math.random() * 20) * integrationMultiplier),
-    conversion_rate: Math.round((2.1 + Math.random() * 4.8) * 100) / 100,
-    avg_order_value: Math.round((45 + Math.random() * 155) * baseMultiplier),
-    traffic: Math.round((500 + Math.random() * 2000) * integrationMultiplier),
-    bounce_rate: Math.round((25 + Math.random() * 35) * 100) / 100,
-    emails_processed: Math.round((10 + Math.random() * 40) * integrationMultiplier)
-  };
-};
+// Función para formatear una métrica (las no disponibles se muestran como tal, no como 0)
+const formatMetric = (value, format) => (value === null ? 'No disponible' : format(value));
 
-// Función para generar insights inteligentes
-const generateAIInsights = (data, previousData, subscriptionPlan) => {
+// Función para generar insights inteligentes (tantos como permita el plan)
+const generateAIInsights = (data, previousData, entitlements) => {
   const insights = [];
   
   // Análisis de tendencias de ingresos
-  if (previousData && data.revenue > previousData.revenue * 1.1) {
+  if (previousData && previousData.revenue > 0 && data.revenue > previousData.revenue * 1.1) {
     insights.push({
       type: 'success',
       title: 'Crecimiento Excelente',
@@ -70,8 +45,8 @@ const generateAIInsights = (data, previousData, subscriptionPlan) => {
     });
   }
   
-  // Análisis de conversión
-  if (data.conversion_rate < 2.5) {
+  // Análisis de conversión (solo si hay tráfico sincronizado)
+  if (data.traffic > 0 && data.conversion_rate < 2.5) {
     insights.push({
       type: 'warning',
       title: 'Oportunidad de Mejora',
@@ -79,7 +54,7 @@ const generateAIInsights = (data, previousData, subscriptionPlan) => {
       priority: 'medium',
       action: 'Optimiza tu landing page y proceso de checkout.'
     });
-  } else if (data.conversion_rate > 4.5) {
+  } else if (data.traffic > 0 && data.conversion_rate > 4.5) {
     insights.push({
       type: 'success',
       title: 'Conversión Excepcional',
@@ -90,7 +65,7 @@ const generateAIInsights = (data, previousData, subscriptionPlan) => {
   }
   
   // Análisis de valor promedio de pedido
-  if (data.avg_order_value < 60) {
+  if (data.transactions > 0 && data.avg_order_value < 60) {
     insights.push({
       type: 'info',
       title: 'Aumenta el Valor por Cliente',
@@ -101,7 +76,7 @@ const generateAIInsights = (data, previousData, subscriptionPlan) => {
   }
   
   // Análisis específico por plan
-  if (subscriptionPlan === 'free') {
+  if (!hasFeature(entitlements, 'ai_insights')) {
     insights.push({
       type: 'info',
       title: 'Desbloquea Más Insights',
@@ -111,19 +86,20 @@ const generateAIInsights = (data, previousData, subscriptionPlan) => {
     });
   }
   
-  return insights.slice(0, subscriptionPlan === 'business' ? 5 : subscriptionPlan === 'pro' ? 4 : 2);
+  return insights.slice(0, entitlements.insight_count);
 };
 
+// Todas las rutas muestran el negocio seleccionado con el plan del propietario de
+// su organización (req.entitlements); sincronizar y exportar requieren al menos el rol analyst.
+// history_days solo se aplica a /analytics: /overview y /kpis devuelven totales
+// agregados (no la serie diaria) y comparan con el período anterior en todos los planes.
+
 // GET /api/dashboard/overview - Vista general del dashboard
-router.get('/overview', requireAuth, async (req, res) => {
+router.get('/overview', requireAuth, requireBusiness, loadEntitlements, async (req, res) => {
   try {
-    // Obtener información del usuario y suscripción
+    // Obtener información del usuario
     const userResult = await query(
-      `SELECT u.name, u.company_name, u.subscription_status,
-              COALESCE(s.plan_type, 'free') as plan_type
-       FROM users u
-       LEFT JOIN subscriptions s ON u.id = s.user_id AND s.status = 'active'
-       WHERE u.id = $1`,
+      'SELECT name, company_name FROM users WHERE id = $1',
       [req.userId]
     );
 
@@ -133,62 +109,46 @@ router.get('/overview', requireAuth, async (req, res) => {
 
     const user = userResult.rows[0];
 
-    // Obtener integraciones activas
+    // Obtener integraciones activas del negocio
     const integrationsResult = await query(
-      'SELECT COUNT(*) as count, integration_type FROM integrations WHERE user_id = $1 AND is_active = true GROUP BY integration_type',
-      [req.userId]
+      'SELECT COUNT(*) as count, integration_type FROM integrations WHERE business_id = $1 AND is_active = true GROUP BY integration_type',
+      [req.businessId]
     );
 
     const integrations = integrationsResult.rows;
     const integrationsCount = integrations.length;
 
-    // Obtener datos recientes del dashboard
-    const recentDataResult = await query(
-      `SELECT data_type, data_value, created_at
-       FROM dashboard_data 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC 
-       LIMIT 10`,
-      [req.userId]
-    );
-
-    // Generar o usar datos reales
-    let currentData = generateSmartMockData(integrationsCount, user.plan_type);
-    let previousData = generateSmartMockData(integrationsCount, user.plan_type);
-    
-    // Si hay datos reales, usarlos
-    if (recentDataResult.rows.length > 0) {
-      // Aquí procesarías los datos reales
-      // Por ahora mantenemos los datos simulados pero inteligentes
-    }
+    // Agregar métricas reales del período actual y el anterior
+    const { current: currentData, previous: previousData, periods } = await getCurrentAndPreviousMetrics(req.businessId);
 
     // Generar insights con IA
-    const insights = generateAIInsights(currentData, previousData, user.plan_type);
+    const insights = generateAIInsights(currentData, previousData, req.entitlements);
 
     // Calcular métricas principales
     const metrics = {
       revenue: {
         current: currentData.revenue,
         previous: previousData.revenue,
-        change: ((currentData.revenue - previousData.revenue) / previousData.revenue * 100).toFixed(1),
+        change: percentChange(currentData.revenue, previousData.revenue),
         formatted: `€${currentData.revenue.toLocaleString()}`
       },
       customers: {
         current: currentData.customers,
         previous: previousData.customers,
-        change: ((currentData.customers - previousData.customers) / previousData.customers * 100).toFixed(1),
+        change: percentChange(currentData.customers, previousData.customers),
         formatted: currentData.customers.toString()
       },
       conversion_rate: {
         current: currentData.conversion_rate,
         previous: previousData.conversion_rate,
-        change: ((currentData.conversion_rate - previousData.conversion_rate) / previousData.conversion_rate * 100).toFixed(1),
-        formatted: `${currentData.conversion_rate}%`
+        change: percentChange(currentData.conversion_rate, previousData.conversion_rate),
+        formatted: formatMetric(currentData.conversion_rate, (value) => `${value}%`),
+        available: currentData.conversion_rate !== null
       },
       avg_order_value: {
         current: currentData.avg_order_value,
         previous: previousData.avg_order_value,
-        change: ((currentData.avg_order_value - previousData.avg_order_value) / previousData.avg_order_value * 100).toFixed(1),
+        change: percentChange(currentData.avg_order_value, previousData.avg_order_value),
         formatted: `€${currentData.avg_order_value}`
       }
     };
@@ -197,7 +157,14 @@ router.get('/overview', requireAuth, async (req, res) => {
       user: {
         name: user.name,
         company_name: user.company_name,
-        plan_type: user.plan_type
+        plan_type: req.entitlements.plan_type
+      },
+      business: {
+        id: req.business.id,
+        name: req.business.name,
+        organization_id: req.business.organization_id,
+        organization_name: req.business.organization_name,
+        role: req.role
       },
       metrics,
       integrations: {
@@ -205,6 +172,9 @@ router.get('/overview', requireAuth, async (req, res) => {
         types: integrations.map(i => i.integration_type)
       },
       insights,
+      periods,
+      unavailable_metrics: currentData.unavailable_metrics,
+      has_data: currentData.has_data || previousData.has_data,
       last_updated: new Date().toISOString()
     });
 
@@ -215,45 +185,82 @@ router.get('/overview', requireAuth, async (req, res) => {
 });
 
 // GET /api/dashboard/analytics - Análisis detallado
-router.get('/analytics', requireAuth, async (req, res) => {
+router.get('/analytics', requireAuth, requireBusiness, loadEntitlements, async (req, res) => {
   try {
-    const { period = '30d', integration_type } = req.query;
+    const { period = '30d', integration_type, granularity = 'day', from, to } = req.query;
 
-    // Obtener plan del usuario
-    const userResult = await query(
-      `SELECT u.subscription_status, COALESCE(s.plan_type, 'free') as plan_type
-       FROM users u
-       LEFT JOIN subscriptions s ON u.id = s.user_id AND s.status = 'active'
-       WHERE u.id = $1`,
-      [req.userId]
-    );
+    if (!GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: `Granularidad no válida. Usa: ${GRANULARITIES.join(', ')}` });
+    }
 
-    const user = userResult.rows[0];
+    const integrationTypes = SYNC_DATA_TYPES.map(type => type.replace(/_sync$/, ''));
+    if (integration_type && !integrationTypes.includes(integration_type)) {
+      return res.status(400).json({ error: 'Tipo de integración no válido' });
+    }
+
+    // Resolver el rango de fechas: from/to explícitos o uno de los períodos predefinidos
+    let rangeStart;
+    let rangeEnd;
+
+    if (from || to) {
+      rangeStart = new Date(from);
+      rangeEnd = new Date(to);
+
+      if (!from || !to || isNaN(rangeStart) || isNaN(rangeEnd)) {
+        return res.status(400).json({ error: 'from y to son requeridos con formato de fecha válido (YYYY-MM-DD)' });
+      }
+
+      if (rangeStart > rangeEnd) {
+        return res.status(400).json({ error: 'La fecha from debe ser anterior a to' });
+      }
+    } else {
+      const days = period === '7d' ? 7 : period === '30d' ? 30 : 90;
+      rangeEnd = startOfUTCDay(new Date());
+      rangeStart = new Date(rangeEnd.getTime() - (days - 1) * DAY_MS);
+    }
+
+    const rangeDays = Math.round((rangeEnd - rangeStart) / DAY_MS) + 1;
+
+    if (rangeDays > MAX_ANALYTICS_DAYS) {
+      return res.status(400).json({ error: `El rango máximo es de ${MAX_ANALYTICS_DAYS} días` });
+    }
 
-    // Verificar acceso según plan
-    if (user.plan_type === 'free' && period !== '7d') {
+    // Verificar que el rango está dentro del historial que permite el plan
+    const { history_days: historyDays } = req.entitlements;
+    const historyStart = historyDays
+      ? new Date(startOfUTCDay(new Date()).getTime() - (historyDays - 1) * DAY_MS)
+      : null;
+
+    if (historyStart && rangeStart < historyStart) {
       return res.status(403).json({ 
-        error: 'Plan gratuito limitado a 7 días de análisis',
+        error: `Tu plan permite analizar los últimos ${historyDays} días`,
+        code: 'HISTORY_WINDOW_EXCEEDED',
+        history_days: historyDays,
         upgrade_required: true 
       });
     }
 
-    // Generar datos analíticos simulados
-    const days = period === '7d' ? 7 : period === '30d' ? 30 : 90;
-    const analyticsData = [];
+    // Consultar la serie temporal de métricas diarias
+    const series = await getTimeSeries(req.businessId, {
+      from: rangeStart,
+      to: rangeEnd,
+      granularity,
+      integrationType: integration_type || null
+    });
 
-    for (let i = days - 1; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      
-      analyticsData.push({
-        date: date.toISOString().split('T')[0],
-        revenue: Math.round(20 + Math.random() * 180),
-        transactions: Math.round(1 + Math.random() * 8),
-        visitors: Math.round(30 + Math.random() * 120),
-        conversion_rate: Math.round((1.5 + Math.random() * 4) * 100) / 100
-      });
-    }
+    const analyticsData = series.map(({ date, values }) => {
+      const revenue = Math.round((values.revenue || 0) * 100) / 100;
+      const transactions = Math.round(values.transactions || 0);
+      const visitors = Math.round(values.sessions || 0);
+
+      return {
+        date,
+        revenue,
+        transactions,
+        visitors,
+        conversion_rate: visitors > 0 ? Math.round(transactions / visitors * 10000) / 100 : null
+      };
+    });
 
     // Calcular totales
     const totals = analyticsData.reduce((acc, day) => {
@@ -263,19 +270,28 @@ router.get('/analytics', requireAuth, async (req, res) => {
       return acc;
     }, { revenue: 0, transactions: 0, visitors: 0 });
 
-    totals.avg_conversion_rate = (totals.transactions / totals.visitors * 100).toFixed(2);
+    totals.revenue = Math.round(totals.revenue * 100) / 100;
+    totals.avg_conversion_rate = totals.visitors > 0
+      ? (totals.transactions / totals.visitors * 100).toFixed(2)
+      : null;
 
     res.json({
-      period,
+      period: from || to ? 'custom' : period,
+      from: toDateString(rangeStart),
+      to: toDateString(rangeEnd),
+      granularity,
+      integration_type: integration_type || null,
       data: analyticsData,
       totals: {
         revenue: totals.revenue,
         revenue_formatted: `€${totals.revenue.toLocaleString()}`,
         transactions: totals.transactions,
         visitors: totals.visitors,
-        avg_conversion_rate: `${totals.avg_conversion_rate}%`
+        avg_conversion_rate: formatMetric(totals.avg_conversion_rate, (value) => `${value}%`)
       },
-      available_periods: user.plan_type === 'free' ? ['7d'] : ['7d', '30d', '90d']
+      available_periods: req.entitlements.analytics_periods,
+      history_days: historyDays,
+      available_granularities: GRANULARITIES
     });
 
   } catch (error) {
@@ -285,29 +301,22 @@ router.get('/analytics', requireAuth, async (req, res) => {
 });
 
 // GET /api/dashboard/kpis - KPIs principales
-router.get('/kpis', requireAuth, async (req, res) => {
+router.get('/kpis', requireAuth, requireBusiness, loadEntitlements, async (req, res) => {
   try {
-    // Obtener información del usuario
-    const userResult = await query(
-      `SELECT u.company_name, COALESCE(s.plan_type, 'free') as plan_type
-       FROM users u
-       LEFT JOIN subscriptions s ON u.id = s.user_id AND s.status = 'active'
-       WHERE u.id = $1`,
-      [req.userId]
-    );
-
-    const user = userResult.rows[0];
+    // Resolver el mes en curso y el período base de comparación
+    const periods = resolveBaselinePeriods(req.query);
 
-    // Obtener número de integraciones
-    const integrationsResult = await query(
-      'SELECT COUNT(*) as count FROM integrations WHERE user_id = $1 AND is_active = true',
-      [req.userId]
-    );
+    if (periods.error) {
+      return res.status(400).json({ error: periods.error });
+    }
 
-    const integrationsCount = parseInt(integrationsResult.rows[0].count);
+    const [data, rawBaselineData] = await Promise.all([
+      getPeriodMetrics(req.businessId, periods.current.start, periods.current.end),
+      getPeriodMetrics(req.businessId, periods.baseline.start, periods.baseline.end)
+    ]);
 
-    // Generar KPIs inteligentes
-    const data = generateSmartMockData(integrationsCount, user.plan_type);
+    // Llevar el período base a la duración del actual antes de comparar
+    const baselineData = scaleMetrics(rawBaselineData, periods.baseline.scale);
 
     const kpis = [
       {
@@ -315,8 +324,8 @@ router.get('/kpis', requireAuth, async (req, res) => {
         name: 'Ingresos Mensuales',
         value: data.revenue,
         formatted: `€${data.revenue.toLocaleString()}`,
-        change: '+12.5%',
-        trend: 'up',
+        baseline_value: baselineData.revenue,
+        ...compareMetric(data.revenue, baselineData.revenue),
         category: 'financial'
       },
       {
@@ -324,17 +333,17 @@ router.get('/kpis', requireAuth, async (req, res) => {
         name: 'Nuevos Clientes',
         value: data.customers,
         formatted: data.customers.toString(),
-        change: '+8.3%',
-        trend: 'up',
+        baseline_value: baselineData.customers,
+        ...compareMetric(data.customers, baselineData.customers),
         category: 'growth'
       },
       {
         id: 'conversion_rate',
         name: 'Tasa de Conversión',
         value: data.conversion_rate,
-        formatted: `${data.conversion_rate}%`,
-        change: data.conversion_rate > 3.5 ? '+5.2%' : '-2.1%',
-        trend: data.conversion_rate > 3.5 ? 'up' : 'down',
+        formatted: formatMetric(data.conversion_rate, (value) => `${value}%`),
+        baseline_value: baselineData.conversion_rate,
+        ...compareMetric(data.conversion_rate, baselineData.conversion_rate),
         category: 'performance'
       },
       {
@@ -342,37 +351,49 @@ router.get('/kpis', requireAuth, async (req, res) => {
         name: 'Ticket Promedio',
         value: data.avg_order_value,
         formatted: `€${data.avg_order_value}`,
-        change: '+15.7%',
-        trend: 'up',
+        baseline_value: baselineData.avg_order_value,
+        ...compareMetric(data.avg_order_value, baselineData.avg_order_value),
         category: 'financial'
       },
       {
         id: 'website_traffic',
         name: 'Tráfico Web',
         value: data.traffic,
-        formatted: data.traffic.toLocaleString(),
-        change: '+22.4%',
-        trend: 'up',
+        formatted: formatMetric(data.traffic, (value) => value.toLocaleString()),
+        baseline_value: baselineData.traffic,
+        ...compareMetric(data.traffic, baselineData.traffic),
         category: 'marketing'
       },
       {
-        id: 'customer_satisfaction',
-        name: 'Satisfacción Cliente',
-        value: 4.2,
-        formatted: '4.2/5',
-        change: '+0.3',
-        trend: 'up',
-        category: 'service'
+        id: 'bounce_rate',
+        name: 'Tasa de Rebote',
+        value: data.bounce_rate,
+        formatted: formatMetric(data.bounce_rate, (value) => `${value}%`),
+        baseline_value: baselineData.bounce_rate,
+        ...compareMetric(data.bounce_rate, baselineData.bounce_rate),
+        category: 'marketing'
       }
     ];
 
-    // Filtrar KPIs según plan
-    const availableKPIs = user.plan_type === 'free' ? kpis.slice(0, 3) : kpis;
+    // Filtrar KPIs según plan y marcar los que no tienen fuente sincronizada
+    const availableKPIs = kpis
+      .slice(0, req.entitlements.kpi_count)
+      .map((kpi) => ({ ...kpi, available: kpi.value !== null }));
 
     res.json({
       kpis: availableKPIs,
-      categories: ['financial', 'growth', 'performance', 'marketing', 'service'],
-      plan_type: user.plan_type,
+      categories: ['financial', 'growth', 'performance', 'marketing'],
+      period: {
+        start: periods.current.start.toISOString(),
+        end: periods.current.end.toISOString()
+      },
+      baseline: {
+        type: periods.baseline.type,
+        start: periods.baseline.start.toISOString(),
+        end: periods.baseline.end.toISOString(),
+        scale: Math.round(periods.baseline.scale * 1000) / 1000
+      },
+      plan_type: req.entitlements.plan_type,
       total_kpis: availableKPIs.length
     });
 
@@ -383,20 +404,9 @@ router.get('/kpis', requireAuth, async (req, res) => {
 });
 
 // GET /api/dashboard/insights - Insights e recomendaciones con IA
-router.get('/insights', requireAuth, async (req, res) => {
+router.get('/insights', requireAuth, requireBusiness, loadEntitlements, async (req, res) => {
   try {
-    // Obtener plan del usuario
-    const userResult = await query(
-      `SELECT COALESCE(s.plan_type, 'free') as plan_type
-       FROM users u
-       LEFT JOIN subscriptions s ON u.id = s.user_id AND s.status = 'active'
-       WHERE u.id = $1`,
-      [req.userId]
-    );
-
-    const user = userResult.rows[0];
-
-    if (user.plan_type === 'free') {
+    if (!hasFeature(req.entitlements, 'ai_insights')) {
       return res.json({
         insights: [{
           type: 'info',
@@ -405,25 +415,19 @@ router.get('/insights', requireAuth, async (req, res) => {
           priority: 'medium',
           action: 'Ver planes disponibles'
         }],
-        available_in_plan: ['pro', 'business']
+        available_in_plan: Object.keys(PLAN_ENTITLEMENTS)
+          .filter(planType => PLAN_ENTITLEMENTS[planType].features.includes('ai_insights'))
       });
     }
 
-    // Obtener datos para generar insights
-    const integrationsResult = await query(
-      'SELECT COUNT(*) as count FROM integrations WHERE user_id = $1 AND is_active = true',
-      [req.userId]
-    );
-
-    const integrationsCount = parseInt(integrationsResult.rows[0].count);
-    const data = generateSmartMockData(integrationsCount, user.plan_type);
-    const previousData = generateSmartMockData(integrationsCount, user.plan_type);
+    // Obtener datos reales para generar insights
+    const { current: data, previous: previousData } = await getCurrentAndPreviousMetrics(req.businessId);
 
     // Generar insights avanzados
-    const insights = generateAIInsights(data, previousData, user.plan_type);
+    const insights = generateAIInsights(data, previousData, req.entitlements);
 
-    // Agregar insights específicos para planes premium
-    if (user.plan_type === 'pro' || user.plan_type === 'business') {
+    // Agregar predicciones a los planes con insights de IA
+    if (hasFeature(req.entitlements, 'ai_insights')) {
       insights.push({
         type: 'prediction',
         title: 'Predicción de Ingresos',
@@ -441,7 +445,7 @@ router.get('/insights', requireAuth, async (req, res) => {
       });
     }
 
-    if (user.plan_type === 'business') {
+    if (hasFeature(req.entitlements, 'advanced_reports')) {
       insights.push({
         type: 'competitive',
         title: 'Análisis Competitivo',
@@ -454,7 +458,7 @@ router.get('/insights', requireAuth, async (req, res) => {
     res.json({
       insights,
       generated_at: new Date().toISOString(),
-      plan_type: user.plan_type,
+      plan_type: req.entitlements.plan_type,
       next_update: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
     });
 
@@ -464,98 +468,109 @@ router.get('/insights', requireAuth, async (req, res) => {
   }
 });
 
-// POST /api/dashboard/sync - Sincronizar datos del dashboard
-router.post('/sync', requireAuth, async (req, res) => {
+// POST /api/dashboard/sync - Encolar la sincronización de todas las integraciones
+router.post('/sync', requireAuth, requireBusiness, requireRole('analyst'), async (req, res) => {
   try {
-    // Obtener integraciones activas
+    // Obtener integraciones activas del negocio que tienen conector y están autorizadas
     const integrationsResult = await query(
-      'SELECT id, integration_type, additional_data FROM integrations WHERE user_id = $1 AND is_active = true',
-      [req.userId]
+      `SELECT id, user_id, integration_type FROM integrations
+       WHERE business_id = $1 AND is_active = true AND integration_type = ANY($2)
+         AND COALESCE(additional_data->>'status', 'connected') NOT IN ('pending_oauth', 'needs_reauth')`,
+      [req.businessId, SYNCABLE_TYPES]
     );
 
     const integrations = integrationsResult.rows;
-    const syncResults = [];
 
-    // Simular sincronización para cada integración
-    for (const integration of integrations) {
-      const mockData = {
-        stripe: { revenue: 1250.50, transactions: 25, customers: 8 },
-        google_analytics: { sessions: 1500, pageviews: 4200, bounce_rate: 0.35 },
-        gmail: { emails: 45, important: 12, customer_inquiries: 8 }
-      };
+    // Período sincronizado: el día UTC de ayer completo
+    const periodEnd = startOfUTCDay(new Date());
+    const periodStart = new Date(periodEnd.getTime() - DAY_MS);
 
-      const dataToSync = mockData[integration.integration_type] || {};
-
-      // Guardar datos sincronizados
-      await query(
-        `INSERT INTO dashboard_data (user_id, integration_id, data_type, data_value, period_start, period_end)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [
-          req.userId,
-          integration.id,
-          `${integration.integration_type}_sync`,
-          JSON.stringify(dataToSync),
-          new Date(Date.now() - 24 * 60 * 60 * 1000), // Ayer
-          new Date()
-        ]
-      );
-
-      syncResults.push({
-        integration_type: integration.integration_type,
-        status: 'success',
-        records_synced: Object.keys(dataToSync).length,
-        last_sync: new Date().toISOString()
-      });
+    const jobs = [];
+    for (const integration of integrations) {
+      const { job } = await enqueueSync(integration.user_id, integration.id, periodStart, periodEnd);
+      jobs.push({ ...job, integration_type: integration.integration_type });
     }
 
-    res.json({
-      message: 'Sincronización completada exitosamente',
-      sync_results: syncResults,
+    res.status(202).json({
+      message: 'Sincronización encolada',
+      jobs,
       total_integrations: integrations.length,
-      sync_timestamp: new Date().toISOString()
+      status_url: '/api/dashboard/sync/jobs'
     });
 
   } catch (error) {
-    console.error('Error sincronizando dashboard:', error);
+    console.error('Error encolando sincronización:', error);
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-// GET /api/dashboard/export - Exportar datos del dashboard
-router.get('/export', requireAuth, async (req, res) => {
+// GET /api/dashboard/sync/jobs - Jobs de sincronización recientes
+router.get('/sync/jobs', requireAuth, requireBusiness, async (req, res) => {
   try {
-    const { format = 'json', period = '30d' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const jobs = await listSyncJobs(req.businessId, limit);
 
-    // Obtener plan del usuario
-    const userResult = await query(
-      `SELECT COALESCE(s.plan_type, 'free') as plan_type
-       FROM users u
-       LEFT JOIN subscriptions s ON u.id = s.user_id AND s.status = 'active'
-       WHERE u.id = $1`,
-      [req.userId]
-    );
+    res.json({ jobs });
 
-    const user = userResult.rows[0];
+  } catch (error) {
+    console.error('Error obteniendo jobs de sincronización:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// GET /api/dashboard/sync/jobs/:id - Estado de un job de sincronización
+router.get('/sync/jobs/:id', requireAuth, requireBusiness, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({ error: 'ID de job inválido' });
+    }
+
+    const job = await getSyncJob(req.businessId, jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job no encontrado' });
+    }
 
-    if (user.plan_type === 'free') {
+    res.json({ job });
+
+  } catch (error) {
+    console.error('Error obteniendo job de sincronización:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// GET /api/dashboard/export - Exportar datos del dashboard
+router.get('/export', requireAuth, requireBusiness, requireRole('analyst'), loadEntitlements, async (req, res) => {
+  try {
+    const { format = 'json', period = '30d' } = req.query;
+    const exportFormats = req.entitlements.export_formats;
+
+    if (exportFormats.length === 0) {
       return res.status(403).json({ 
         error: 'Función de exportación disponible solo en planes Pro y Business',
         upgrade_required: true 
       });
     }
 
+    if (!exportFormats.includes(format)) {
+      return res.status(400).json({ error: `Formato no válido. Usa: ${exportFormats.join(', ')}` });
+    }
+
     // Obtener datos para exportar
     const dashboardDataResult = await query(
       `SELECT data_type, data_value, created_at
        FROM dashboard_data 
-       WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '${period === '7d' ? '7' : '30'} days'
+       WHERE business_id = $1 AND created_at >= NOW() - INTERVAL '${period === '7d' ? '7' : '30'} days'
        ORDER BY created_at DESC`,
-      [req.userId]
+      [req.businessId]
     );
 
     const exportData = {
       export_info: {
         user_id: req.userId,
+        business_id: req.businessId,
         period: period,
         generated_at: new Date().toISOString(),
         format: format
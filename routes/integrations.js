@@ -1,42 +1,44 @@
 const express = require('express');
 const { query } = require('../database');
-const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const { startOfUTCDay } = require('../services/dailyMetrics');
+const { enqueueSync } = require('../services/syncQueue');
+const { ensureFreshToken } = require('../services/integrationTokens');
+const { encryptSecret, getCurrentKeyVersion } = require('../services/secrets');
+const { parseStripeCredentials, fetchAccount } = require('../services/connectors/stripe');
+const { checkAnalyticsConnection, checkGmailConnection } = require('../services/connectors/google');
+const { getSyncConnector } = require('../services/connectors');
+const { listSyncRuns, getIntegrationHealth } = require('../services/syncRuns');
+const {
+  GOOGLE_AUTH_URL,
+  isGoogleOAuthConfigured,
+  buildAuthorizeUrl,
+  verifyState,
+  exchangeCode,
+  INTEGRATION_BINDING_COOKIE,
+  LOGIN_BINDING_MAX_AGE_MS,
+  getCookie
+} = require('../services/googleOAuth');
+const { requireAuth } = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../services/emailVerification');
+const { requireBusiness, countBusinesses } = require('../services/businesses');
+const { requireRole } = require('../services/organizations');
+const { loadEntitlements, checkIntegrationEntitlement, withIntegrationEntitlement } = require('../services/entitlements');
 const router = express.Router();
 
-// Middleware para verificar autenticación
-const requireAuth = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'Token requerido' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'bizlyticsapp-secret-key-2025');
-    
-    // Verificar sesión activa
-    const sessionResult = await query(
-      'SELECT user_id, expires_at FROM sessions WHERE session_token = $1 AND user_id = $2',
-      [token, decoded.userId]
-    );
-
-    if (sessionResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Sesión inválida' });
-    }
-
-    const session = sessionResult.rows[0];
-    if (new Date() > new Date(session.expires_at)) {
-      await query('DELETE FROM sessions WHERE session_token = $1', [token]);
-      return res.status(401).json({ error: 'Sesión expirada' });
-    }
+// La cookie de ligadura solo se envía al callback de Google
+const googleBindingCookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/integrations/google'
+};
 
-    req.userId = decoded.userId;
-    next();
-  } catch (error) {
-    console.error('Error en autenticación:', error);
-    return res.status(401).json({ error: 'Token inválido' });
-  }
+// Función para iniciar el OAuth de una integración: deja la cookie de ligadura y devuelve la URL
+const startGoogleFlow = (req, res, integrationId, integrationType) => {
+  const { url, binding } = buildAuthorizeUrl(req.userId, integrationId, integrationType, INTEGRATION_TYPES[integrationType].setup_url);
+  res.cookie(INTEGRATION_BINDING_COOKIE, binding, { ...googleBindingCookieOptions, maxAge: LOGIN_BINDING_MAX_AGE_MS });
+  return url;
 };
 
 // Configuración de integraciones disponibles
@@ -55,7 +57,7 @@ const INTEGRATION_TYPES = {
     icon: 'bar-chart',
     color: '#FF6C37',
     requires_oauth: true,
-    setup_url: 'https://accounts.google.com/o/oauth2/v2/auth'
+    setup_url: GOOGLE_AUTH_URL
   },
   gmail: {
     name: 'Gmail',
@@ -63,28 +65,70 @@ const INTEGRATION_TYPES = {
     icon: 'mail',
     color: '#EA4335',
     requires_oauth: true,
-    setup_url: 'https://accounts.google.com/o/oauth2/v2/auth'
+    setup_url: GOOGLE_AUTH_URL
   }
 };
 
-// GET /api/integrations - Obtener todas las integraciones del usuario
-router.get('/', requireAuth, async (req, res) => {
+// Campos de additional_data que el usuario puede modificar con PUT /:id
+const EDITABLE_SETTINGS = {
+  stripe: [],
+  google_analytics: ['property_id'],
+  gmail: ['email_filters']
+};
+
+// Las integraciones pertenecen al negocio seleccionado y, como el resto de sus
+// datos, al propietario de la organización (user_id). Consultarlas basta con ser
+// miembro; probarlas y sincronizarlas requiere analyst y gestionarlas, admin.
+
+// Función para responder que el plan no permite la integración
+const sendEntitlementDenied = (req, res, denied) => res.status(403).json({
+  ...denied,
+  plan_type: req.entitlements.plan_type,
+  upgrade_required: true
+});
+
+// Middleware que exige que el plan permita conectar una integración del tipo
+// indicado en el negocio seleccionado. Debe ir después de loadEntitlements.
+// Es una comprobación temprana (antes de llamar al proveedor): la escritura
+// se hace con withIntegrationEntitlement, que vuelve a comprobarlo con el
+// negocio bloqueado.
+const requireIntegrationEntitlement = (integrationType) => async (req, res, next) => {
+  try {
+    const denied = await checkIntegrationEntitlement(req.entitlements, req.businessId, integrationType);
+
+    if (denied) {
+      return sendEntitlementDenied(req, res, denied);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error comprobando límites de integraciones:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+};
+
+// GET /api/integrations - Obtener las integraciones del negocio seleccionado
+router.get('/', requireAuth, requireBusiness, async (req, res) => {
   try {
     const integrationsResult = await query(
-      `SELECT id, integration_type, integration_name, is_active, created_at, updated_at,
+      `SELECT id, integration_type, integration_name, is_active, created_at, updated_at, additional_data,
+              last_synced_at, last_error, last_error_at, consecutive_failures,
               CASE WHEN expires_at IS NOT NULL THEN expires_at > NOW() ELSE true END as token_valid
        FROM integrations 
-       WHERE user_id = $1 
+       WHERE business_id = $1 
        ORDER BY created_at DESC`,
-      [req.userId]
+      [req.businessId]
     );
 
-    const integrations = integrationsResult.rows.map(integration => ({
+    const integrations = integrationsResult.rows.map(({ additional_data, last_synced_at, ...integration }) => ({
       ...integration,
+      last_success_at: last_synced_at,
+      health: getIntegrationHealth({ ...integration, additional_data, last_synced_at }),
       config: INTEGRATION_TYPES[integration.integration_type] || null
     }));
 
     res.json({
+      business: { id: req.business.id, name: req.business.name },
       integrations,
       available_types: INTEGRATION_TYPES
     });
@@ -107,60 +151,75 @@ router.get('/available', async (req, res) => {
   }
 });
 
-// POST /api/integrations/stripe - Configurar integración con Stripe
-router.post('/stripe', requireAuth, async (req, res) => {
+// POST /api/integrations/stripe - Conectar la cuenta de Stripe del negocio
+// Acepta solo una clave restringida (api_key rk_) de la cuenta del negocio
+router.post('/stripe', requireAuth, requireVerifiedEmail, requireBusiness, requireRole('admin'), loadEntitlements, requireIntegrationEntitlement('stripe'), async (req, res) => {
   try {
-    // Para Stripe, obtenemos los datos desde la suscripción existente
-    const userResult = await query(
-      'SELECT stripe_customer_id FROM users WHERE id = $1',
-      [req.userId]
-    );
+    const credentials = parseStripeCredentials(req.body);
 
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Usuario no encontrado' });
+    if (credentials.error) {
+      return res.status(400).json({ error: credentials.error });
     }
 
-    const stripeCustomerId = userResult.rows[0].stripe_customer_id;
-
-    if (!stripeCustomerId) {
-      return res.status(400).json({ 
-        error: 'No tienes una cuenta de Stripe configurada. Necesitas una suscripción activa.',
-        code: 'NO_STRIPE_CUSTOMER'
+    // Verificar las credenciales contra Stripe
+    let account;
+    try {
+      account = await fetchAccount(credentials);
+    } catch (error) {
+      console.error('Error verificando credenciales de Stripe:', error.response?.data || error.message);
+      return res.status(400).json({
+        error: 'No se pudo acceder a la cuenta de Stripe con las credenciales indicadas',
+        code: 'STRIPE_CREDENTIALS_INVALID'
       });
     }
 
-    // Verificar si ya existe integración de Stripe
-    const existingResult = await query(
-      'SELECT id FROM integrations WHERE user_id = $1 AND integration_type = $2',
-      [req.userId, 'stripe']
-    );
-
-    if (existingResult.rows.length > 0) {
-      // Actualizar integración existente
-      await query(
-        'UPDATE integrations SET is_active = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-        [existingResult.rows[0].id]
-      );
-    } else {
-      // Crear nueva integración
-      await query(
-        `INSERT INTO integrations (user_id, integration_type, integration_name, is_active, additional_data)
-         VALUES ($1, $2, $3, $4, $5)`,
+    const accountName = account.business_profile?.name || account.settings?.dashboard?.display_name || account.id;
+    const integrationName = `Stripe - ${accountName}`;
+
+    const { denied, result: integrationResult } = await withIntegrationEntitlement(
+      req.entitlements, req.businessId, 'stripe',
+      (client) => client.query(
+        `INSERT INTO integrations (user_id, business_id, integration_type, integration_name, access_token,
+                                   credentials_key_version, is_active, additional_data)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (business_id, integration_type)
+         DO UPDATE SET
+           integration_name = EXCLUDED.integration_name,
+           access_token = EXCLUDED.access_token,
+           credentials_key_version = EXCLUDED.credentials_key_version,
+           is_active = EXCLUDED.is_active,
+           additional_data = EXCLUDED.additional_data,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING id`,
         [
-          req.userId,
+          req.business.owner_user_id,
+          req.businessId,
           'stripe',
-          'Stripe Payments',
+          integrationName,
+          encryptSecret(credentials.api_key),
+          getCurrentKeyVersion(),
           true,
-          JSON.stringify({ customer_id: stripeCustomerId })
+          JSON.stringify({
+            mode: 'api_key',
+            stripe_account: account.id,
+            default_currency: account.default_currency || null,
+            setup_date: new Date().toISOString()
+          })
         ]
-      );
+      )
+    );
+
+    if (denied) {
+      return sendEntitlementDenied(req, res, denied);
     }
 
     res.json({
       message: 'Integración con Stripe configurada exitosamente',
       integration: {
+        id: integrationResult.rows[0].id,
         type: 'stripe',
-        name: 'Stripe Payments',
+        name: integrationName,
+        mode: 'api_key',
         status: 'active'
       }
     });
@@ -172,7 +231,7 @@ router.post('/stripe', requireAuth, async (req, res) => {
 });
 
 // POST /api/integrations/google-analytics - Iniciar OAuth para Google Analytics
-router.post('/google-analytics', requireAuth, async (req, res) => {
+router.post('/google-analytics', requireAuth, requireVerifiedEmail, requireBusiness, requireRole('admin'), loadEntitlements, requireIntegrationEntitlement('google_analytics'), async (req, res) => {
   try {
     const { property_id } = req.body;
 
@@ -180,40 +239,57 @@ router.post('/google-analytics', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Property ID de Google Analytics requerido' });
     }
 
-    // En un entorno real, aquí iniciarías el flujo OAuth
-    // Por ahora, simulamos la configuración
-    const integrationResult = await query(
-      `INSERT INTO integrations (user_id, integration_type, integration_name, is_active, additional_data)
-       VALUES ($1, $2, $3, $4, $5)
-       ON CONFLICT (user_id, integration_type) 
-       DO UPDATE SET 
-         integration_name = EXCLUDED.integration_name,
-         is_active = EXCLUDED.is_active,
-         additional_data = EXCLUDED.additional_data,
-         updated_at = CURRENT_TIMESTAMP
-       RETURNING id`,
-      [
-        req.userId,
-        'google_analytics',
-        `Analytics - ${property_id}`,
-        true,
-        JSON.stringify({ 
-          property_id: property_id,
-          setup_date: new Date().toISOString(),
-          status: 'pending_oauth'
-        })
-      ]
+    if (!isGoogleOAuthConfigured()) {
+      return res.status(503).json({
+        error: 'OAuth de Google no configurado. Contacta al administrador.',
+        code: 'GOOGLE_OAUTH_NOT_CONFIGURED'
+      });
+    }
+
+    // Crear la integración pendiente de autorización
+    const { denied, result: integrationResult } = await withIntegrationEntitlement(
+      req.entitlements, req.businessId, 'google_analytics',
+      (client) => client.query(
+        `INSERT INTO integrations (user_id, business_id, integration_type, integration_name, is_active, additional_data)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (business_id, integration_type) 
+         DO UPDATE SET 
+           integration_name = EXCLUDED.integration_name,
+           is_active = EXCLUDED.is_active,
+           additional_data = EXCLUDED.additional_data,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING id`,
+        [
+          req.business.owner_user_id,
+          req.businessId,
+          'google_analytics',
+          `Analytics - ${property_id}`,
+          true,
+          JSON.stringify({ 
+            property_id: property_id,
+            setup_date: new Date().toISOString(),
+            status: 'pending_oauth'
+          })
+        ]
+      )
     );
 
+    if (denied) {
+      return sendEntitlementDenied(req, res, denied);
+    }
+
+    const integrationId = integrationResult.rows[0].id;
+
     res.json({
       message: 'Integración con Google Analytics iniciada',
       integration: {
-        id: integrationResult.rows[0].id,
+        id: integrationId,
         type: 'google_analytics',
         name: `Analytics - ${property_id}`,
         status: 'pending_oauth',
         next_step: 'Completa la autorización OAuth en Google Analytics'
-      }
+      },
+      authorization_url: startGoogleFlow(req, res, integrationId, 'google_analytics')
     });
 
   } catch (error) {
@@ -223,44 +299,61 @@ router.post('/google-analytics', requireAuth, async (req, res) => {
 });
 
 // POST /api/integrations/gmail - Iniciar OAuth para Gmail
-router.post('/gmail', requireAuth, async (req, res) => {
+router.post('/gmail', requireAuth, requireVerifiedEmail, requireBusiness, requireRole('admin'), loadEntitlements, requireIntegrationEntitlement('gmail'), async (req, res) => {
   try {
     const { email_filters } = req.body;
 
-    // En un entorno real, aquí iniciarías el flujo OAuth
-    // Por ahora, simulamos la configuración
-    const integrationResult = await query(
-      `INSERT INTO integrations (user_id, integration_type, integration_name, is_active, additional_data)
-       VALUES ($1, $2, $3, $4, $5)
-       ON CONFLICT (user_id, integration_type) 
-       DO UPDATE SET 
-         integration_name = EXCLUDED.integration_name,
-         is_active = EXCLUDED.is_active,
-         additional_data = EXCLUDED.additional_data,
-         updated_at = CURRENT_TIMESTAMP
-       RETURNING id`,
-      [
-        req.userId,
-        'gmail',
-        'Gmail Business',
-        true,
-        JSON.stringify({ 
-          email_filters: email_filters || ['important', 'customer-support'],
-          setup_date: new Date().toISOString(),
-          status: 'pending_oauth'
-        })
-      ]
+    if (!isGoogleOAuthConfigured()) {
+      return res.status(503).json({
+        error: 'OAuth de Google no configurado. Contacta al administrador.',
+        code: 'GOOGLE_OAUTH_NOT_CONFIGURED'
+      });
+    }
+
+    // Crear la integración pendiente de autorización
+    const { denied, result: integrationResult } = await withIntegrationEntitlement(
+      req.entitlements, req.businessId, 'gmail',
+      (client) => client.query(
+        `INSERT INTO integrations (user_id, business_id, integration_type, integration_name, is_active, additional_data)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (business_id, integration_type) 
+         DO UPDATE SET 
+           integration_name = EXCLUDED.integration_name,
+           is_active = EXCLUDED.is_active,
+           additional_data = EXCLUDED.additional_data,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING id`,
+        [
+          req.business.owner_user_id,
+          req.businessId,
+          'gmail',
+          'Gmail Business',
+          true,
+          JSON.stringify({ 
+            email_filters: email_filters || ['important', 'customer-support'],
+            setup_date: new Date().toISOString(),
+            status: 'pending_oauth'
+          })
+        ]
+      )
     );
 
+    if (denied) {
+      return sendEntitlementDenied(req, res, denied);
+    }
+
+    const integrationId = integrationResult.rows[0].id;
+
     res.json({
       message: 'Integración con Gmail iniciada',
       integration: {
-        id: integrationResult.rows[0].id,
+        id: integrationId,
         type: 'gmail',
         name: 'Gmail Business',
         status: 'pending_oauth',
         next_step: 'Completa la autorización OAuth en Gmail'
-      }
+      },
+      authorization_url: startGoogleFlow(req, res, integrationId, 'gmail')
     });
 
   } catch (error) {
@@ -269,8 +362,92 @@ router.post('/gmail', requireAuth, async (req, res) => {
   }
 });
 
+// GET /api/integrations/google/callback - Callback OAuth de Google
+// Google redirige aquí al navegador, por eso no usa requireAuth: el usuario
+// y la integración se identifican por el state firmado.
+router.get('/google/callback', async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const redirectWith = (params) => res.redirect(`${frontendUrl}/integrations?${new URLSearchParams(params).toString()}`);
+
+  try {
+    const { code, state, error: oauthError } = req.query;
+    const binding = getCookie(req, INTEGRATION_BINDING_COOKIE);
+    res.clearCookie(INTEGRATION_BINDING_COOKIE, googleBindingCookieOptions);
+
+    let statePayload;
+    try {
+      statePayload = verifyState(state, binding);
+    } catch (error) {
+      return res.status(400).json({ error: 'Parámetro state inválido o expirado' });
+    }
+
+    const { userId, integrationId, integrationType } = statePayload;
+
+    if (oauthError || !code) {
+      console.log(`OAuth de Google cancelado para integración ${integrationId}: ${oauthError || 'sin código'}`);
+      return redirectWith({ type: integrationType, status: 'oauth_denied' });
+    }
+
+    // Verificar que la integración sigue existiendo y que el usuario del state
+    // sigue pudiendo gestionarla (admin u owner de su organización)
+    const integrationResult = await query(
+      `SELECT i.id FROM integrations i
+       JOIN businesses b ON b.id = i.business_id
+       JOIN organization_members m ON m.organization_id = b.organization_id AND m.user_id = $2
+       WHERE i.id = $1 AND i.integration_type = $3 AND m.role IN ('owner', 'admin')`,
+      [integrationId, userId, integrationType]
+    );
+
+    if (integrationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Integración no encontrada' });
+    }
+
+    // Canjear el código por tokens
+    let tokens;
+    try {
+      tokens = await exchangeCode(code);
+    } catch (error) {
+      console.error('Error canjeando código OAuth de Google:', error.response?.data || error.message);
+      return redirectWith({ type: integrationType, status: 'oauth_failed' });
+    }
+
+    // Guardar tokens y marcar la integración como conectada.
+    // Google solo devuelve refresh_token en el primer consentimiento: se conserva el anterior si no llega.
+    // En ese caso la versión de clave solo se actualiza si el anterior ya estaba cifrado con la actual.
+    await query(
+      `UPDATE integrations
+       SET access_token = $1,
+           refresh_token = COALESCE($2, refresh_token),
+           expires_at = $3,
+           credentials_key_version = CASE
+             WHEN $2::text IS NOT NULL OR refresh_token IS NULL OR credentials_key_version = $4 THEN $4
+           END,
+           is_active = true,
+           additional_data = COALESCE(additional_data, '{}'::jsonb) || $5::jsonb,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6`,
+      [
+        encryptSecret(tokens.access_token),
+        encryptSecret(tokens.refresh_token),
+        tokens.expires_at,
+        getCurrentKeyVersion(),
+        JSON.stringify({ status: 'connected', scope: tokens.scope, connected_at: new Date().toISOString() }),
+        integrationId
+      ]
+    );
+
+    console.log(`✅ Integración ${integrationType} ${integrationId} conectada para usuario ${userId}`);
+
+    redirectWith({ type: integrationType, status: 'connected', integration_id: integrationId });
+
+  } catch (error) {
+    console.error('Error en callback OAuth de Google:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
 // PUT /api/integrations/:id - Actualizar integración
-router.put('/:id', requireAuth, async (req, res) => {
+router.put('/:id', requireAuth, requireBusiness, requireRole('admin'), loadEntitlements, async (req, res) => {
   try {
     const integrationId = parseInt(req.params.id);
     const { integration_name, is_active, additional_data } = req.body;
@@ -279,16 +456,25 @@ router.put('/:id', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'ID de integración inválido' });
     }
 
-    // Verificar que la integración pertenece al usuario
+    // Verificar que la integración pertenece al negocio seleccionado
     const integrationResult = await query(
-      'SELECT id, integration_type FROM integrations WHERE id = $1 AND user_id = $2',
-      [integrationId, req.userId]
+      'SELECT id, integration_type, is_active, additional_data FROM integrations WHERE id = $1 AND business_id = $2',
+      [integrationId, req.businessId]
     );
 
     if (integrationResult.rows.length === 0) {
       return res.status(404).json({ error: 'Integración no encontrada' });
     }
 
+    // Las integraciones suspendidas al bajar de plan se reactivan solas al volver a suscribirse
+    if (is_active === true && integrationResult.rows[0].additional_data?.status === 'suspended') {
+      return res.status(409).json({
+        error: 'La integración está suspendida por el cambio al plan gratuito. Se reactivará al suscribirte de nuevo',
+        code: 'INTEGRATION_SUSPENDED',
+        upgrade_required: true
+      });
+    }
+
     // Actualizar integración
     const updateFields = [];
     const updateValues = [];
@@ -305,7 +491,20 @@ router.put('/:id', requireAuth, async (req, res) => {
     }
 
     if (additional_data !== undefined) {
-      updateFields.push(`additional_data = $${valueIndex++}`);
+      // Solo se permiten ajustes editables por el usuario; estado y credenciales
+      // los gestiona el servidor y se fusionan en lugar de sobrescribirse
+      const allowedKeys = EDITABLE_SETTINGS[integrationResult.rows[0].integration_type] || [];
+      const invalidKeys = Object.keys(additional_data || {}).filter(key => !allowedKeys.includes(key));
+
+      if (typeof additional_data !== 'object' || additional_data === null || Array.isArray(additional_data) || invalidKeys.length > 0) {
+        return res.status(400).json({
+          error: 'additional_data contiene campos no editables',
+          invalid_fields: invalidKeys,
+          allowed_fields: allowedKeys
+        });
+      }
+
+      updateFields.push(`additional_data = COALESCE(additional_data, '{}'::jsonb) || $${valueIndex++}::jsonb`);
       updateValues.push(JSON.stringify(additional_data));
     }
 
@@ -314,16 +513,34 @@ router.put('/:id', requireAuth, async (req, res) => {
     }
 
     updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
-    updateValues.push(integrationId, req.userId);
+    updateValues.push(integrationId, req.businessId);
 
-    const updateResult = await query(
+    const updateIntegration = (db) => db.query(
       `UPDATE integrations 
        SET ${updateFields.join(', ')}
-       WHERE id = $${valueIndex++} AND user_id = $${valueIndex++}
+       WHERE id = $${valueIndex++} AND business_id = $${valueIndex++}
        RETURNING id, integration_type, integration_name, is_active, updated_at`,
       updateValues
     );
 
+    // Reactivar una integración cuenta contra los límites del plan
+    let updateResult;
+    if (is_active === true && !integrationResult.rows[0].is_active) {
+      const { denied, result } = await withIntegrationEntitlement(
+        req.entitlements,
+        req.businessId,
+        integrationResult.rows[0].integration_type,
+        updateIntegration
+      );
+
+      if (denied) {
+        return sendEntitlementDenied(req, res, denied);
+      }
+      updateResult = result;
+    } else {
+      updateResult = await updateIntegration({ query });
+    }
+
     res.json({
       message: 'Integración actualizada exitosamente',
       integration: updateResult.rows[0]
@@ -336,7 +553,7 @@ router.put('/:id', requireAuth, async (req, res) => {
 });
 
 // DELETE /api/integrations/:id - Eliminar integración
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requireBusiness, requireRole('admin'), async (req, res) => {
   try {
     const integrationId = parseInt(req.params.id);
 
@@ -344,10 +561,10 @@ router.delete('/:id', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'ID de integración inválido' });
     }
 
-    // Verificar que la integración pertenece al usuario
+    // Verificar que la integración pertenece al negocio seleccionado
     const deleteResult = await query(
-      'DELETE FROM integrations WHERE id = $1 AND user_id = $2 RETURNING integration_type',
-      [integrationId, req.userId]
+      'DELETE FROM integrations WHERE id = $1 AND business_id = $2 RETURNING integration_type',
+      [integrationId, req.businessId]
     );
 
     if (deleteResult.rows.length === 0) {
@@ -372,7 +589,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
 });
 
 // POST /api/integrations/:id/test - Probar conexión de integración
-router.post('/:id/test', requireAuth, async (req, res) => {
+router.post('/:id/test', requireAuth, requireBusiness, requireRole('analyst'), async (req, res) => {
   try {
     const integrationId = parseInt(req.params.id);
 
@@ -382,59 +599,87 @@ router.post('/:id/test', requireAuth, async (req, res) => {
 
     // Obtener integración
     const integrationResult = await query(
-      'SELECT integration_type, integration_name, additional_data FROM integrations WHERE id = $1 AND user_id = $2',
-      [integrationId, req.userId]
+      `SELECT id, user_id, business_id, integration_type, integration_name, access_token, refresh_token, expires_at, additional_data
+       FROM integrations WHERE id = $1 AND business_id = $2`,
+      [integrationId, req.businessId]
     );
 
     if (integrationResult.rows.length === 0) {
       return res.status(404).json({ error: 'Integración no encontrada' });
     }
 
-    const integration = integrationResult.rows[0];
+    let integration = integrationResult.rows[0];
     let testResult = { success: false, message: 'Test no implementado' };
 
-    // Simular test según el tipo de integración
-    switch (integration.integration_type) {
-      case 'stripe':
-        testResult = {
-          success: true,
-          message: 'Conexión con Stripe exitosa',
-          data: {
-            customer_id: 'cus_test123',
-            status: 'active'
-          }
-        };
-        break;
-
-      case 'google_analytics':
-        testResult = {
-          success: true,
-          message: 'Conexión con Google Analytics exitosa',
-          data: {
-            property_id: '12345678',
-            sessions_last_30_days: 1250,
-            status: 'connected'
-          }
-        };
-        break;
-
-      case 'gmail':
-        testResult = {
-          success: true,
-          message: 'Conexión con Gmail exitosa',
-          data: {
-            emails_last_7_days: 15,
-            important_emails: 3,
-            status: 'connected'
-          }
-        };
-        break;
-
-      default:
-        testResult = {
+    // Renovar el token OAuth antes de probar la conexión
+    try {
+      integration = await ensureFreshToken(integration);
+    } catch (error) {
+      if (error.code !== 'NEEDS_REAUTH' && error.code !== 'PENDING_OAUTH') throw error;
+
+      return res.json({
+        integration: {
+          id: integrationId,
+          type: integration.integration_type,
+          name: integration.integration_name
+        },
+        test_result: {
           success: false,
-          message: 'Tipo de integración no soportado'
-        };
+          message: error.code === 'NEEDS_REAUTH'
+            ? 'La integración necesita volver a autorizarse'
+            : 'La integración está pendiente de autorización',
+          code: error.code
+        }
+      });
+    }
+
+    // Probar la conexión real con el proveedor según el tipo de integración
+    try {
+      switch (integration.integration_type) {
+        case 'stripe': {
+          const account = await fetchAccount({ api_key: integration.access_token });
+          testResult = {
+            success: true,
+            message: 'Conexión con Stripe exitosa',
+            data: {
+              account_id: account.id,
+              charges_enabled: account.charges_enabled,
+              status: 'active'
+            }
+          };
+          break;
+        }
+
+        case 'google_analytics':
+          testResult = {
+            success: true,
+            message: 'Conexión con Google Analytics exitosa',
+            data: { ...(await checkAnalyticsConnection(integration)), status: 'connected' }
+          };
+          break;
+
+        case 'gmail':
+          testResult = {
+            success: true,
+            message: 'Conexión con Gmail exitosa',
+            data: { ...(await checkGmailConnection(integration)), status: 'connected' }
+          };
+          break;
+
+        default:
+          testResult = {
+            success: false,
+            message: 'Tipo de integración no soportado'
+          };
+      }
+    } catch (error) {
+      if (!error.isProviderError) throw error;
+
+      testResult = {
+        success: false,
+        message: `No se pudo conectar con ${INTEGRATION_TYPES[integration.integration_type]?.name || 'el proveedor'}`,
+        data: { provider_status: error.response?.status || null }
+      };
     }
 
     res.json({
@@ -452,8 +697,8 @@ router.post('/:id/test', requireAuth, async (req, res) => {
   }
 });
 
-// POST /api/integrations/:id/sync - Sincronizar datos de integración
-router.post('/:id/sync', requireAuth, async (req, res) => {
+// POST /api/integrations/:id/sync - Encolar la sincronización de una integración
+router.post('/:id/sync', requireAuth, requireBusiness, requireRole('analyst'), async (req, res) => {
   try {
     const integrationId = parseInt(req.params.id);
 
@@ -463,8 +708,9 @@ router.post('/:id/sync', requireAuth, async (req, res) => {
 
     // Obtener integración
     const integrationResult = await query(
-      'SELECT integration_type, integration_name FROM integrations WHERE id = $1 AND user_id = $2 AND is_active = true',
-      [integrationId, req.userId]
+      `SELECT id, user_id, integration_type, integration_name, additional_data
+       FROM integrations WHERE id = $1 AND business_id = $2 AND is_active = true`,
+      [integrationId, req.businessId]
     );
 
     if (integrationResult.rows.length === 0) {
@@ -472,120 +718,121 @@ router.post('/:id/sync', requireAuth, async (req, res) => {
     }
 
     const integration = integrationResult.rows[0];
+    const status = integration.additional_data?.status;
+
+    if (status === 'needs_reauth' || status === 'pending_oauth') {
+      return res.status(409).json({
+        error: status === 'needs_reauth'
+          ? 'La integración necesita volver a autorizarse'
+          : 'La integración está pendiente de autorización',
+        code: status.toUpperCase()
+      });
+    }
 
-    // Simular sincronización de datos
-    const mockData = {
-      stripe: {
-        revenue_this_month: 1250.50,
-        transactions_count: 25,
-        new_customers: 8
-      },
-      google_analytics: {
-        sessions: 1500,
-        page_views: 4200,
-        bounce_rate: 0.35
-      },
-      gmail: {
-        total_emails: 45,
-        important_emails: 12,
-        customer_inquiries: 8
-      }
-    };
+    if (!getSyncConnector(integration.integration_type)) {
+      return res.status(409).json({
+        error: 'La sincronización de este tipo de integración aún no está disponible',
+        code: 'SYNC_UNAVAILABLE'
+      });
+    }
 
-    const dataToSync = mockData[integration.integration_type] || {};
+    // Período sincronizado: los últimos 30 días UTC completos
+    const periodEnd = startOfUTCDay(new Date());
+    const periodStart = new Date(periodEnd.getTime() - 30 * 24 * 60 * 60 * 1000);
 
-    // Guardar datos sincronizados
-    await query(
-      `INSERT INTO dashboard_data (user_id, integration_id, data_type, data_value, period_start, period_end)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [
-        req.userId,
-        integrationId,
-        `${integration.integration_type}_sync`,
-        JSON.stringify(dataToSync),
-        new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 días atrás
-        new Date()
-      ]
-    );
+    const { job, created } = await enqueueSync(integration.user_id, integrationId, periodStart, periodEnd);
 
-    res.json({
-      message: `Datos de ${integration.integration_name} sincronizados exitosamente`,
+    res.status(202).json({
+      message: created
+        ? `Sincronización de ${integration.integration_name} encolada`
+        : `Ya hay una sincronización de ${integration.integration_name} en curso`,
       integration: {
         id: integrationId,
         type: integration.integration_type,
         name: integration.integration_name
       },
-      synced_data: dataToSync,
-      sync_timestamp: new Date().toISOString()
+      job,
+      status_url: `/api/dashboard/sync/jobs/${job.id}`
     });
 
   } catch (error) {
-    console.error('Error sincronizando integración:', error);
+    console.error('Error encolando sincronización de integración:', error);
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-// GET /api/integrations/limits - Obtener límites según plan de suscripción
-router.get('/limits', requireAuth, async (req, res) => {
+// GET /api/integrations/:id/sync-runs - Historial de intentos de sincronización
+router.get('/:id/sync-runs', requireAuth, requireBusiness, async (req, res) => {
   try {
-    // Obtener plan del usuario
-    const userResult = await query(
-      'SELECT subscription_status FROM users WHERE id = $1',
-      [req.userId]
+    const integrationId = parseInt(req.params.id);
+
+    if (isNaN(integrationId)) {
+      return res.status(400).json({ error: 'ID de integración inválido' });
+    }
+
+    const integrationResult = await query(
+      `SELECT id, integration_type, integration_name, is_active, additional_data,
+              last_synced_at, last_error, last_error_at, consecutive_failures
+       FROM integrations WHERE id = $1 AND business_id = $2`,
+      [integrationId, req.businessId]
     );
 
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Usuario no encontrado' });
+    if (integrationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Integración no encontrada' });
     }
 
-    const subscriptionStatus = userResult.rows[0].subscription_status;
+    const integration = integrationResult.rows[0];
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const runs = await listSyncRuns(integrationId, limit);
 
-    // Definir límites según plan
-    let limits = {
-      max_integrations: 2,
-      available_types: ['stripe'],
-      features: ['basic_analytics']
-    };
+    res.json({
+      integration: {
+        id: integration.id,
+        type: integration.integration_type,
+        name: integration.integration_name,
+        health: getIntegrationHealth(integration),
+        last_success_at: integration.last_synced_at,
+        last_error: integration.last_error,
+        last_error_at: integration.last_error_at,
+        consecutive_failures: integration.consecutive_failures
+      },
+      runs
+    });
 
-    if (subscriptionStatus === 'active') {
-      // Usuario con suscripción activa
-      const subscriptionResult = await query(
-        'SELECT plan_type FROM subscriptions WHERE user_id = $1 AND status = $2 ORDER BY created_at DESC LIMIT 1',
-        [req.userId, 'active']
-      );
+  } catch (error) {
+    console.error('Error obteniendo historial de sincronización:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
 
-      if (subscriptionResult.rows.length > 0) {
-        const planType = subscriptionResult.rows[0].plan_type;
-        
-        if (planType === 'pro') {
-          limits = {
-            max_integrations: 999,
-            available_types: ['stripe', 'google_analytics', 'gmail'],
-            features: ['unlimited_integrations', 'ai_insights', 'smart_alerts']
-          };
-        } else if (planType === 'business') {
-          limits = {
-            max_integrations: 999,
-            available_types: ['stripe', 'google_analytics', 'gmail'],
-            features: ['unlimited_integrations', 'ai_insights', 'smart_alerts', 'api_access', 'multiple_businesses']
-          };
-        }
-      }
-    }
+// GET /api/integrations/limits - Obtener límites según plan de suscripción
+router.get('/limits', requireAuth, requireBusiness, loadEntitlements, async (req, res) => {
+  try {
+    const { entitlements } = req;
 
-    // Contar integraciones actuales
+    // Contar integraciones actuales del negocio seleccionado
     const currentIntegrationsResult = await query(
-      'SELECT COUNT(*) as count FROM integrations WHERE user_id = $1 AND is_active = true',
-      [req.userId]
+      'SELECT COUNT(*) as count FROM integrations WHERE business_id = $1 AND is_active = true',
+      [req.businessId]
     );
 
     const currentCount = parseInt(currentIntegrationsResult.rows[0].count);
+    const businessCount = await countBusinesses(req.business.organization_id);
 
     res.json({
-      subscription_status: subscriptionStatus,
-      limits,
+      plan_type: entitlements.plan_type,
+      subscription_status: entitlements.subscription_status,
+      limits: {
+        max_integrations: entitlements.max_integrations,
+        available_types: entitlements.available_types,
+        features: entitlements.features,
+        max_businesses: entitlements.max_businesses
+      },
+      entitlements,
       current_integrations: currentCount,
-      can_add_more: currentCount < limits.max_integrations
+      can_add_more: currentCount < entitlements.max_integrations,
+      current_businesses: businessCount,
+      can_add_businesses: businessCount < entitlements.max_businesses
     });
 
   } catch (error) {
@@ -0,0 +1,140 @@
+const express = require('express');
+const { query } = require('../database');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { createUserAlert } = require('../services/alerts');
+const { requireAdmin } = require('../services/admin');
+const {
+  WEBHOOK_EVENT_STATUSES,
+  processWebhookEvent,
+  listWebhookEvents,
+  getWebhookEvent
+} = require('../services/webhookEvents');
+const router = express.Router();
+
+// Herramientas internas de soporte y depuración. Solo para administradores de
+// la plataforma (ADMIN_EMAILS): exponen datos de facturación de todos los usuarios.
+router.use(requireAuth, requireAdmin);
+
+// POST /api/internal/webhooks/manual-sync - Sincronización manual de Stripe (para desarrollo)
+router.post('/webhooks/manual-sync', rateLimit({ name: 'manual-sync', windowSeconds: 15 * 60, max: 10 }), async (req, res) => {
+  try {
+    const userId = parseInt(req.body.user_id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: 'user_id requerido' });
+    }
+
+    const userResult = await query('SELECT id FROM users WHERE id = $1', [userId]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    // Simular eventos para desarrollo
+    await createUserAlert(
+      userId,
+      'manual_sync',
+      'Sincronización Manual',
+      'Datos sincronizados manualmente desde el sistema de desarrollo.',
+      'info',
+      { sync_type: 'manual', timestamp: new Date().toISOString() }
+    );
+
+    console.log(`🛠️ Sincronización manual para usuario ${userId} solicitada por administrador ${req.userId}`);
+
+    res.json({
+      message: 'Sincronización manual completada',
+      user_id: userId,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error en sincronización manual:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// GET /api/internal/webhooks/events - Ver eventos recientes de webhooks (para debugging)
+router.get('/webhooks/events', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { status, type } = req.query;
+
+    if (status && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Estado no válido. Usa: ${WEBHOOK_EVENT_STATUSES.join(', ')}` });
+    }
+
+    const events = await listWebhookEvents({ limit, status: status || null, eventType: type || null });
+
+    res.json({
+      events,
+      total: events.length,
+      last_updated: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo eventos:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// GET /api/internal/webhooks/events/:id - Ver un evento con su payload (para debugging)
+router.get('/webhooks/events/:id', async (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+
+    if (isNaN(eventId)) {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+
+    const event = await getWebhookEvent(eventId);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Evento no encontrado' });
+    }
+
+    res.json({ event });
+
+  } catch (error) {
+    console.error('Error obteniendo evento:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/internal/webhooks/events/:id/retry - Reintentar ahora un evento fallido
+router.post('/webhooks/events/:id/retry', async (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+
+    if (isNaN(eventId)) {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+
+    const event = await processWebhookEvent(eventId);
+
+    if (!event) {
+      const existing = await getWebhookEvent(eventId);
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Evento no encontrado' });
+      }
+
+      return res.status(409).json({
+        error: 'El evento ya se procesó o se está procesando',
+        code: 'EVENT_NOT_RETRYABLE',
+        status: existing.status
+      });
+    }
+
+    console.log(`🛠️ Evento ${event.stripe_event_id} reintentado por administrador ${req.userId}: ${event.status}`);
+
+    res.json({ event });
+
+  } catch (error) {
+    console.error('Error reintentando evento:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
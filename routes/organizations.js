@@ -0,0 +1,327 @@
+const express = require('express');
+const { query } = require('../database');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { requireVerifiedEmail } = require('../services/emailVerification');
+const { getPlanType } = require('../services/entitlements');
+const {
+  INVITABLE_ROLES,
+  hasRole,
+  getManageableRoles,
+  getMembership,
+  listOrganizations,
+  listMembers,
+  listInvitations,
+  createInvitation,
+  sendInvitationEmail,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  transferOwnership
+} = require('../services/organizations');
+const router = express.Router();
+
+// Expresión regular simple para validar emails (la misma que en el registro)
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Máximo 20 invitaciones por hora y usuario
+const invitationLimiter = rateLimit({
+  name: 'organization-invite',
+  windowSeconds: 60 * 60,
+  max: 20,
+  keyBy: (req) => req.userId,
+  message: 'Has enviado demasiadas invitaciones. Inténtalo de nuevo más tarde'
+});
+
+// Middleware que carga la pertenencia del usuario a la organización :id
+// (req.organization) y exige un rol mínimo
+const loadOrganization = (minRole = 'viewer') => async (req, res, next) => {
+  try {
+    const organizationId = parseInt(req.params.id);
+
+    if (isNaN(organizationId)) {
+      return res.status(400).json({ error: 'ID de organización inválido' });
+    }
+
+    const membership = await getMembership(organizationId, req.userId);
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Organización no encontrada' });
+    }
+
+    if (!hasRole(membership.role, minRole)) {
+      return res.status(403).json({
+        error: 'Tu rol en la organización no permite esta acción',
+        code: 'INSUFFICIENT_ROLE',
+        role: membership.role,
+        required_role: minRole
+      });
+    }
+
+    req.organization = membership;
+    next();
+  } catch (error) {
+    console.error('Error cargando organización:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+};
+
+// GET /api/organizations - Organizaciones del usuario y su rol en cada una
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const organizations = await listOrganizations(req.userId);
+
+    res.json({
+      organizations: organizations.map(organization => ({
+        ...organization,
+        is_billing_owner: organization.owner_user_id === req.userId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo organizaciones:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/organizations/invitations/accept - Aceptar una invitación
+router.post('/invitations/accept', requireAuth, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token de invitación requerido' });
+    }
+
+    const userResult = await query('SELECT email FROM users WHERE id = $1', [req.userId]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const result = await acceptInvitation(req.userId, userResult.rows[0].email, token);
+
+    if (result.error) {
+      return res.status(result.code === 'INVITATION_EMAIL_MISMATCH' ? 403 : 400).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    console.log(`👥 Usuario ${req.userId} se unió a la organización ${result.organization.id} como ${result.role}`);
+
+    res.json({
+      message: `Te has unido a ${result.organization.name}`,
+      organization: result.organization,
+      role: result.role
+    });
+
+  } catch (error) {
+    console.error('Error aceptando invitación:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// GET /api/organizations/:id/members - Miembros (y, para admins, invitaciones pendientes)
+router.get('/:id/members', requireAuth, loadOrganization('viewer'), async (req, res) => {
+  try {
+    const canManage = hasRole(req.organization.role, 'admin');
+
+    const [members, invitations] = await Promise.all([
+      listMembers(req.organization.organization_id),
+      canManage ? listInvitations(req.organization.organization_id) : Promise.resolve(null)
+    ]);
+
+    res.json({
+      organization: {
+        id: req.organization.organization_id,
+        name: req.organization.name,
+        owner_user_id: req.organization.owner_user_id
+      },
+      role: req.organization.role,
+      members,
+      ...(canManage ? { invitations, assignable_roles: getManageableRoles(req.organization.role) } : {})
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo miembros:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/organizations/:id/invitations - Invitar a alguien por email
+router.post('/:id/invitations', requireAuth, requireVerifiedEmail, loadOrganization('admin'), invitationLimiter, async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email || !EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ error: 'Email válido requerido' });
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Rol no válido. Usa: ${INVITABLE_ROLES.join(', ')}` });
+    }
+
+    if (!getManageableRoles(req.organization.role).includes(role)) {
+      return res.status(403).json({
+        error: 'Tu rol no permite invitar con ese rol',
+        code: 'INSUFFICIENT_ROLE'
+      });
+    }
+
+    const result = await createInvitation(req.organization.organization_id, email, role, req.userId);
+
+    if (result.error) {
+      return res.status(409).json({ error: result.error, code: result.code });
+    }
+
+    const inviterResult = await query('SELECT name FROM users WHERE id = $1', [req.userId]);
+
+    res.status(201).json({
+      message: `Invitación enviada a ${result.invitation.email}`,
+      invitation: result.invitation
+    });
+
+    // Enviar el email después de responder (un fallo de SMTP no debe romper la invitación)
+    sendInvitationEmail({
+      invitation: result.invitation,
+      token: result.token,
+      organizationName: req.organization.name,
+      inviterName: inviterResult.rows[0]?.name || 'Un compañero'
+    }).catch(error => console.error('Error enviando email de invitación:', error));
+
+  } catch (error) {
+    console.error('Error creando invitación:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// DELETE /api/organizations/:id/invitations/:invitationId - Anular una invitación pendiente
+router.delete('/:id/invitations/:invitationId', requireAuth, loadOrganization('admin'), async (req, res) => {
+  try {
+    const invitationId = parseInt(req.params.invitationId);
+
+    if (isNaN(invitationId)) {
+      return res.status(400).json({ error: 'ID de invitación inválido' });
+    }
+
+    const revoked = await revokeInvitation(req.organization.organization_id, invitationId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invitación no encontrada' });
+    }
+
+    res.json({ message: 'Invitación anulada' });
+
+  } catch (error) {
+    console.error('Error anulando invitación:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// PUT /api/organizations/:id/members/:userId - Cambiar el rol de un miembro
+router.put('/:id/members/:userId', requireAuth, loadOrganization('admin'), async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.userId);
+    const { role } = req.body;
+
+    if (isNaN(targetUserId)) {
+      return res.status(400).json({ error: 'ID de usuario inválido' });
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Rol no válido. Usa: ${INVITABLE_ROLES.join(', ')} (para cambiar el propietario usa transfer-ownership)`
+      });
+    }
+
+    const result = await updateMemberRole(req.organization.organization_id, req.organization.role, targetUserId, role);
+
+    if (result.error) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 403).json({ error: result.error, code: result.code });
+    }
+
+    res.json({
+      message: 'Rol actualizado exitosamente',
+      member: result.member
+    });
+
+  } catch (error) {
+    console.error('Error cambiando rol de miembro:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// DELETE /api/organizations/:id/members/:userId - Quitar un miembro (o salir de la organización)
+router.delete('/:id/members/:userId', requireAuth, loadOrganization('viewer'), async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.userId);
+
+    if (isNaN(targetUserId)) {
+      return res.status(400).json({ error: 'ID de usuario inválido' });
+    }
+
+    const result = await removeMember(
+      req.organization.organization_id,
+      { userId: req.userId, role: req.organization.role },
+      targetUserId
+    );
+
+    if (result.error) {
+      const status = result.code === 'NOT_FOUND' ? 404 : result.code === 'OWNER_CANNOT_LEAVE' ? 409 : 403;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    res.json({
+      message: targetUserId === req.userId ? 'Has salido de la organización' : 'Miembro eliminado de la organización',
+      removed: result.removed
+    });
+
+  } catch (error) {
+    console.error('Error quitando miembro:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/organizations/:id/transfer-ownership - Transferir la propiedad a otro miembro.
+// El nuevo owner pasa a ser el titular de la facturación: el plan de la
+// organización será el de su suscripción.
+router.post('/:id/transfer-ownership', requireAuth, loadOrganization('owner'), async (req, res) => {
+  try {
+    const newOwnerId = parseInt(req.body.user_id);
+
+    if (isNaN(newOwnerId)) {
+      return res.status(400).json({ error: 'user_id del nuevo propietario requerido' });
+    }
+
+    const result = await transferOwnership(req.organization.organization_id, req.userId, newOwnerId);
+
+    if (result.error) {
+      const status = result.code === 'NOT_A_MEMBER' ? 404
+        : result.code === 'ALREADY_OWNER' ? 400
+        : result.code === 'OWNER_SUBSCRIPTION_ACTIVE' ? 409
+        : 403;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    console.log(`🔑 Organización ${req.organization.organization_id} transferida de ${req.userId} a ${newOwnerId}`);
+
+    res.json({
+      message: 'Propiedad de la organización transferida',
+      organization: {
+        id: req.organization.organization_id,
+        name: req.organization.name,
+        owner_user_id: newOwnerId
+      },
+      your_role: 'admin',
+      plan_type: await getPlanType(newOwnerId)
+    });
+
+  } catch (error) {
+    console.error('Error transfiriendo organización:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
@@ -1,75 +1,15 @@
 const express = require('express');
 const { query } = require('../database');
-const jwt = require('jsonwebtoken');
+const { requireAuth } = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../services/emailVerification');
+const { requireBusiness } = require('../services/businesses');
+const { requireBillingOwner } = require('../services/organizations');
+const { PLANS, getPlanEntitlements, loadEntitlements } = require('../services/entitlements');
 const router = express.Router();
 
 // Configuración de Stripe
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
-// Middleware para verificar autenticación
-const requireAuth = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'Token requerido' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'bizlyticsapp-secret-key-2025');
-    
-    // Verificar sesión activa
-    const sessionResult = await query(
-      'SELECT user_id, expires_at FROM sessions WHERE session_token = $1 AND user_id = $2',
-      [token, decoded.userId]
-    );
-
-    if (sessionResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Sesión inválida' });
-    }
-
-    const session = sessionResult.rows[0];
-    if (new Date() > new Date(session.expires_at)) {
-      await query('DELETE FROM sessions WHERE session_token = $1', [token]);
-      return res.status(401).json({ error: 'Sesión expirada' });
-    }
-
-    req.userId = decoded.userId;
-    next();
-  } catch (error) {
-    console.error('Error en autenticación:', error);
-    return res.status(401).json({ error: 'Token inválido' });
-  }
-};
-
-// Configuración de planes
-const PLANS = {
-  pro: {
-    name: 'Pro',
-    price: 995, // €9.95 en centavos
-    currency: 'eur',
-    interval: 'month',
-    features: [
-      'Conexiones ilimitadas',
-      'Alertas inteligentes',
-      'Análisis con IA',
-      'Soporte prioritario'
-    ]
-  },
-  business: {
-    name: 'Business',
-    price: 1995, // €19.95 en centavos
-    currency: 'eur',
-    interval: 'month',
-    features: [
-      'Todo lo de Pro',
-      'Múltiples negocios',
-      'Reportes avanzados',
-      'API access',
-      'Soporte dedicado'
-    ]
-  }
-};
-
 // GET /api/subscriptions/plans - Obtener planes disponibles
 router.get('/plans', async (req, res) => {
   try {
@@ -80,7 +20,8 @@ router.get('/plans', async (req, res) => {
       currency: plan.currency,
       interval: plan.interval,
       features: plan.features,
-      price_formatted: `€${(plan.price / 100).toFixed(2)}`
+      price_formatted: `€${(plan.price / 100).toFixed(2)}`,
+      entitlements: getPlanEntitlements(key)
     }));
 
     res.json({
@@ -92,8 +33,11 @@ router.get('/plans', async (req, res) => {
   }
 });
 
-// GET /api/subscriptions/current - Obtener suscripción actual
-router.get('/current', requireAuth, async (req, res) => {
+// La suscripción es la del propietario de la organización del negocio
+// seleccionado; solo él puede crearla, cambiarla, cancelarla o reactivarla.
+
+// GET /api/subscriptions/current - Obtener la suscripción de la organización
+router.get('/current', requireAuth, requireBusiness, loadEntitlements, async (req, res) => {
   try {
     const subscriptionResult = await query(
       `SELECT s.*, u.stripe_customer_id
@@ -102,13 +46,17 @@ router.get('/current', requireAuth, async (req, res) => {
        WHERE s.user_id = $1 AND s.status IN ('active', 'trialing', 'past_due')
        ORDER BY s.created_at DESC
        LIMIT 1`,
-      [req.userId]
+      [req.business.owner_user_id]
     );
 
+    const isBillingOwner = req.business.owner_user_id === req.userId;
+
     if (subscriptionResult.rows.length === 0) {
       return res.json({
         subscription: null,
-        status: 'free'
+        status: 'free',
+        is_billing_owner: isBillingOwner,
+        entitlements: req.entitlements
       });
     }
 
@@ -143,7 +91,9 @@ router.get('/current', requireAuth, async (req, res) => {
         price_formatted: planInfo ? `€${(planInfo.price / 100).toFixed(2)}` : '€0.00',
         features: planInfo?.features || []
       },
-      status: stripeSubscription?.status || subscription.status
+      status: stripeSubscription?.status || subscription.status,
+      is_billing_owner: isBillingOwner,
+      entitlements: req.entitlements
     });
 
   } catch (error) {
@@ -153,7 +103,7 @@ router.get('/current', requireAuth, async (req, res) => {
 });
 
 // POST /api/subscriptions/create - Crear nueva suscripción
-router.post('/create', requireAuth, async (req, res) => {
+router.post('/create', requireAuth, requireVerifiedEmail, requireBusiness, requireBillingOwner, async (req, res) => {
   try {
     const { plan_type, payment_method_id } = req.body;
 
@@ -278,7 +228,7 @@ router.post('/create', requireAuth, async (req, res) => {
 });
 
 // PUT /api/subscriptions/update - Actualizar suscripción
-router.put('/update', requireAuth, async (req, res) => {
+router.put('/update', requireAuth, requireBusiness, requireBillingOwner, async (req, res) => {
   try {
     const { plan_type } = req.body;
 
@@ -346,7 +296,7 @@ router.put('/update', requireAuth, async (req, res) => {
 });
 
 // DELETE /api/subscriptions/cancel - Cancelar suscripción
-router.delete('/cancel', requireAuth, async (req, res) => {
+router.delete('/cancel', requireAuth, requireBusiness, requireBillingOwner, async (req, res) => {
   try {
     const { immediate } = req.body;
 
@@ -413,7 +363,7 @@ router.delete('/cancel', requireAuth, async (req, res) => {
 });
 
 // POST /api/subscriptions/reactivate - Reactivar suscripción cancelada
-router.post('/reactivate', requireAuth, async (req, res) => {
+router.post('/reactivate', requireAuth, requireBusiness, requireBillingOwner, async (req, res) => {
   try {
     if (!process.env.STRIPE_SECRET_KEY) {
       return res.status(503).json({ 
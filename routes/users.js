@@ -1,43 +1,11 @@
 const express = require('express');
 const { query, getUserStats } = require('../database');
-const jwt = require('jsonwebtoken');
+const { requireAuth } = require('../middleware/auth');
+const { verifyPassword } = require('../services/passwordPolicy');
+const { requireBusiness } = require('../services/businesses');
+const { hasRole, ownsSharedOrganization } = require('../services/organizations');
 const router = express.Router();
 
-// Middleware para verificar autenticación
-const requireAuth = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'Token requerido' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'bizlyticsapp-secret-key-2025');
-    
-    // Verificar sesión activa
-    const sessionResult = await query(
-      'SELECT user_id, expires_at FROM sessions WHERE session_token = $1 AND user_id = $2',
-      [token, decoded.userId]
-    );
-
-    if (sessionResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Sesión inválida' });
-    }
-
-    const session = sessionResult.rows[0];
-    if (new Date() > new Date(session.expires_at)) {
-      await query('DELETE FROM sessions WHERE session_token = $1', [token]);
-      return res.status(401).json({ error: 'Sesión expirada' });
-    }
-
-    req.userId = decoded.userId;
-    next();
-  } catch (error) {
-    console.error('Error en autenticación:', error);
-    return res.status(401).json({ error: 'Token inválido' });
-  }
-};
-
 // GET /api/users/profile - Obtener perfil del usuario
 router.get('/profile', requireAuth, async (req, res) => {
   try {
@@ -173,8 +141,8 @@ router.get('/stats', requireAuth, async (req, res) => {
   }
 });
 
-// GET /api/users/alerts - Obtener alertas del usuario
-router.get('/alerts', requireAuth, async (req, res) => {
+// GET /api/users/alerts - Obtener alertas de la cuenta y del negocio seleccionado
+router.get('/alerts', requireAuth, requireBusiness, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -183,15 +151,15 @@ router.get('/alerts', requireAuth, async (req, res) => {
     const alertsResult = await query(
       `SELECT id, alert_type, title, message, severity, is_read, data, created_at
        FROM alerts 
-       WHERE user_id = $1 
+       WHERE (user_id = $1 AND business_id IS NULL) OR business_id = $4
        ORDER BY created_at DESC 
        LIMIT $2 OFFSET $3`,
-      [req.userId, limit, offset]
+      [req.userId, limit, offset, req.businessId]
     );
 
     const countResult = await query(
-      'SELECT COUNT(*) as total FROM alerts WHERE user_id = $1',
-      [req.userId]
+      'SELECT COUNT(*) as total FROM alerts WHERE (user_id = $1 AND business_id IS NULL) OR business_id = $2',
+      [req.userId, req.businessId]
     );
 
     const total = parseInt(countResult.rows[0].total);
@@ -215,8 +183,37 @@ router.get('/alerts', requireAuth, async (req, res) => {
   }
 });
 
+// Las alertas del negocio son compartidas por todos sus miembros: marcarlas como
+// leídas o borrarlas exige rol analyst o superior. Las de la cuenta, siempre.
+
+// Función para comprobar si el usuario puede modificar una alerta visible para él.
+// Responde 404/403 y devuelve false si no puede.
+const canModifyAlert = async (req, res, alertId) => {
+  const alertResult = await query(
+    'SELECT business_id FROM alerts WHERE id = $1 AND ((user_id = $2 AND business_id IS NULL) OR business_id = $3)',
+    [alertId, req.userId, req.businessId]
+  );
+
+  if (alertResult.rows.length === 0) {
+    res.status(404).json({ error: 'Alerta no encontrada' });
+    return false;
+  }
+
+  if (alertResult.rows[0].business_id && !hasRole(req.role, 'analyst')) {
+    res.status(403).json({
+      error: 'Tu rol en la organización no permite modificar las alertas del negocio',
+      code: 'INSUFFICIENT_ROLE',
+      role: req.role,
+      required_role: 'analyst'
+    });
+    return false;
+  }
+
+  return true;
+};
+
 // PUT /api/users/alerts/:id/read - Marcar alerta como leída
-router.put('/alerts/:id/read', requireAuth, async (req, res) => {
+router.put('/alerts/:id/read', requireAuth, requireBusiness, async (req, res) => {
   try {
     const alertId = parseInt(req.params.id);
 
@@ -224,14 +221,9 @@ router.put('/alerts/:id/read', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'ID de alerta inválido' });
     }
 
-    const updateResult = await query(
-      'UPDATE alerts SET is_read = true WHERE id = $1 AND user_id = $2 RETURNING id',
-      [alertId, req.userId]
-    );
+    if (!await canModifyAlert(req, res, alertId)) return;
 
-    if (updateResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Alerta no encontrada' });
-    }
+    await query('UPDATE alerts SET is_read = true WHERE id = $1', [alertId]);
 
     res.json({ message: 'Alerta marcada como leída' });
 
@@ -241,12 +233,14 @@ router.put('/alerts/:id/read', requireAuth, async (req, res) => {
   }
 });
 
-// PUT /api/users/alerts/read-all - Marcar todas las alertas como leídas
-router.put('/alerts/read-all', requireAuth, async (req, res) => {
+// PUT /api/users/alerts/read-all - Marcar como leídas las alertas de la cuenta y del negocio seleccionado
+// (las del negocio solo con rol analyst o superior)
+router.put('/alerts/read-all', requireAuth, requireBusiness, async (req, res) => {
   try {
     const updateResult = await query(
-      'UPDATE alerts SET is_read = true WHERE user_id = $1 AND is_read = false',
-      [req.userId]
+      `UPDATE alerts SET is_read = true
+       WHERE is_read = false AND ((user_id = $1 AND business_id IS NULL) OR business_id = $2)`,
+      [req.userId, hasRole(req.role, 'analyst') ? req.businessId : null]
     );
 
     res.json({ 
@@ -261,7 +255,7 @@ router.put('/alerts/read-all', requireAuth, async (req, res) => {
 });
 
 // DELETE /api/users/alerts/:id - Eliminar alerta
-router.delete('/alerts/:id', requireAuth, async (req, res) => {
+router.delete('/alerts/:id', requireAuth, requireBusiness, async (req, res) => {
   try {
     const alertId = parseInt(req.params.id);
 
@@ -269,14 +263,9 @@ router.delete('/alerts/:id', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'ID de alerta inválido' });
     }
 
-    const deleteResult = await query(
-      'DELETE FROM alerts WHERE id = $1 AND user_id = $2',
-      [alertId, req.userId]
-    );
+    if (!await canModifyAlert(req, res, alertId)) return;
 
-    if (deleteResult.rowCount === 0) {
-      return res.status(404).json({ error: 'Alerta no encontrada' });
-    }
+    await query('DELETE FROM alerts WHERE id = $1', [alertId]);
 
     res.json({ message: 'Alerta eliminada exitosamente' });
 
@@ -290,7 +279,7 @@ router.delete('/alerts/:id', requireAuth, async (req, res) => {
 router.get('/integrations', requireAuth, async (req, res) => {
   try {
     const integrationsResult = await query(
-      `SELECT id, integration_type, integration_name, is_active, created_at, updated_at
+      `SELECT id, business_id, integration_type, integration_name, is_active, created_at, updated_at
        FROM integrations 
        WHERE user_id = $1 
        ORDER BY created_at DESC`,
@@ -326,13 +315,20 @@ router.delete('/account', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Usuario no encontrado' });
     }
 
-    const bcrypt = require('bcryptjs');
-    const isValidPassword = await bcrypt.compare(password, userResult.rows[0].password_hash);
+    const isValidPassword = await verifyPassword(password, userResult.rows[0].password_hash);
 
     if (!isValidPassword) {
       return res.status(401).json({ error: 'Contraseña incorrecta' });
     }
 
+    // Una organización con más miembros se borraría en cascada con su propietario
+    if (await ownsSharedOrganization(req.userId)) {
+      return res.status(409).json({
+        error: 'Eres propietario de una organización con más miembros. Transfiere antes la propiedad',
+        code: 'OWNS_ORGANIZATION'
+      });
+    }
+
     // Eliminar usuario (CASCADE eliminará datos relacionados)
     await query('DELETE FROM users WHERE id = $1', [req.userId]);
 
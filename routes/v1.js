@@ -0,0 +1,326 @@
+const express = require('express');
+const { query } = require('../database');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  DAY_MS,
+  SYNC_DATA_TYPES,
+  getPeriodMetrics,
+  compareMetric,
+  resolveBaselinePeriods,
+  scaleMetrics
+} = require('../services/metrics');
+const {
+  GRANULARITIES,
+  toDateString,
+  startOfUTCDay,
+  getTimeSeries
+} = require('../services/dailyMetrics');
+const { enqueueSync, getSyncJob } = require('../services/syncQueue');
+const { getSyncConnector } = require('../services/connectors');
+const { getIntegrationHealth } = require('../services/syncRuns');
+const { requireApiKey, requireScope } = require('../services/apiKeys');
+const router = express.Router();
+
+// API pública versionada. Se autentica con API key (Authorization: Bearer o
+// X-API-Key) y trabaja siempre sobre el negocio de la key. Las respuestas son
+// datos sin formatear para integrarlos en otros sistemas.
+
+// Rango máximo de días consultable en /analytics
+const MAX_ANALYTICS_DAYS = 730;
+
+// Máximo 1000 peticiones por hora y API key
+const apiLimiter = rateLimit({
+  name: 'api-v1',
+  windowSeconds: 60 * 60,
+  max: 1000,
+  keyBy: (req) => req.apiKey.id,
+  message: 'Límite de peticiones de la API alcanzado. Inténtalo de nuevo más tarde'
+});
+
+router.use(requireApiKey, apiLimiter);
+
+// GET /api/v1/me - Key usada y negocio al que da acceso
+router.get('/me', (req, res) => {
+  res.json({
+    api_key: req.apiKey,
+    business: { id: req.business.id, name: req.business.name }
+  });
+});
+
+// GET /api/v1/kpis - KPIs del mes en curso frente al período base
+router.get('/kpis', requireScope('read:dashboard'), async (req, res) => {
+  try {
+    const periods = resolveBaselinePeriods(req.query);
+
+    if (periods.error) {
+      return res.status(400).json({ error: periods.error });
+    }
+
+    const [data, rawBaselineData] = await Promise.all([
+      getPeriodMetrics(req.businessId, periods.current.start, periods.current.end),
+      getPeriodMetrics(req.businessId, periods.baseline.start, periods.baseline.end)
+    ]);
+
+    // Llevar el período base a la duración del actual antes de comparar
+    const baselineData = scaleMetrics(rawBaselineData, periods.baseline.scale);
+
+    const kpis = [
+      ['monthly_revenue', 'revenue', 'financial'],
+      ['new_customers', 'customers', 'growth'],
+      ['conversion_rate', 'conversion_rate', 'performance'],
+      ['avg_order_value', 'avg_order_value', 'financial'],
+      ['website_traffic', 'traffic', 'marketing'],
+      ['bounce_rate', 'bounce_rate', 'marketing']
+    ].map(([id, metric, category]) => ({
+      id,
+      value: data[metric],
+      available: data[metric] !== null,
+      baseline_value: baselineData[metric],
+      ...compareMetric(data[metric], baselineData[metric]),
+      category
+    }));
+
+    res.json({
+      business_id: req.businessId,
+      kpis,
+      period: {
+        start: periods.current.start.toISOString(),
+        end: periods.current.end.toISOString()
+      },
+      baseline: {
+        type: periods.baseline.type,
+        start: periods.baseline.start.toISOString(),
+        end: periods.baseline.end.toISOString(),
+        scale: Math.round(periods.baseline.scale * 1000) / 1000
+      },
+      unavailable_metrics: data.unavailable_metrics,
+      has_data: data.has_data
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo KPIs (API v1):', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// GET /api/v1/analytics - Serie temporal de métricas diarias
+router.get('/analytics', requireScope('read:dashboard'), async (req, res) => {
+  try {
+    const { period = '30d', integration_type, granularity = 'day', from, to } = req.query;
+
+    if (!GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: `Granularidad no válida. Usa: ${GRANULARITIES.join(', ')}` });
+    }
+
+    const integrationTypes = SYNC_DATA_TYPES.map(type => type.replace(/_sync$/, ''));
+    if (integration_type && !integrationTypes.includes(integration_type)) {
+      return res.status(400).json({ error: 'Tipo de integración no válido' });
+    }
+
+    // Resolver el rango de fechas: from/to explícitos o uno de los períodos predefinidos
+    let rangeStart;
+    let rangeEnd;
+
+    if (from || to) {
+      rangeStart = new Date(from);
+      rangeEnd = new Date(to);
+
+      if (!from || !to || isNaN(rangeStart) || isNaN(rangeEnd)) {
+        return res.status(400).json({ error: 'from y to son requeridos con formato de fecha válido (YYYY-MM-DD)' });
+      }
+
+      if (rangeStart > rangeEnd) {
+        return res.status(400).json({ error: 'La fecha from debe ser anterior a to' });
+      }
+    } else {
+      const days = period === '7d' ? 7 : period === '30d' ? 30 : 90;
+      rangeEnd = startOfUTCDay(new Date());
+      rangeStart = new Date(rangeEnd.getTime() - (days - 1) * DAY_MS);
+    }
+
+    if (Math.round((rangeEnd - rangeStart) / DAY_MS) + 1 > MAX_ANALYTICS_DAYS) {
+      return res.status(400).json({ error: `El rango máximo es de ${MAX_ANALYTICS_DAYS} días` });
+    }
+
+    const series = await getTimeSeries(req.businessId, {
+      from: rangeStart,
+      to: rangeEnd,
+      granularity,
+      integrationType: integration_type || null
+    });
+
+    const data = series.map(({ date, values }) => {
+      const transactions = Math.round(values.transactions || 0);
+      const visitors = Math.round(values.sessions || 0);
+
+      return {
+        date,
+        revenue: Math.round((values.revenue || 0) * 100) / 100,
+        transactions,
+        visitors,
+        conversion_rate: visitors > 0 ? Math.round(transactions / visitors * 10000) / 100 : null
+      };
+    });
+
+    res.json({
+      business_id: req.businessId,
+      from: toDateString(rangeStart),
+      to: toDateString(rangeEnd),
+      granularity,
+      integration_type: integration_type || null,
+      data
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo analytics (API v1):', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// GET /api/v1/alerts - Alertas del negocio (paginadas)
+router.get('/alerts', requireScope('read:alerts'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+    const unreadOnly = req.query.unread === 'true';
+
+    const alertsResult = await query(
+      `SELECT id, alert_type, title, message, severity, is_read, data, created_at
+       FROM alerts
+       WHERE business_id = $1 AND ($4::boolean = false OR is_read = false)
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [req.businessId, limit, offset, unreadOnly]
+    );
+
+    const countResult = await query(
+      'SELECT COUNT(*) as total FROM alerts WHERE business_id = $1 AND ($2::boolean = false OR is_read = false)',
+      [req.businessId, unreadOnly]
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      business_id: req.businessId,
+      alerts: alertsResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo alertas (API v1):', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// GET /api/v1/integrations - Integraciones del negocio y su estado
+router.get('/integrations', requireScope('read:dashboard'), async (req, res) => {
+  try {
+    const integrationsResult = await query(
+      `SELECT id, integration_type, integration_name, is_active, created_at, additional_data,
+              last_synced_at, last_error, last_error_at, consecutive_failures
+       FROM integrations
+       WHERE business_id = $1
+       ORDER BY created_at DESC`,
+      [req.businessId]
+    );
+
+    res.json({
+      business_id: req.businessId,
+      integrations: integrationsResult.rows.map(({ additional_data, ...integration }) => ({
+        ...integration,
+        health: getIntegrationHealth({ ...integration, additional_data })
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo integraciones (API v1):', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/v1/integrations/:id/sync - Encolar la sincronización de una integración
+router.post('/integrations/:id/sync', requireScope('write:integrations'), async (req, res) => {
+  try {
+    const integrationId = parseInt(req.params.id);
+
+    if (isNaN(integrationId)) {
+      return res.status(400).json({ error: 'ID de integración inválido' });
+    }
+
+    const integrationResult = await query(
+      `SELECT id, user_id, integration_type, additional_data
+       FROM integrations WHERE id = $1 AND business_id = $2 AND is_active = true`,
+      [integrationId, req.businessId]
+    );
+
+    if (integrationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Integración no encontrada o inactiva' });
+    }
+
+    const integration = integrationResult.rows[0];
+    const status = integration.additional_data?.status;
+
+    if (status === 'needs_reauth' || status === 'pending_oauth') {
+      return res.status(409).json({
+        error: status === 'needs_reauth'
+          ? 'La integración necesita volver a autorizarse'
+          : 'La integración está pendiente de autorización',
+        code: status.toUpperCase()
+      });
+    }
+
+    if (!getSyncConnector(integration.integration_type)) {
+      return res.status(409).json({
+        error: 'La sincronización de este tipo de integración aún no está disponible',
+        code: 'SYNC_UNAVAILABLE'
+      });
+    }
+
+    // Período sincronizado: los últimos 30 días UTC completos
+    const periodEnd = startOfUTCDay(new Date());
+    const periodStart = new Date(periodEnd.getTime() - 30 * DAY_MS);
+
+    const { job, created } = await enqueueSync(integration.user_id, integrationId, periodStart, periodEnd);
+
+    res.status(202).json({
+      created,
+      job,
+      status_url: `/api/v1/sync/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    console.error('Error encolando sincronización (API v1):', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// GET /api/v1/sync/jobs/:id - Estado de un job de sincronización
+router.get('/sync/jobs/:id', requireScope('write:integrations'), async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({ error: 'ID de job inválido' });
+    }
+
+    const job = await getSyncJob(req.businessId, jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job no encontrado' });
+    }
+
+    res.json({ job });
+
+  } catch (error) {
+    console.error('Error obteniendo job de sincronización (API v1):', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// Reenvía eventos de Stripe de ejemplo al webhook local, firmados con
+// STRIPE_WEBHOOK_SECRET, para probar en desarrollo los manejadores reales
+// (verificación de firma, registro en webhook_events y procesamiento).
+// Uso: npm run replay-webhooks -- [fixture ...] [--customer cus_xxx] [--keep-ids]
+//   fixture      nombre de un fichero de STRIPE_WEBHOOK_FIXTURES_DIR (por defecto, todos en orden)
+//   --customer   customer de Stripe de un usuario local con el que sustituir el de los fixtures
+//   --keep-ids   conservar el id y la fecha del fixture (para probar duplicados y eventos fuera de orden)
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const FIXTURES_DIR = path.resolve(process.env.STRIPE_WEBHOOK_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'stripe-events'));
+const WEBHOOK_URL = process.env.WEBHOOK_REPLAY_URL || `http://localhost:${process.env.PORT || 3000}/api/webhooks/stripe`;
+
+// Función para leer los argumentos de la línea de comandos
+const parseArgs = (args) => {
+  const options = { fixtures: [], customer: null, keepIds: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--customer') options.customer = args[++i];
+    else if (args[i] === '--keep-ids') options.keepIds = true;
+    else options.fixtures.push(args[i].endsWith('.json') ? args[i] : `${args[i]}.json`);
+  }
+
+  return options;
+};
+
+// Función para preparar el evento de un fixture. Por defecto recibe un id y una
+// fecha nuevos para que no se descarte como duplicado ni como evento atrasado.
+const buildEvent = (fixture, index, { customer, keepIds }) => {
+  const event = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, fixture), 'utf8'));
+
+  if (!keepIds) {
+    event.id = `evt_replay_${crypto.randomBytes(12).toString('hex')}`;
+    event.created = Math.floor(Date.now() / 1000) + index;
+  }
+
+  if (customer) {
+    if (event.data.object.object === 'customer') event.data.object.id = customer;
+    else event.data.object.customer = customer;
+  }
+
+  return event;
+};
+
+const run = async () => {
+  try {
+    if (process.env.NODE_ENV !== 'development') {
+      throw new Error('El replay de webhooks solo está disponible con NODE_ENV=development');
+    }
+
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('Configura STRIPE_WEBHOOK_SECRET (cualquier valor en local) para firmar los eventos');
+    }
+
+    const options = parseArgs(process.argv.slice(2));
+    const fixtures = options.fixtures.length > 0
+      ? options.fixtures
+      : fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).sort();
+
+    console.log(`🔁 Reenviando ${fixtures.length} eventos de ${FIXTURES_DIR} a ${WEBHOOK_URL}`);
+
+    for (const [index, fixture] of fixtures.entries()) {
+      const payload = JSON.stringify(buildEvent(fixture, index, options));
+      const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+      const response = await axios.post(WEBHOOK_URL, payload, {
+        headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+        validateStatus: () => true
+      });
+
+      // Un evento que falla se confirma a Stripe (200) con status failed
+      const ok = response.status < 300 && response.data?.status !== 'failed';
+      console.log(`${ok ? '✅' : '❌'} ${fixture}: ${response.status} ${JSON.stringify(response.data)}`);
+      if (!ok) process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Error reenviando eventos:', error.message);
+    process.exitCode = 1;
+  }
+};
+
+run();
@@ -0,0 +1,22 @@
+// Vuelve a cifrar las credenciales de integraciones y los secretos TOTP de los
+// usuarios con la clave maestra actual.
+// Uso: añade la nueva clave a INTEGRATION_ENCRYPTION_KEYS, apunta
+// INTEGRATION_ENCRYPTION_KEY_VERSION a ella y ejecuta `npm run rotate-keys`.
+// La clave anterior puede retirarse cuando el script termina sin errores.
+const { closePool } = require('../database');
+const { rotateIntegrationKeys } = require('../services/integrationTokens');
+
+const run = async () => {
+  try {
+    console.log('🔐 Rotando claves de credenciales de integraciones y secretos TOTP...');
+    const { rotated, rotated_totp_secrets, key_version } = await rotateIntegrationKeys();
+    console.log(`✅ ${rotated} integraciones y ${rotated_totp_secrets} secretos TOTP cifrados con la clave versión ${key_version}`);
+  } catch (error) {
+    console.error('❌ Error rotando claves:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+};
+
+run();
@@ -9,14 +9,40 @@ const userRoutes = require('./routes/users');
 const subscriptionRoutes = require('./routes/subscriptions');
 const integrationRoutes = require('./routes/integrations');
 const dashboardRoutes = require('./routes/dashboard');
+const businessRoutes = require('./routes/businesses');
+const organizationRoutes = require('./routes/organizations');
+const apiKeyRoutes = require('./routes/apiKeys');
+const v1Routes = require('./routes/v1');
 const webhookRoutes = require('./routes/webhooks');
+const internalRoutes = require('./routes/internal');
+const { startScheduler } = require('./services/scheduler');
+const { startSyncWorker } = require('./services/syncQueue');
+const { assertAuthConfig } = require('./middleware/auth');
 
 // Configurar variables de entorno
 dotenv.config();
 
+// Sin JWT_SECRET en producción los tokens serían falsificables: no arrancar
+try {
+  assertAuthConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Detrás de un proxy (load balancer) la IP del cliente viene en X-Forwarded-For
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy === 'true') {
+  app.set('trust proxy', true);
+} else if (/^\d+$/.test(trustProxy || '')) {
+  app.set('trust proxy', parseInt(trustProxy));
+} else if (trustProxy) {
+  app.set('trust proxy', trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
@@ -36,8 +62,17 @@ app.use('/api/users', userRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/integrations', integrationRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/businesses', businessRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 app.use('/api/webhooks', webhookRoutes);
 
+// Herramientas internas (solo administradores de la plataforma)
+app.use('/api/internal', internalRoutes);
+
+// API pública versionada (autenticada con API key)
+app.use('/api/v1', v1Routes);
+
 // Ruta de salud para verificar que el servidor funciona
 app.get('/health', (req, res) => {
   res.json({ 
@@ -68,6 +103,16 @@ app.use('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 BizlyticsApp servidor corriendo en puerto ${PORT}`);
   console.log(`🌟 Entorno: ${process.env.NODE_ENV || 'development'}`);
+
+  // Tareas programadas (sincronización de integraciones, limpieza de sesiones)
+  if (process.env.DISABLE_SCHEDULER !== 'true') {
+    startScheduler();
+  }
+
+  // Worker de la cola de sincronización
+  if (process.env.DISABLE_SYNC_WORKER !== 'true') {
+    startSyncWorker();
+  }
 });
 
 module.exports = app;
@@ -0,0 +1,39 @@
+const { query } = require('../database');
+
+// Administradores de la plataforma: los usuarios con email verificado cuyo
+// email está en ADMIN_EMAILS (separados por comas). Sin ADMIN_EMAILS nadie
+// tiene acceso a las herramientas internas (/api/internal).
+
+// Función para obtener los emails de administrador configurados
+const getAdminEmails = () => (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Middleware que exige un administrador de la plataforma. Debe ir después de requireAuth.
+const requireAdmin = async (req, res, next) => {
+  try {
+    const userResult = await query(
+      'SELECT email, email_verified_at FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    const user = userResult.rows[0];
+
+    if (!user || !user.email_verified_at || !getAdminEmails().includes(user.email.toLowerCase())) {
+      return res.status(403).json({
+        error: 'Acceso restringido a administradores',
+        code: 'ADMIN_REQUIRED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error verificando administrador:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+};
+
+module.exports = {
+  requireAdmin
+};
@@ -0,0 +1,20 @@
+const { query } = require('../database');
+
+// Función para crear alerta para el usuario.
+// `businessId` limita la alerta a un negocio; sin él es una alerta de la cuenta.
+const createUserAlert = async (userId, type, title, message, severity = 'info', data = null, businessId = null) => {
+  try {
+    await query(
+      `INSERT INTO alerts (user_id, alert_type, title, message, severity, data, business_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [userId, type, title, message, severity, data ? JSON.stringify(data) : null, businessId]
+    );
+    console.log(`🔔 Alerta creada para usuario ${userId}: ${title}`);
+  } catch (error) {
+    console.error('Error creando alerta:', error);
+  }
+};
+
+module.exports = {
+  createUserAlert
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const { query, withTransaction } = require('../database');
+const { getEntitlements, hasFeature } = require('./entitlements');
+
+// API keys de la API pública (/api/v1). Cada key pertenece a un negocio, tiene
+// unos scopes y opcionalmente una fecha de caducidad. La key tiene la forma
+// bzk_<prefijo>_<secreto>: solo se guarda su hash SHA-256 y el prefijo, que
+// sirve para reconocerla en el listado. Solo los planes con api_access pueden usarlas.
+
+const API_KEY_SCOPES = ['read:dashboard', 'read:alerts', 'write:integrations'];
+const MAX_API_KEYS_PER_BUSINESS = 20;
+const MAX_API_KEY_NAME_LENGTH = 100;
+const MAX_API_KEY_TTL_DAYS = 730;
+
+// La última utilización de una key se actualiza como mucho una vez por minuto
+const LAST_USED_UPDATE_SECONDS = 60;
+
+// Columnas de una key que se devuelven al usuario (nunca el hash)
+const API_KEY_FIELDS = `id, name, key_prefix, scopes, expires_at, last_used_at, last_used_ip,
+                        revoked_at, created_by, created_at`;
+
+// Función para calcular el hash con el que se guarda una API key
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// Función para generar una API key nueva con su prefijo visible
+const generateApiKey = () => {
+  const prefix = `bzk_${crypto.randomBytes(4).toString('hex')}`;
+  return { prefix, apiKey: `${prefix}_${crypto.randomBytes(32).toString('base64url')}` };
+};
+
+// Función para saber si el plan del titular de la facturación incluye la API
+const hasApiAccess = async (ownerUserId) => hasFeature(await getEntitlements(ownerUserId), 'api_access');
+
+// Función para validar los datos de una key nueva.
+// Devuelve { name, scopes, expiresAt } o { error }.
+const normalizeApiKeyInput = ({ name, scopes, expires_in_days: expiresInDays }) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'El nombre de la API key es requerido' };
+  }
+  if (name.trim().length > MAX_API_KEY_NAME_LENGTH) {
+    return { error: `El nombre no puede superar ${MAX_API_KEY_NAME_LENGTH} caracteres` };
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+    return { error: `Indica al menos un scope válido: ${API_KEY_SCOPES.join(', ')}` };
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = parseInt(expiresInDays);
+    if (isNaN(days) || days < 1 || days > MAX_API_KEY_TTL_DAYS) {
+      return { error: `expires_in_days debe estar entre 1 y ${MAX_API_KEY_TTL_DAYS}` };
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  return { name: name.trim(), scopes: [...new Set(scopes)], expiresAt };
+};
+
+// Función para listar las keys de un negocio (activas, caducadas y revocadas)
+const listApiKeys = async (businessId) => {
+  const result = await query(
+    `SELECT ${API_KEY_FIELDS} FROM api_keys
+     WHERE business_id = $1
+     ORDER BY revoked_at IS NOT NULL, created_at DESC`,
+    [businessId]
+  );
+  return result.rows;
+};
+
+// Función para crear una key. La key en claro solo se devuelve aquí.
+// Devuelve { apiKey, key } o { error, code }.
+const createApiKey = async (businessId, createdBy, { name, scopes, expiresAt }) => {
+  const { prefix, apiKey } = generateApiKey();
+
+  return withTransaction(async (client) => {
+    // El bloqueo del negocio hace esperar a otra creación simultánea hasta que esta termine
+    await client.query('SELECT id FROM businesses WHERE id = $1 FOR UPDATE', [businessId]);
+
+    const countResult = await client.query(
+      'SELECT COUNT(*) AS count FROM api_keys WHERE business_id = $1 AND revoked_at IS NULL',
+      [businessId]
+    );
+
+    if (parseInt(countResult.rows[0].count) >= MAX_API_KEYS_PER_BUSINESS) {
+      return {
+        error: `Máximo ${MAX_API_KEYS_PER_BUSINESS} API keys activas por negocio. Revoca alguna antes de crear otra`,
+        code: 'API_KEY_LIMIT_REACHED'
+      };
+    }
+
+    const result = await client.query(
+      `INSERT INTO api_keys (business_id, created_by, name, key_prefix, key_hash, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${API_KEY_FIELDS}`,
+      [businessId, createdBy, name, prefix, hashApiKey(apiKey), scopes, expiresAt]
+    );
+
+    return { apiKey: result.rows[0], key: apiKey };
+  });
+};
+
+// Función para revocar una key del negocio. Devuelve la key revocada o null.
+const revokeApiKey = async (businessId, apiKeyId) => {
+  const result = await query(
+    `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND business_id = $2 AND revoked_at IS NULL
+     RETURNING ${API_KEY_FIELDS}`,
+    [apiKeyId, businessId]
+  );
+  return result.rows[0] || null;
+};
+
+// Función para registrar el uso de una key (limitada a una escritura por minuto)
+const touchApiKey = async (apiKeyId, ip) => {
+  await query(
+    `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = COALESCE($2, last_used_ip)
+     WHERE id = $1
+       AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $3::int))`,
+    [apiKeyId, ip, LAST_USED_UPDATE_SECONDS]
+  );
+};
+
+// Función para leer la API key de la petición (Authorization: Bearer o X-API-Key)
+const getApiKeyFromRequest = (req) => {
+  const header = req.get('x-api-key') || req.headers.authorization?.replace('Bearer ', '') || '';
+  return /^bzk_[a-f0-9]{8}_[A-Za-z0-9_-]{43}$/.test(header) ? header : null;
+};
+
+// Middleware de autenticación de la API pública. Resuelve la key (req.apiKey) y
+// su negocio (req.business y req.businessId). La key deja de valer si se revoca,
+// caduca, su creador ya no es admin de la organización o el plan pierde api_access.
+const requireApiKey = async (req, res, next) => {
+  try {
+    const apiKey = getApiKeyFromRequest(req);
+
+    if (!apiKey) {
+      return res.status(401).json({ error: 'API key requerida', code: 'API_KEY_REQUIRED' });
+    }
+
+    const result = await query(
+      `SELECT k.id, k.name, k.key_prefix, k.scopes, k.expires_at, k.revoked_at, k.created_by,
+              b.id AS business_id, b.name AS business_name, b.organization_id, o.owner_user_id,
+              m.role AS creator_role
+       FROM api_keys k
+       JOIN businesses b ON b.id = k.business_id
+       JOIN organizations o ON o.id = b.organization_id
+       LEFT JOIN organization_members m ON m.organization_id = o.id AND m.user_id = k.created_by
+       WHERE k.key_hash = $1`,
+      [hashApiKey(apiKey)]
+    );
+
+    const key = result.rows[0];
+
+    if (!key || !['owner', 'admin'].includes(key.creator_role)) {
+      return res.status(401).json({ error: 'API key inválida', code: 'INVALID_API_KEY' });
+    }
+
+    if (key.revoked_at) {
+      return res.status(401).json({ error: 'API key revocada', code: 'API_KEY_REVOKED' });
+    }
+
+    if (key.expires_at && new Date() > new Date(key.expires_at)) {
+      return res.status(401).json({ error: 'API key caducada', code: 'API_KEY_EXPIRED' });
+    }
+
+    if (!(await hasApiAccess(key.owner_user_id))) {
+      return res.status(403).json({
+        error: 'El acceso a la API está disponible solo en el plan Business',
+        code: 'API_ACCESS_REQUIRED',
+        upgrade_required: true
+      });
+    }
+
+    req.apiKey = { id: key.id, name: key.name, key_prefix: key.key_prefix, scopes: key.scopes };
+    req.business = {
+      id: key.business_id,
+      name: key.business_name,
+      organization_id: key.organization_id,
+      owner_user_id: key.owner_user_id
+    };
+    req.businessId = key.business_id;
+
+    // El registro de uso no debe retrasar ni romper la petición
+    touchApiKey(key.id, req.ip || null)
+      .catch(error => console.error('Error actualizando uso de API key:', error.message));
+
+    next();
+  } catch (error) {
+    console.error('Error en autenticación por API key:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+};
+
+// Middleware que exige un scope a la key. Debe ir después de requireApiKey.
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      error: `La API key no tiene el scope ${scope}`,
+      code: 'INSUFFICIENT_SCOPE',
+      required_scope: scope
+    });
+  }
+  next();
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  hasApiAccess,
+  normalizeApiKeyInput,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  getApiKeyFromRequest,
+  requireApiKey,
+  requireScope
+};
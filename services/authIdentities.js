@@ -0,0 +1,85 @@
+const { query } = require('../database');
+
+// Métodos de inicio de sesión externos de cada usuario (por ahora, Google).
+// La contraseña sigue en users.password_hash; un usuario puede tener ambos.
+
+// Función para buscar el usuario de una identidad externa
+const findUserByIdentity = async (provider, subject) => {
+  const result = await query(
+    `SELECT u.id, u.email, u.name, u.totp_enabled_at
+     FROM auth_identities ai
+     JOIN users u ON u.id = ai.user_id
+     WHERE ai.provider = $1 AND ai.provider_subject = $2`,
+    [provider, subject]
+  );
+  return result.rows[0] || null;
+};
+
+// Función para vincular una identidad externa a un usuario.
+// Devuelve false si esa identidad ya pertenece a otro usuario.
+const linkIdentity = async (userId, provider, subject, email) => {
+  const result = await query(
+    `INSERT INTO auth_identities (user_id, provider, provider_subject, email, last_login_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+     ON CONFLICT (provider, provider_subject) DO UPDATE SET email = EXCLUDED.email
+     WHERE auth_identities.user_id = EXCLUDED.user_id
+     RETURNING id`,
+    [userId, provider, subject, email]
+  );
+  return result.rows.length > 0;
+};
+
+// Función para registrar un inicio de sesión con una identidad
+const touchIdentity = async (provider, subject, email) => {
+  await query(
+    `UPDATE auth_identities SET last_login_at = CURRENT_TIMESTAMP, email = COALESCE($3, email)
+     WHERE provider = $1 AND provider_subject = $2`,
+    [provider, subject, email]
+  );
+};
+
+// Función para listar los métodos de inicio de sesión de un usuario
+const listLoginMethods = async (userId) => {
+  const [userResult, identitiesResult] = await Promise.all([
+    query('SELECT password_hash IS NOT NULL AS has_password FROM users WHERE id = $1', [userId]),
+    query(
+      `SELECT id, provider, email, created_at, last_login_at
+       FROM auth_identities WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    )
+  ]);
+
+  return {
+    password: userResult.rows[0]?.has_password || false,
+    identities: identitiesResult.rows
+  };
+};
+
+// Función para desvincular una identidad. No se permite quitar el último método
+// de inicio de sesión. Devuelve { removed } o { error, code }.
+const unlinkIdentity = async (userId, identityId) => {
+  const methods = await listLoginMethods(userId);
+  const identity = methods.identities.find(item => item.id === identityId);
+
+  if (!identity) {
+    return { error: 'Método de inicio de sesión no encontrado', code: 'NOT_FOUND' };
+  }
+
+  if (!methods.password && methods.identities.length === 1) {
+    return {
+      error: 'No puedes quitar tu único método de inicio de sesión. Establece antes una contraseña',
+      code: 'LAST_LOGIN_METHOD'
+    };
+  }
+
+  await query('DELETE FROM auth_identities WHERE id = $1 AND user_id = $2', [identityId, userId]);
+  return { removed: identity };
+};
+
+module.exports = {
+  findUserByIdentity,
+  linkIdentity,
+  touchIdentity,
+  listLoginMethods,
+  unlinkIdentity
+};
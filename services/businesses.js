@@ -0,0 +1,248 @@
+const { query, withTransaction } = require('../database');
+const { getEntitlements } = require('./entitlements');
+
+// Negocios (workspaces) de cada organización. Las integraciones, dashboard_data
+// y alertas pertenecen a un negocio; users.current_business_id guarda el que el
+// usuario tiene seleccionado y todo el dashboard se limita a ese negocio. Un
+// usuario puede seleccionar cualquier negocio de las organizaciones de las que es miembro.
+
+const MAX_BUSINESS_NAME_LENGTH = 255;
+
+// Columnas del negocio seleccionado que usan las rutas (req.business)
+const CURRENT_BUSINESS_FIELDS = `b.id, b.name, b.organization_id, o.name AS organization_name,
+                                 o.owner_user_id, m.role, b.created_at, b.updated_at`;
+
+// Función para obtener cuántos negocios puede tener una organización según el plan de su owner
+const getBusinessLimit = async (ownerUserId) => {
+  const { plan_type, max_businesses } = await getEntitlements(ownerUserId);
+  return { plan_type, max_businesses };
+};
+
+// Función para validar el nombre de un negocio. Devuelve el nombre limpio o { error }.
+const normalizeBusinessName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'El nombre del negocio es requerido' };
+  }
+  if (name.trim().length > MAX_BUSINESS_NAME_LENGTH) {
+    return { error: `El nombre del negocio no puede superar ${MAX_BUSINESS_NAME_LENGTH} caracteres` };
+  }
+  return { name: name.trim() };
+};
+
+// Función para listar los negocios a los que tiene acceso un usuario, con su
+// organización, su rol en ella y cuál está seleccionado
+const listBusinesses = async (userId) => {
+  const result = await query(
+    `SELECT b.id, b.name, b.organization_id, o.name AS organization_name, m.role,
+            b.created_at, b.updated_at,
+            b.id = u.current_business_id AS is_current,
+            (SELECT COUNT(*) FROM integrations i WHERE i.business_id = b.id AND i.is_active = true)::int AS active_integrations
+     FROM organization_members m
+     JOIN organizations o ON o.id = m.organization_id
+     JOIN businesses b ON b.organization_id = o.id
+     JOIN users u ON u.id = m.user_id
+     WHERE m.user_id = $1
+     ORDER BY o.created_at, b.created_at, b.id`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Función para contar los negocios de una organización
+const countBusinesses = async (organizationId) => {
+  const result = await query(
+    'SELECT COUNT(*) AS count FROM businesses WHERE organization_id = $1',
+    [organizationId]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+// Función para obtener un negocio al que el usuario tiene acceso, con su rol
+const getBusiness = async (userId, businessId) => {
+  const result = await query(
+    `SELECT ${CURRENT_BUSINESS_FIELDS}
+     FROM businesses b
+     JOIN organizations o ON o.id = b.organization_id
+     JOIN organization_members m ON m.organization_id = o.id AND m.user_id = $2
+     WHERE b.id = $1`,
+    [businessId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Función para crear un negocio en una organización respetando el límite del plan.
+// Devuelve { business } o { error, code }.
+const createBusiness = async (organization, name) => {
+  const { plan_type, max_businesses } = await getBusinessLimit(organization.owner_user_id);
+
+  return withTransaction(async (client) => {
+    // Con la organización bloqueada, las altas simultáneas se cuentan de una en una
+    await client.query('SELECT id FROM organizations WHERE id = $1 FOR UPDATE', [organization.organization_id]);
+
+    const countResult = await client.query(
+      'SELECT COUNT(*) AS count FROM businesses WHERE organization_id = $1',
+      [organization.organization_id]
+    );
+
+    if (parseInt(countResult.rows[0].count) >= max_businesses) {
+      return {
+        error: max_businesses > 1
+          ? `Tu plan permite un máximo de ${max_businesses} negocios`
+          : 'Gestionar varios negocios está disponible en el plan Business',
+        code: 'BUSINESS_LIMIT_REACHED',
+        plan_type,
+        max_businesses
+      };
+    }
+
+    const result = await client.query(
+      `INSERT INTO businesses (user_id, organization_id, name)
+       VALUES ($1, $2, $3)
+       RETURNING id, name, organization_id, created_at, updated_at`,
+      [organization.owner_user_id, organization.organization_id, name]
+    );
+
+    return { business: result.rows[0] };
+  });
+};
+
+// Función para garantizar que un usuario pertenece a alguna organización con
+// al menos un negocio, y que tiene seleccionado un negocio al que tiene acceso.
+// Si no es miembro de ninguna, se crea su organización personal con el nombre
+// de su empresa (o su nombre).
+const ensureDefaultBusiness = async (userId) => {
+  const organizationResult = await query(
+    `INSERT INTO organizations (name, owner_user_id)
+     SELECT COALESCE(NULLIF(TRIM(company_name), ''), name), id FROM users
+     WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM organization_members WHERE user_id = $1)
+     RETURNING id, name`,
+    [userId]
+  );
+
+  if (organizationResult.rows.length > 0) {
+    const organization = organizationResult.rows[0];
+
+    await query(
+      `INSERT INTO organization_members (organization_id, user_id, role)
+       VALUES ($1, $2, 'owner')
+       ON CONFLICT (organization_id, user_id) DO NOTHING`,
+      [organization.id, userId]
+    );
+
+    await query(
+      'INSERT INTO businesses (user_id, organization_id, name) VALUES ($1, $2, $3)',
+      [userId, organization.id, organization.name]
+    );
+  }
+
+  const result = await query(
+    `UPDATE users
+     SET current_business_id = (
+       SELECT MIN(b.id) FROM businesses b
+       JOIN organization_members m ON m.organization_id = b.organization_id
+       WHERE m.user_id = $1
+     )
+     WHERE id = $1
+       AND NOT EXISTS (
+         SELECT 1 FROM businesses b
+         JOIN organization_members m ON m.organization_id = b.organization_id
+         WHERE b.id = users.current_business_id AND m.user_id = $1
+       )
+     RETURNING current_business_id`,
+    [userId]
+  );
+
+  return result.rows[0]?.current_business_id || null;
+};
+
+// Función para obtener el negocio seleccionado del usuario. Si falta o ya no
+// tiene acceso (p. ej. lo quitaron de la organización) se selecciona otro.
+const getCurrentBusiness = async (userId) => {
+  const result = await query(
+    `SELECT ${CURRENT_BUSINESS_FIELDS}
+     FROM users u
+     JOIN businesses b ON b.id = u.current_business_id
+     JOIN organizations o ON o.id = b.organization_id
+     JOIN organization_members m ON m.organization_id = o.id AND m.user_id = u.id
+     WHERE u.id = $1`,
+    [userId]
+  );
+
+  if (result.rows.length > 0) return result.rows[0];
+
+  const businessId = await ensureDefaultBusiness(userId);
+  return businessId ? getBusiness(userId, businessId) : null;
+};
+
+// Función para seleccionar otro negocio accesible. Devuelve el negocio o null.
+const switchBusiness = async (userId, businessId) => {
+  const business = await getBusiness(userId, businessId);
+  if (!business) return null;
+
+  await query(
+    'UPDATE users SET current_business_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [businessId, userId]
+  );
+  return business;
+};
+
+// Función para renombrar un negocio
+const renameBusiness = async (businessId, name) => {
+  const result = await query(
+    `UPDATE businesses SET name = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING id, name, organization_id, created_at, updated_at`,
+    [name, businessId]
+  );
+  return result.rows[0] || null;
+};
+
+// Función para eliminar un negocio con sus integraciones, datos y alertas.
+// No se permite eliminar el último de la organización.
+// Devuelve { deleted } o { error, code }.
+const deleteBusiness = async (business) => {
+  if (await countBusinesses(business.organization_id) === 1) {
+    return { error: 'No puedes eliminar el único negocio de la organización', code: 'LAST_BUSINESS' };
+  }
+
+  // Las integraciones, dashboard_data y alertas del negocio se borran en cascada;
+  // quien lo tuviera seleccionado pasa a otro en su siguiente petición
+  await query('DELETE FROM businesses WHERE id = $1', [business.id]);
+
+  return { deleted: { id: business.id, name: business.name } };
+};
+
+// Middleware que resuelve el negocio seleccionado (req.business y req.businessId)
+// y el rol del usuario en su organización (req.role). Debe ir después de requireAuth.
+const requireBusiness = async (req, res, next) => {
+  try {
+    const business = await getCurrentBusiness(req.userId);
+
+    if (!business) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    req.business = business;
+    req.businessId = business.id;
+    req.role = business.role;
+    next();
+  } catch (error) {
+    console.error('Error resolviendo negocio seleccionado:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+};
+
+module.exports = {
+  getBusinessLimit,
+  normalizeBusinessName,
+  listBusinesses,
+  countBusinesses,
+  getBusiness,
+  createBusiness,
+  ensureDefaultBusiness,
+  getCurrentBusiness,
+  switchBusiness,
+  renameBusiness,
+  deleteBusiness,
+  requireBusiness
+};
@@ -0,0 +1,60 @@
+const axios = require('axios');
+const { sanitizeProviderError } = require('../secrets');
+
+// URLs base de las APIs de Google (configurables para apuntar a un stub local)
+const ANALYTICS_ADMIN_API_URL = process.env.GOOGLE_ANALYTICS_ADMIN_API_URL || 'https://analyticsadmin.googleapis.com/v1beta';
+const GMAIL_API_URL = process.env.GOOGLE_GMAIL_API_URL || 'https://gmail.googleapis.com/gmail/v1';
+
+// Función para crear un cliente HTTP con el access token de la integración
+const createClient = (baseURL, accessToken) => {
+  const client = axios.create({
+    baseURL,
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: 15000
+  });
+
+  // Los errores no deben arrastrar la cabecera Authorization a los logs
+  client.interceptors.response.use(null, (error) => Promise.reject(sanitizeProviderError(error)));
+
+  return client;
+};
+
+// Función para comprobar el acceso a Google Analytics. Si la integración tiene
+// property_id se lee esa propiedad; si no, se listan las propiedades accesibles.
+const checkAnalyticsConnection = async (integration) => {
+  const client = createClient(ANALYTICS_ADMIN_API_URL, integration.access_token);
+  const propertyId = integration.additional_data?.property_id;
+
+  if (propertyId) {
+    const response = await client.get(`/properties/${encodeURIComponent(propertyId)}`);
+    return {
+      property_id: propertyId,
+      property_name: response.data.displayName || null
+    };
+  }
+
+  const response = await client.get('/accountSummaries', { params: { pageSize: 50 } });
+  const summaries = response.data.accountSummaries || [];
+
+  return {
+    property_id: null,
+    accounts: summaries.length,
+    properties: summaries.reduce((total, summary) => total + (summary.propertySummaries || []).length, 0)
+  };
+};
+
+// Función para comprobar el acceso a Gmail leyendo el perfil del buzón
+const checkGmailConnection = async (integration) => {
+  const client = createClient(GMAIL_API_URL, integration.access_token);
+  const response = await client.get('/users/me/profile');
+
+  return {
+    email: response.data.emailAddress,
+    messages_total: response.data.messagesTotal
+  };
+};
+
+module.exports = {
+  checkAnalyticsConnection,
+  checkGmailConnection
+};
@@ -0,0 +1,18 @@
+const { syncStripe } = require('./stripe');
+
+// Conectores de sincronización por tipo de integración. Google Analytics y
+// Gmail se pueden conectar, pero aún no tienen conector y no se sincronizan.
+const SYNC_CONNECTORS = {
+  stripe: syncStripe
+};
+
+// Tipos de integración que se pueden sincronizar
+const SYNCABLE_TYPES = Object.keys(SYNC_CONNECTORS);
+
+// Función para obtener el conector de un tipo de integración (o null si no tiene)
+const getSyncConnector = (integrationType) => SYNC_CONNECTORS[integrationType] || null;
+
+module.exports = {
+  SYNCABLE_TYPES,
+  getSyncConnector
+};
@@ -0,0 +1,173 @@
+const axios = require('axios');
+const { sanitizeProviderError } = require('../secrets');
+
+// URL base de la API de Stripe (configurable para apuntar a un stub local)
+const STRIPE_API_URL = process.env.STRIPE_CONNECTOR_API_URL || 'https://api.stripe.com/v1';
+
+// Máximo de páginas (de 100 objetos) que se leen por recurso en cada sync
+const MAX_PAGES = 50;
+
+// Función para saber si una clave es una clave restringida de Stripe (rk_)
+const isRestrictedKey = (apiKey) => typeof apiKey === 'string' && /^rk_(test|live)_[A-Za-z0-9]+$/.test(apiKey);
+
+// Función para validar las credenciales recibidas al conectar Stripe. Solo se
+// acepta una clave restringida (rk_) de solo lectura creada por el negocio: no
+// se guardan claves secretas completas ni se accede a cuentas por su ID con la
+// clave de la plataforma (eso no demuestra que la cuenta sea del negocio).
+const parseStripeCredentials = ({ api_key }) => {
+  if (!api_key) {
+    return { error: 'Se requiere una clave restringida de Stripe (api_key)' };
+  }
+
+  if (!isRestrictedKey(api_key)) {
+    return { error: 'La clave de Stripe debe ser una clave restringida (rk_) de solo lectura' };
+  }
+
+  return { api_key };
+};
+
+// Función para crear un cliente HTTP con la clave del negocio
+const createClient = (apiKey) => {
+  const headers = { Authorization: `Bearer ${apiKey}` };
+
+  const client = axios.create({ baseURL: STRIPE_API_URL, headers, timeout: 15000 });
+
+  // Los errores no deben arrastrar la cabecera Authorization a los logs
+  client.interceptors.response.use(null, (error) => Promise.reject(sanitizeProviderError(error)));
+
+  return client;
+};
+
+// Función para obtener el cliente de una fila de integrations
+const clientForIntegration = (integration) => createClient(integration.access_token);
+
+// Función para obtener la cuenta asociada a las credenciales (verifica que funcionan)
+const fetchAccount = async (credentials) => {
+  const client = createClient(credentials.api_key);
+  const response = await client.get('/account');
+  return response.data;
+};
+
+// Función para recorrer un listado paginado de Stripe creado dentro de [start, end)
+const listAll = async (client, path, start, end, params = {}) => {
+  const items = [];
+  let startingAfter = null;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await client.get(path, {
+      params: {
+        ...params,
+        limit: 100,
+        'created[gte]': Math.floor(start.getTime() / 1000),
+        'created[lt]': Math.floor(end.getTime() / 1000),
+        ...(startingAfter ? { starting_after: startingAfter } : {})
+      }
+    });
+
+    items.push(...response.data.data);
+
+    if (!response.data.has_more || response.data.data.length === 0) {
+      return items;
+    }
+    startingAfter = response.data.data[response.data.data.length - 1].id;
+  }
+
+  console.warn(`⚠️ Stripe ${path}: límite de ${MAX_PAGES} páginas alcanzado`);
+  return items;
+};
+
+// Función para obtener la fecha UTC (YYYY-MM-DD) de un timestamp de Stripe
+const dateOf = (unixSeconds) => new Date(unixSeconds * 1000).toISOString().split('T')[0];
+
+// Función para sincronizar cargos, reembolsos, payouts y clientes de un período.
+// Los importes de Stripe vienen en céntimos; revenue es el neto de reembolsos.
+// Solo se suman los importes en la divisa por defecto de la cuenta: los de
+// otras divisas se cuentan aparte en other_currencies, sin convertir.
+const syncStripe = async (integration, periodStart, periodEnd) => {
+  const client = clientForIntegration(integration);
+
+  const [charges, refunds, payouts, customers] = await Promise.all([
+    listAll(client, '/charges', periodStart, periodEnd),
+    listAll(client, '/refunds', periodStart, periodEnd),
+    listAll(client, '/payouts', periodStart, periodEnd),
+    listAll(client, '/customers', periodStart, periodEnd)
+  ]);
+
+  const daily = {};
+  const addDaily = (date, metric, value) => {
+    daily[date] = daily[date] || {};
+    daily[date][metric] = (daily[date][metric] || 0) + value;
+  };
+
+  const currency = (integration.additional_data?.default_currency || charges[0]?.currency || '').toLowerCase();
+  const otherCurrencies = {};
+  const inCurrency = (item) => {
+    const itemCurrency = (item.currency || '').toLowerCase();
+    if (!currency || itemCurrency === currency) return true;
+    otherCurrencies[itemCurrency] = (otherCurrencies[itemCurrency] || 0) + 1;
+    return false;
+  };
+
+  const totals = {
+    currency: currency || null,
+    revenue: 0,
+    gross_revenue: 0,
+    refunds: 0,
+    payouts: 0,
+    transactions: 0,
+    refunds_count: 0,
+    customers: customers.length
+  };
+
+  for (const charge of charges) {
+    if (charge.status !== 'succeeded' || !charge.paid || !inCurrency(charge)) continue;
+    const amount = charge.amount / 100;
+    totals.gross_revenue += amount;
+    totals.transactions++;
+    addDaily(dateOf(charge.created), 'revenue', amount);
+    addDaily(dateOf(charge.created), 'transactions', 1);
+  }
+
+  for (const refund of refunds) {
+    if (refund.status === 'failed' || refund.status === 'canceled' || !inCurrency(refund)) continue;
+    const amount = refund.amount / 100;
+    totals.refunds += amount;
+    totals.refunds_count++;
+    addDaily(dateOf(refund.created), 'revenue', -amount);
+    addDaily(dateOf(refund.created), 'refunds', amount);
+  }
+
+  for (const payout of payouts) {
+    if (payout.status === 'failed' || payout.status === 'canceled' || !inCurrency(payout)) continue;
+    totals.payouts += payout.amount / 100;
+    addDaily(dateOf(payout.created), 'payouts', payout.amount / 100);
+  }
+
+  for (const customer of customers) {
+    addDaily(dateOf(customer.created), 'customers', 1);
+  }
+
+  totals.revenue = Math.round((totals.gross_revenue - totals.refunds) * 100) / 100;
+  totals.gross_revenue = Math.round(totals.gross_revenue * 100) / 100;
+  totals.refunds = Math.round(totals.refunds * 100) / 100;
+  totals.payouts = Math.round(totals.payouts * 100) / 100;
+  totals.other_currencies = otherCurrencies;
+
+  const dailyEntries = Object.entries(daily).flatMap(([date, metrics]) =>
+    Object.entries(metrics).map(([metric, value]) => ({ date, metric, value }))
+  );
+
+  return {
+    data: totals,
+    daily: dailyEntries,
+    records: charges.length + refunds.length + payouts.length + customers.length
+  };
+};
+
+module.exports = {
+  MAX_PAGES,
+  isRestrictedKey,
+  parseStripeCredentials,
+  fetchAccount,
+  syncStripe
+};
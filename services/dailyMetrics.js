@@ -0,0 +1,133 @@
+const { query } = require('../database');
+const { DAY_MS, normalizeSyncValue } = require('./metrics');
+
+// Granularidades admitidas por /api/dashboard/analytics
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Función para obtener la fecha (YYYY-MM-DD, UTC) de un Date
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+// Función para obtener el inicio del día UTC de una fecha
+const startOfUTCDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Función para guardar métricas diarias de una integración.
+// Cada entrada es { date, metric, value }; una nueva sincronización del mismo
+// día reemplaza el valor anterior, así que repetir un sync es idempotente.
+const upsertDailyMetrics = async (userId, integrationId, integrationType, entries) => {
+  if (entries.length === 0) return 0;
+
+  const result = await query(
+    `INSERT INTO daily_metrics (user_id, integration_id, integration_type, metric, metric_date, value)
+     SELECT $1, $2, $3, m.metric, m.metric_date, m.value
+     FROM UNNEST($4::text[], $5::date[], $6::numeric[]) AS m(metric, metric_date, value)
+     ON CONFLICT (user_id, integration_id, metric, metric_date)
+     DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+    [
+      userId,
+      integrationId,
+      integrationType,
+      entries.map(entry => entry.metric),
+      entries.map(entry => entry.date),
+      entries.map(entry => entry.value)
+    ]
+  );
+
+  return result.rowCount;
+};
+
+// Función para reemplazar las métricas diarias de una integración en el período
+// [periodStart, periodEnd) por las de un conector que ya devuelve el desglose
+// por día (los días sin actividad quedan sin fila, es decir, a 0). Si el período
+// termina a mitad de un día, ese día también se reemplaza.
+const replaceDailyMetrics = async (userId, integration, periodStart, periodEnd, entries) => {
+  await query(
+    `DELETE FROM daily_metrics
+     WHERE integration_id = $1 AND metric_date >= $2 AND metric_date <= $3`,
+    [integration.id, toDateString(periodStart), toDateString(new Date(periodEnd.getTime() - 1))]
+  );
+
+  return upsertDailyMetrics(userId, integration.id, integration.integration_type, entries);
+};
+
+// Función para registrar el resultado de una sincronización que solo trae
+// totales de un período: el total se reparte a partes iguales entre los días
+// UTC completos que cubre el período [periodStart, periodEnd).
+const recordSyncPeriod = async (userId, integration, dataValue, periodStart, periodEnd) => {
+  const totals = normalizeSyncValue(`${integration.integration_type}_sync`, dataValue);
+  const firstDay = startOfUTCDay(periodStart);
+  const days = Math.max(1, Math.ceil((periodEnd.getTime() - firstDay.getTime()) / DAY_MS));
+
+  const entries = [];
+  for (let i = 0; i < days; i++) {
+    const date = toDateString(new Date(firstDay.getTime() + i * DAY_MS));
+    for (const [metric, value] of Object.entries(totals)) {
+      entries.push({ date, metric, value: value / days });
+    }
+  }
+
+  return upsertDailyMetrics(userId, integration.id, integration.integration_type, entries);
+};
+
+// Función para obtener el inicio del bucket (día, semana ISO o mes) de una fecha
+const bucketStart = (date, granularity) => {
+  const day = startOfUTCDay(date);
+
+  if (granularity === 'week') {
+    const weekday = (day.getUTCDay() + 6) % 7; // lunes = 0, como date_trunc('week')
+    return new Date(day.getTime() - weekday * DAY_MS);
+  }
+
+  if (granularity === 'month') {
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  }
+
+  return day;
+};
+
+// Función para obtener la serie temporal de un negocio agrupada por granularidad.
+// Devuelve un bucket por cada día/semana/mes del rango, vacío donde no hay datos.
+const getTimeSeries = async (businessId, { from, to, granularity = 'day', integrationType = null }) => {
+  const params = [businessId, toDateString(from), toDateString(to), granularity];
+  let integrationFilter = '';
+
+  if (integrationType) {
+    params.push(integrationType);
+    integrationFilter = `AND integration_type = $${params.length}`;
+  }
+
+  const result = await query(
+    `SELECT to_char(date_trunc($4, metric_date::timestamp), 'YYYY-MM-DD') AS bucket, metric, SUM(value) AS value
+     FROM daily_metrics
+     WHERE integration_id IN (SELECT id FROM integrations WHERE business_id = $1)
+       AND metric_date BETWEEN $2 AND $3 ${integrationFilter}
+     GROUP BY bucket, metric
+     ORDER BY bucket`,
+    params
+  );
+
+  const buckets = new Map();
+  for (let date = bucketStart(from, granularity); date <= to; ) {
+    buckets.set(toDateString(date), {});
+    date = granularity === 'month'
+      ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+      : new Date(date.getTime() + (granularity === 'week' ? 7 : 1) * DAY_MS);
+  }
+
+  for (const row of result.rows) {
+    const bucket = buckets.get(row.bucket) || {};
+    bucket[row.metric] = parseFloat(row.value);
+    buckets.set(row.bucket, bucket);
+  }
+
+  return Array.from(buckets, ([date, values]) => ({ date, values }));
+};
+
+module.exports = {
+  GRANULARITIES,
+  toDateString,
+  startOfUTCDay,
+  upsertDailyMetrics,
+  replaceDailyMetrics,
+  recordSyncPeriod,
+  getTimeSeries
+};
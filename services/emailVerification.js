@@ -0,0 +1,134 @@
+const jwt = require('jsonwebtoken');
+const { query } = require('../database');
+const { sendMail, escapeHtml } = require('./mailer');
+const { getJwtSecret } = require('../middleware/auth');
+
+// El enlace de verificación es un JWT firmado con el usuario y su email;
+// si el email cambiara, los enlaces anteriores dejarían de valer.
+const VERIFICATION_AUDIENCE = 'bizlyticsapp:email-verification';
+
+// Función para obtener la validez del enlace de verificación (formato de jsonwebtoken)
+const getVerificationTtl = () => process.env.EMAIL_VERIFICATION_TTL || '24h';
+
+// Función para obtener los segundos mínimos entre dos envíos del email
+const getResendIntervalSeconds = () => parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Función para saber si las rutas protegidas exigen email verificado
+const isVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+
+// Función para firmar el token de verificación
+const signVerificationToken = (user) => jwt.sign(
+  { userId: user.id, email: user.email },
+  getJwtSecret(),
+  { expiresIn: getVerificationTtl(), audience: VERIFICATION_AUDIENCE }
+);
+
+// Función para verificar el token recibido (lanza error si no es válido)
+const verifyVerificationToken = (token) => jwt.verify(token, getJwtSecret(), { audience: VERIFICATION_AUDIENCE });
+
+// Función para construir el enlace que llega en el email
+const buildVerificationUrl = (token) =>
+  `${process.env.API_URL || 'http://localhost:3000'}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+// Función para enviar el email de verificación y registrar el envío
+const sendVerificationEmail = async (user) => {
+  const verificationUrl = buildVerificationUrl(signVerificationToken(user));
+
+  await query('UPDATE users SET verification_sent_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirma tu email de BizlyticsApp',
+    text: `Hola ${user.name},\n\n` +
+      'Confirma tu dirección de email para empezar a conectar tus integraciones:\n\n' +
+      `${verificationUrl}\n\n` +
+      'Si no has creado una cuenta en BizlyticsApp, ignora este email.',
+    html: `<p>Hola ${escapeHtml(user.name)},</p>` +
+      '<p>Confirma tu dirección de email para empezar a conectar tus integraciones:</p>' +
+      `<p><a href="${verificationUrl}">Confirmar email</a></p>` +
+      '<p>Si no has creado una cuenta en BizlyticsApp, ignora este email.</p>'
+  });
+};
+
+// Función para reservar un reenvío respetando el intervalo mínimo.
+// Devuelve { user } si se puede enviar, o { error, code, retry_after } si no.
+const reserveResend = async (userId) => {
+  const interval = getResendIntervalSeconds();
+
+  const result = await query(
+    `UPDATE users SET verification_sent_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND email_verified_at IS NULL
+       AND (verification_sent_at IS NULL OR verification_sent_at < NOW() - make_interval(secs => $2::int))
+     RETURNING id, email, name`,
+    [userId, interval]
+  );
+
+  if (result.rows.length > 0) {
+    return { user: result.rows[0] };
+  }
+
+  const userResult = await query(
+    `SELECT email_verified_at,
+            CEIL(EXTRACT(EPOCH FROM (verification_sent_at + make_interval(secs => $2::int) - NOW()))) AS retry_after
+     FROM users WHERE id = $1`,
+    [userId, interval]
+  );
+
+  if (userResult.rows.length === 0) {
+    return { error: 'Usuario no encontrado', code: 'USER_NOT_FOUND' };
+  }
+
+  if (userResult.rows[0].email_verified_at) {
+    return { error: 'El email ya está verificado', code: 'ALREADY_VERIFIED' };
+  }
+
+  return {
+    error: 'Espera antes de solicitar otro email de verificación',
+    code: 'RESEND_THROTTLED',
+    retry_after: Math.max(parseInt(userResult.rows[0].retry_after) || 1, 1)
+  };
+};
+
+// Función para marcar como verificado el email de un token. Devuelve el usuario
+// o null si el token no corresponde al email actual de la cuenta.
+const confirmEmail = async (token) => {
+  const decoded = verifyVerificationToken(token);
+
+  const result = await query(
+    `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+            updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND email = $2
+     RETURNING id, email, email_verified_at`,
+    [decoded.userId, decoded.email]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Middleware para exigir el email verificado (después de requireAuth)
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!isVerificationRequired()) return next();
+
+    const userResult = await query('SELECT email_verified_at FROM users WHERE id = $1', [req.userId]);
+
+    if (userResult.rows.length === 0 || !userResult.rows[0].email_verified_at) {
+      return res.status(403).json({
+        error: 'Debes verificar tu email antes de continuar',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error verificando email del usuario:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+};
+
+module.exports = {
+  sendVerificationEmail,
+  reserveResend,
+  confirmEmail,
+  requireVerifiedEmail
+};
@@ -0,0 +1,205 @@
+const { query, withTransaction } = require('../database');
+
+// Reglas de cada plan en un solo sitio. El plan de una organización es el de la
+// suscripción de su owner (titular de la facturación); sin suscripción activa,
+// en prueba o en período de gracia se aplica el plan free. Todas las rutas deben
+// consultar aquí lo que permite el plan en lugar de comparar plan_type.
+
+// Estados de suscripción que dan acceso al plan contratado
+const ENTITLED_STATUSES = ['active', 'trialing'];
+
+// Estados que mantienen el plan mientras dure el período de gracia (grace_period_ends_at)
+const GRACE_STATUSES = ['past_due', 'unpaid', 'canceled'];
+
+// Precio y descripción de los planes de pago (lo que se cobra en Stripe)
+const PLANS = {
+  pro: {
+    name: 'Pro',
+    price: 995, // €9.95 en centavos
+    currency: 'eur',
+    interval: 'month',
+    features: [
+      'Conexiones ilimitadas',
+      'Alertas inteligentes',
+      'Análisis con IA',
+      'Soporte prioritario'
+    ]
+  },
+  business: {
+    name: 'Business',
+    price: 1995, // €19.95 en centavos
+    currency: 'eur',
+    interval: 'month',
+    features: [
+      'Todo lo de Pro',
+      'Múltiples negocios',
+      'Reportes avanzados',
+      'API access',
+      'Soporte dedicado'
+    ]
+  }
+};
+
+// Lo que permite cada plan:
+//   max_integrations        integraciones activas por negocio
+//   available_types         tipos de integración que se pueden conectar
+//   max_businesses          negocios por organización
+//   history_days            días hacia atrás consultables en analytics (null = sin límite).
+//                           Solo limita la serie día a día de /analytics: overview y KPIs
+//                           muestran a todos los planes los totales del período actual y
+//                           su comparación con el anterior. A quien baja a free tras la
+//                           gracia se le archiva lo que queda fuera de esta ventana
+//                           (dashboard_data y daily_metrics), ver subscriptionGrace.js
+//   analytics_periods       períodos predefinidos de /analytics
+//   kpi_count               KPIs que se muestran en /kpis
+//   export_formats          formatos de /export (vacío = sin exportación)
+//   insight_count           insights generados a partir de las métricas
+//   sync_frequency_minutes  frecuencia de la sincronización automática
+//   features                funcionalidades incluidas
+const PLAN_ENTITLEMENTS = {
+  free: {
+    max_integrations: 2,
+    available_types: ['stripe'],
+    max_businesses: 1,
+    history_days: 7,
+    analytics_periods: ['7d'],
+    kpi_count: 3,
+    export_formats: [],
+    insight_count: 2,
+    sync_frequency_minutes: 24 * 60,
+    features: ['basic_analytics']
+  },
+  pro: {
+    max_integrations: 999,
+    available_types: ['stripe', 'google_analytics', 'gmail'],
+    max_businesses: 1,
+    history_days: null,
+    analytics_periods: ['7d', '30d', '90d'],
+    kpi_count: 6,
+    export_formats: ['json', 'csv'],
+    insight_count: 4,
+    sync_frequency_minutes: 60,
+    features: ['unlimited_integrations', 'ai_insights', 'smart_alerts']
+  },
+  business: {
+    max_integrations: 999,
+    available_types: ['stripe', 'google_analytics', 'gmail'],
+    max_businesses: 5,
+    history_days: null,
+    analytics_periods: ['7d', '30d', '90d'],
+    kpi_count: 6,
+    export_formats: ['json', 'csv'],
+    insight_count: 5,
+    sync_frequency_minutes: 15,
+    features: ['unlimited_integrations', 'ai_insights', 'smart_alerts', 'api_access', 'multiple_businesses', 'advanced_reports']
+  }
+};
+
+// Función para obtener el plan vigente del titular de la facturación, el estado
+// de su suscripción y, si está en período de gracia, cuándo termina
+const getPlan = async (ownerUserId) => {
+  const result = await query(
+    `SELECT plan_type, status, grace_period_ends_at FROM subscriptions
+     WHERE user_id = $1
+       AND (status = ANY($2) OR (status = ANY($3) AND grace_period_ends_at > NOW()))
+     ORDER BY status = ANY($2) DESC, created_at DESC LIMIT 1`,
+    [ownerUserId, ENTITLED_STATUSES, GRACE_STATUSES]
+  );
+
+  const subscription = result.rows[0];
+
+  if (!subscription || !PLAN_ENTITLEMENTS[subscription.plan_type]) {
+    return { plan_type: 'free', subscription_status: subscription?.status || 'free', grace_period_ends_at: null };
+  }
+
+  return {
+    plan_type: subscription.plan_type,
+    subscription_status: subscription.status,
+    grace_period_ends_at: ENTITLED_STATUSES.includes(subscription.status) ? null : subscription.grace_period_ends_at
+  };
+};
+
+// Función para obtener solo el tipo de plan vigente
+const getPlanType = async (ownerUserId) => (await getPlan(ownerUserId)).plan_type;
+
+// Función para obtener lo que permite un tipo de plan
+const getPlanEntitlements = (planType) => PLAN_ENTITLEMENTS[planType] || PLAN_ENTITLEMENTS.free;
+
+// Función para obtener el plan vigente de una organización con lo que permite
+const getEntitlements = async (ownerUserId) => {
+  const plan = await getPlan(ownerUserId);
+  return { ...plan, ...getPlanEntitlements(plan.plan_type) };
+};
+
+// Función para saber si unas entitlements incluyen una funcionalidad
+const hasFeature = (entitlements, feature) => entitlements.features.includes(feature);
+
+// Función para comprobar si se puede conectar una integración de un tipo en un negocio.
+// Reconectar un tipo ya conectado no cuenta como una integración nueva.
+// Devuelve null si está permitido o { error, code, ... }. `db` permite contar
+// dentro de la transacción de withIntegrationEntitlement.
+const checkIntegrationEntitlement = async (entitlements, businessId, integrationType, db = { query }) => {
+  if (!entitlements.available_types.includes(integrationType)) {
+    return {
+      error: `Tu plan no incluye la integración ${integrationType}`,
+      code: 'INTEGRATION_TYPE_NOT_ALLOWED',
+      available_types: entitlements.available_types
+    };
+  }
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) AS count FROM integrations
+     WHERE business_id = $1 AND is_active = true AND integration_type <> $2`,
+    [businessId, integrationType]
+  );
+
+  if (parseInt(countResult.rows[0].count) >= entitlements.max_integrations) {
+    return {
+      error: `Tu plan permite un máximo de ${entitlements.max_integrations} integraciones activas por negocio`,
+      code: 'INTEGRATION_LIMIT_REACHED',
+      max_integrations: entitlements.max_integrations
+    };
+  }
+
+  return null;
+};
+
+// Función para activar una integración sin pasarse del límite del plan. Con el
+// negocio bloqueado se vuelve a comprobar y, si está permitido, `activate(client)`
+// hace la escritura en la misma transacción. Devuelve { denied } o { result }.
+const withIntegrationEntitlement = (entitlements, businessId, integrationType, activate) =>
+  withTransaction(async (client) => {
+    await client.query('SELECT id FROM businesses WHERE id = $1 FOR UPDATE', [businessId]);
+
+    const denied = await checkIntegrationEntitlement(entitlements, businessId, integrationType, client);
+    if (denied) return { denied };
+
+    return { result: await activate(client) };
+  });
+
+// Middleware que carga el plan de la organización del negocio seleccionado
+// (req.entitlements). Debe ir después de requireBusiness o requireApiKey.
+const loadEntitlements = async (req, res, next) => {
+  try {
+    req.entitlements = await getEntitlements(req.business.owner_user_id);
+    next();
+  } catch (error) {
+    console.error('Error obteniendo el plan de la organización:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+};
+
+module.exports = {
+  ENTITLED_STATUSES,
+  GRACE_STATUSES,
+  PLANS,
+  PLAN_ENTITLEMENTS,
+  getPlan,
+  getPlanType,
+  getPlanEntitlements,
+  getEntitlements,
+  hasFeature,
+  checkIntegrationEntitlement,
+  withIntegrationEntitlement,
+  loadEntitlements
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { sanitizeProviderError } = require('./secrets');
+
+// Verificación de ID tokens de Google (OpenID Connect) con las claves públicas
+// del JWKS. GOOGLE_JWKS_URL y GOOGLE_OIDC_ISSUERS permiten apuntar a un stub local.
+const GOOGLE_JWKS_URL = process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs';
+const DEFAULT_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+
+// Las claves se guardan en memoria como mucho una hora (o lo que indique Cache-Control)
+const DEFAULT_JWKS_TTL_MS = 60 * 60 * 1000;
+
+let jwksCache = { keys: new Map(), expiresAt: 0 };
+
+// Función para obtener los emisores aceptados
+const getIssuers = () =>
+  process.env.GOOGLE_OIDC_ISSUERS ? process.env.GOOGLE_OIDC_ISSUERS.split(',').map(issuer => issuer.trim()) : DEFAULT_ISSUERS;
+
+// Función para descargar el JWKS y convertir cada clave en un KeyObject
+const fetchJwks = async () => {
+  const response = await axios.get(GOOGLE_JWKS_URL, { timeout: 10000 })
+    .catch((error) => { throw sanitizeProviderError(error); });
+
+  const keys = new Map();
+  for (const jwk of response.data.keys || []) {
+    if (jwk.kty !== 'RSA' || !jwk.kid) continue;
+    keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  }
+
+  const maxAge = /max-age=(\d+)/.exec(response.headers['cache-control'] || '');
+  jwksCache = {
+    keys,
+    expiresAt: Date.now() + (maxAge ? parseInt(maxAge[1]) * 1000 : DEFAULT_JWKS_TTL_MS)
+  };
+  return keys;
+};
+
+// Función para obtener la clave pública de un kid (vuelve a descargar si Google rotó las claves)
+const getSigningKey = async (kid) => {
+  if (Date.now() < jwksCache.expiresAt && jwksCache.keys.has(kid)) {
+    return jwksCache.keys.get(kid);
+  }
+
+  const keys = await fetchJwks();
+  const key = keys.get(kid);
+
+  if (!key) {
+    const error = new Error('Clave de firma del ID token desconocida');
+    error.code = 'INVALID_ID_TOKEN';
+    throw error;
+  }
+  return key;
+};
+
+// Función para verificar un ID token de Google: firma RS256, emisor, audiencia
+// (nuestro client_id), caducidad y nonce. Devuelve los claims del usuario.
+const verifyGoogleIdToken = async (idToken, { nonce } = {}) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !decoded.header.kid) {
+    const error = new Error('ID token con formato inválido');
+    error.code = 'INVALID_ID_TOKEN';
+    throw error;
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      audience: process.env.GOOGLE_CLIENT_ID,
+      issuer: getIssuers()
+    });
+  } catch (verifyError) {
+    const error = new Error(`ID token inválido: ${verifyError.message}`);
+    error.code = 'INVALID_ID_TOKEN';
+    throw error;
+  }
+
+  if (nonce && claims.nonce !== nonce) {
+    const error = new Error('El nonce del ID token no coincide');
+    error.code = 'INVALID_ID_TOKEN';
+    throw error;
+  }
+
+  return {
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    email_verified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || null
+  };
+};
+
+module.exports = {
+  verifyGoogleIdToken
+};
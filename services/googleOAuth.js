@@ -0,0 +1,204 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sanitizeProviderError } = require('./secrets');
+const { getJwtSecret } = require('../middleware/auth');
+
+// Endpoints de Google (configurables para apuntar a un servidor OAuth local)
+const GOOGLE_AUTH_URL = process.env.GOOGLE_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth';
+const GOOGLE_TOKEN_URL = process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token';
+
+// Permisos solicitados por tipo de integración
+const GOOGLE_SCOPES = {
+  google_analytics: ['https://www.googleapis.com/auth/analytics.readonly'],
+  gmail: ['https://www.googleapis.com/auth/gmail.readonly']
+};
+
+// Permisos del inicio de sesión con Google (OpenID Connect)
+const GOOGLE_LOGIN_SCOPES = ['openid', 'email', 'profile'];
+
+// El state firmado caduca a los 10 minutos
+const STATE_TTL = '10m';
+const STATE_AUDIENCE = 'bizlyticsapp:google-oauth-state';
+const LOGIN_STATE_AUDIENCE = 'bizlyticsapp:google-login-state';
+
+// Cookies que ligan cada flujo (login/vinculación e integraciones) al navegador que lo inició
+const LOGIN_BINDING_COOKIE = 'bz_google_login';
+const INTEGRATION_BINDING_COOKIE = 'bz_google_integration';
+const LOGIN_BINDING_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Función para calcular el hash de la cookie de ligadura que viaja en el state
+const hashBinding = (binding) => crypto.createHash('sha256').update(binding).digest('hex');
+
+// Función para generar un valor de ligadura nuevo
+const createBinding = () => crypto.randomBytes(32).toString('base64url');
+
+// Función para comprobar que la cookie recibida corresponde al hash del state
+const assertBinding = (payload, binding) => {
+  const expected = Buffer.from(payload.binding_hash || '');
+  const received = Buffer.from(typeof binding === 'string' ? hashBinding(binding) : '');
+
+  if (expected.length === 0 || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('El state no corresponde a este navegador');
+  }
+  return payload;
+};
+
+// Función para leer una cookie de la petición
+const getCookie = (req, name) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+// Función para saber si las credenciales OAuth de Google están configuradas
+const isGoogleOAuthConfigured = () => !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+
+// Función para obtener la URL a la que Google redirige tras la autorización
+const getRedirectUri = () =>
+  process.env.GOOGLE_REDIRECT_URI || `${process.env.API_URL || 'http://localhost:3000'}/api/integrations/google/callback`;
+
+// Función para obtener el secreto con el que se firma el state
+const getStateSecret = () => getJwtSecret();
+
+// Función para firmar el parámetro state con el usuario, la integración y el hash de la ligadura
+const signState = (userId, integrationId, integrationType, binding) => jwt.sign(
+  { userId, integrationId, integrationType, nonce: crypto.randomBytes(8).toString('hex'), binding_hash: hashBinding(binding) },
+  getStateSecret(),
+  { expiresIn: STATE_TTL, audience: STATE_AUDIENCE }
+);
+
+// Función para verificar el state recibido en el callback y que lo recibe
+// el mismo navegador que creó la integración (lanza error si no es válido)
+const verifyState = (state, binding) =>
+  assertBinding(jwt.verify(state, getStateSecret(), { audience: STATE_AUDIENCE }), binding);
+
+// Función para construir la URL de autorización de Google para una integración.
+// Igual que en el login, el state lleva el hash de `binding`, que se entrega al
+// navegador en una cookie HttpOnly. Devuelve { url, binding }.
+const buildAuthorizeUrl = (userId, integrationId, integrationType, authUrl = GOOGLE_AUTH_URL) => {
+  const binding = createBinding();
+  const params = new URLSearchParams({
+    client_id: process.env.GOOGLE_CLIENT_ID,
+    redirect_uri: getRedirectUri(),
+    response_type: 'code',
+    scope: GOOGLE_SCOPES[integrationType].join(' '),
+    access_type: 'offline',
+    prompt: 'consent',
+    include_granted_scopes: 'true',
+    state: signState(userId, integrationId, integrationType, binding)
+  });
+
+  return { url: `${authUrl}?${params.toString()}`, binding };
+};
+
+// Función para obtener la URL a la que Google redirige tras el inicio de sesión
+const getLoginRedirectUri = () =>
+  process.env.GOOGLE_LOGIN_REDIRECT_URI || `${process.env.API_URL || 'http://localhost:3000'}/api/auth/google/callback`;
+
+// Función para construir la URL de inicio de sesión con Google.
+// `mode` es 'login' o 'link' (vincular a la cuenta de `userId`). El nonce viaja
+// en el state firmado y Google lo devuelve dentro del ID token. El state lleva
+// además el hash de `binding`, que se entrega al navegador en una cookie HttpOnly:
+// un enlace generado por otra persona no sirve sin esa cookie.
+// Devuelve { url, binding }.
+const buildLoginAuthorizeUrl = ({ mode = 'login', userId = null } = {}, authUrl = GOOGLE_AUTH_URL) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const binding = createBinding();
+  const state = jwt.sign(
+    { mode, userId, nonce, binding_hash: hashBinding(binding) },
+    getStateSecret(),
+    { expiresIn: STATE_TTL, audience: LOGIN_STATE_AUDIENCE }
+  );
+
+  const params = new URLSearchParams({
+    client_id: process.env.GOOGLE_CLIENT_ID,
+    redirect_uri: getLoginRedirectUri(),
+    response_type: 'code',
+    scope: GOOGLE_LOGIN_SCOPES.join(' '),
+    prompt: 'select_account',
+    nonce,
+    state
+  });
+
+  return { url: `${authUrl}?${params.toString()}`, binding };
+};
+
+// Función para verificar el state del callback de inicio de sesión y que lo
+// recibe el mismo navegador que inició el flujo (lanza error si no es válido)
+const verifyLoginState = (state, binding) =>
+  assertBinding(jwt.verify(state, getStateSecret(), { audience: LOGIN_STATE_AUDIENCE }), binding);
+
+// Función para canjear el código de autorización por tokens
+const exchangeCode = async (code, redirectUri = getRedirectUri()) => {
+  const response = await axios.post(
+    GOOGLE_TOKEN_URL,
+    new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      client_id: process.env.GOOGLE_CLIENT_ID,
+      client_secret: process.env.GOOGLE_CLIENT_SECRET,
+      redirect_uri: redirectUri
+    }).toString(),
+    {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 15000
+    }
+  ).catch((error) => { throw sanitizeProviderError(error); });
+
+  const { access_token, refresh_token, expires_in, scope, id_token } = response.data;
+
+  return {
+    access_token,
+    refresh_token: refresh_token || null,
+    expires_at: expires_in ? new Date(Date.now() + expires_in * 1000) : null,
+    scope: scope || null,
+    id_token: id_token || null
+  };
+};
+
+// Función para obtener un nuevo access_token a partir del refresh_token.
+// Si Google rota el refresh_token, se devuelve el nuevo; si no, null.
+const refreshAccessToken = async (refreshToken) => {
+  const response = await axios.post(
+    GOOGLE_TOKEN_URL,
+    new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      client_id: process.env.GOOGLE_CLIENT_ID,
+      client_secret: process.env.GOOGLE_CLIENT_SECRET
+    }).toString(),
+    {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 15000
+    }
+  ).catch((error) => { throw sanitizeProviderError(error); });
+
+  const { access_token, refresh_token, expires_in } = response.data;
+
+  return {
+    access_token,
+    refresh_token: refresh_token || null,
+    expires_at: expires_in ? new Date(Date.now() + expires_in * 1000) : null
+  };
+};
+
+module.exports = {
+  GOOGLE_AUTH_URL,
+  GOOGLE_SCOPES,
+  GOOGLE_TOKEN_URL,
+  isGoogleOAuthConfigured,
+  buildAuthorizeUrl,
+  verifyState,
+  getLoginRedirectUri,
+  LOGIN_BINDING_COOKIE,
+  INTEGRATION_BINDING_COOKIE,
+  LOGIN_BINDING_MAX_AGE_MS,
+  getCookie,
+  buildLoginAuthorizeUrl,
+  verifyLoginState,
+  exchangeCode,
+  refreshAccessToken
+};
@@ -0,0 +1,213 @@
+const { query } = require('../database');
+const { createUserAlert } = require('./alerts');
+const { refreshAccessToken } = require('./googleOAuth');
+const { encryptSecret, decryptSecret, rewrapSecret, getCurrentKeyVersion } = require('./secrets');
+const { isRestrictedKey } = require('./connectors/stripe');
+
+// Integraciones cuyo access_token caduca y se renueva con refresh_token
+const OAUTH_INTEGRATION_TYPES = ['google_analytics', 'gmail'];
+
+// Margen antes de expires_at a partir del cual se renueva el token
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Función para crear el error que indica que el usuario debe volver a autorizar
+const needsReauthError = (integration) => {
+  const error = new Error(`La integración ${integration.id} necesita volver a autorizarse`);
+  error.code = 'NEEDS_REAUTH';
+  return error;
+};
+
+// Función para crear el error de una integración que aún no completó el OAuth
+const pendingOAuthError = (integration) => {
+  const error = new Error(`La integración ${integration.id} está pendiente de autorización`);
+  error.code = 'PENDING_OAUTH';
+  return error;
+};
+
+// Función para marcar una integración como needs_reauth y avisar al usuario
+const markNeedsReauth = async (integration, reason) => {
+  await query(
+    `UPDATE integrations
+     SET additional_data = COALESCE(additional_data, '{}'::jsonb) || $1::jsonb,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [JSON.stringify({ status: 'needs_reauth', reauth_reason: reason }), integration.id]
+  );
+
+  await createUserAlert(
+    integration.user_id,
+    'integration_needs_reauth',
+    'Reconecta tu integración',
+    `No pudimos renovar el acceso a ${integration.integration_name || integration.integration_type}. Vuelve a autorizarla para seguir sincronizando tus datos.`,
+    'warning',
+    { integration_id: integration.id, integration_type: integration.integration_type, reason },
+    integration.business_id || null
+  );
+
+  console.log(`⚠️ Integración ${integration.id} marcada como needs_reauth: ${reason}`);
+};
+
+// Función para descifrar las credenciales de una fila de integrations.
+// El resultado solo debe usarse para llamar al proveedor, nunca en respuestas.
+const decryptIntegration = (integration) => ({
+  ...integration,
+  access_token: decryptSecret(integration.access_token),
+  refresh_token: decryptSecret(integration.refresh_token)
+});
+
+// Función para garantizar que una integración OAuth tiene un access_token vigente.
+// Devuelve la integración con las credenciales descifradas (y el token renovado
+// si hacía falta). Si el refresh
+// es rechazado por Google, marca la integración como needs_reauth y lanza un
+// error con code = 'NEEDS_REAUTH' (o 'PENDING_OAUTH' si nunca se autorizó);
+// los errores transitorios se propagan sin marcarla.
+// `integration` debe incluir id, user_id, integration_type, access_token,
+// refresh_token, expires_at y additional_data.
+const ensureFreshToken = async (storedIntegration) => {
+  const integration = decryptIntegration(storedIntegration);
+
+  // Stripe solo admite claves restringidas: las conectadas antes con una clave
+  // secreta completa o con un ID de cuenta Connect deben volver a conectarse
+  if (integration.integration_type === 'stripe' && !isRestrictedKey(integration.access_token)) {
+    if (integration.additional_data?.status !== 'needs_reauth') {
+      await markNeedsReauth(integration, 'stripe_restricted_key_required');
+    }
+    throw needsReauthError(integration);
+  }
+
+  if (!OAUTH_INTEGRATION_TYPES.includes(integration.integration_type)) {
+    return integration;
+  }
+
+  if (integration.additional_data?.status === 'pending_oauth') {
+    throw pendingOAuthError(integration);
+  }
+
+  if (integration.additional_data?.status === 'needs_reauth') {
+    throw needsReauthError(integration);
+  }
+
+  const expiresAt = integration.expires_at ? new Date(integration.expires_at).getTime() : null;
+  if (integration.access_token && (!expiresAt || expiresAt - Date.now() > REFRESH_MARGIN_MS)) {
+    return integration;
+  }
+
+  if (!integration.refresh_token) {
+    await markNeedsReauth(integration, 'missing_refresh_token');
+    throw needsReauthError(integration);
+  }
+
+  let tokens;
+  try {
+    tokens = await refreshAccessToken(integration.refresh_token);
+  } catch (error) {
+    const status = error.response?.status;
+
+    // 400/401 (invalid_grant, token revocado): no se recupera sin el usuario
+    if (status === 400 || status === 401) {
+      await markNeedsReauth(integration, error.response.data?.error || 'refresh_rejected');
+      throw needsReauthError(integration);
+    }
+
+    throw error;
+  }
+
+  // Guardar el nuevo token (y el refresh_token rotado, si Google envió uno)
+  // Si se conserva un refresh_token cifrado con otra clave, credentials_key_version
+  // queda en NULL para que rotateIntegrationKeys vuelva a cifrar la fila
+  await query(
+    `UPDATE integrations
+     SET access_token = $1,
+         refresh_token = COALESCE($2, refresh_token),
+         expires_at = $3,
+         credentials_key_version = CASE
+           WHEN $2::text IS NOT NULL OR refresh_token IS NULL OR credentials_key_version = $4 THEN $4
+         END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5`,
+    [
+      encryptSecret(tokens.access_token),
+      encryptSecret(tokens.refresh_token),
+      tokens.expires_at,
+      getCurrentKeyVersion(),
+      integration.id
+    ]
+  );
+
+  console.log(`🔑 Token renovado para integración ${integration.id}`);
+
+  return {
+    ...integration,
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token || integration.refresh_token,
+    expires_at: tokens.expires_at
+  };
+};
+
+// Función para volver a cifrar las credenciales y los secretos TOTP que no usan
+// la clave maestra actual (rotación de clave o filas heredadas en texto plano).
+const rotateIntegrationKeys = async (batchSize = 100) => {
+  const currentVersion = getCurrentKeyVersion();
+  let rotated = 0;
+  let rotatedTotpSecrets = 0;
+
+  for (;;) {
+    const result = await query(
+      `SELECT id, access_token, refresh_token
+       FROM integrations
+       WHERE (access_token IS NOT NULL OR refresh_token IS NOT NULL)
+         AND (credentials_key_version IS DISTINCT FROM $1
+              -- La versión real es la incluida en cada valor (enc:<versión>:...)
+              OR access_token NOT LIKE $3
+              OR refresh_token NOT LIKE $3)
+       ORDER BY id
+       LIMIT $2`,
+      [currentVersion, batchSize, `enc:${currentVersion}:%`]
+    );
+
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      await query(
+        `UPDATE integrations
+         SET access_token = $1, refresh_token = $2, credentials_key_version = $3
+         WHERE id = $4`,
+        [rewrapSecret(row.access_token), rewrapSecret(row.refresh_token), currentVersion, row.id]
+      );
+      rotated++;
+    }
+  }
+
+  // Los secretos TOTP de los usuarios usan las mismas claves maestras
+  for (;;) {
+    const result = await query(
+      `SELECT id, totp_secret
+       FROM users
+       WHERE totp_secret IS NOT NULL
+         AND (totp_secret_key_version IS DISTINCT FROM $1 OR totp_secret NOT LIKE $3)
+       ORDER BY id
+       LIMIT $2`,
+      [currentVersion, batchSize, `enc:${currentVersion}:%`]
+    );
+
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      // Solo se actualiza si el secreto no cambió mientras tanto (nuevo alta de 2FA)
+      await query(
+        `UPDATE users SET totp_secret = $1, totp_secret_key_version = $2
+         WHERE id = $3 AND totp_secret = $4`,
+        [rewrapSecret(row.totp_secret), currentVersion, row.id, row.totp_secret]
+      );
+      rotatedTotpSecrets++;
+    }
+  }
+
+  return { rotated, rotated_totp_secrets: rotatedTotpSecrets, key_version: currentVersion };
+};
+
+module.exports = {
+  OAUTH_INTEGRATION_TYPES,
+  ensureFreshToken,
+  rotateIntegrationKeys
+};
@@ -0,0 +1,161 @@
+const { query } = require('../database');
+const { createUserAlert } = require('./alerts');
+const { sendMail, escapeHtml, getFrontendUrl } = require('./mailer');
+
+// Protección contra fuerza bruta en el login, por cuenta (email) y por IP.
+// A partir de `delayAfter` fallos seguidos cada intento debe esperar el doble
+// que el anterior (hasta MAX_DELAY_SECONDS); al llegar a `lockAfter` se bloquea
+// durante LOCKOUT_MINUTES. Los fallos se olvidan tras FAILURE_WINDOW_MINUTES sin fallar.
+const SCOPES = {
+  account: { delayAfter: 3, lockAfter: 10 },
+  ip: { delayAfter: 10, lockAfter: 50 }
+};
+
+const FAILURE_WINDOW_MINUTES = 15;
+const LOCKOUT_MINUTES = 15;
+const MAX_DELAY_SECONDS = 60;
+
+// Función para calcular la espera tras `failures` fallos seguidos
+const delaySecondsFor = (scope, failures) => {
+  const { delayAfter } = SCOPES[scope];
+  if (failures < delayAfter) return 0;
+  return Math.min(2 ** (failures - delayAfter), MAX_DELAY_SECONDS);
+};
+
+// Función para comprobar si se permite un intento de login.
+// Devuelve { allowed: true } o { allowed: false, code, retry_after }.
+const checkLoginAllowed = async (email, ip) => {
+  const result = await query(
+    `SELECT scope,
+            CEIL(EXTRACT(EPOCH FROM (locked_until - NOW()))) AS locked_for,
+            CEIL(EXTRACT(EPOCH FROM (next_attempt_at - NOW()))) AS wait_for
+     FROM auth_failures
+     WHERE (scope = 'account' AND identifier = $1) OR (scope = 'ip' AND identifier = $2)`,
+    [email.toLowerCase(), ip || 'unknown']
+  );
+
+  for (const row of result.rows) {
+    const lockedFor = parseInt(row.locked_for);
+    if (lockedFor > 0) {
+      return {
+        allowed: false,
+        code: row.scope === 'account' ? 'ACCOUNT_LOCKED' : 'IP_LOCKED',
+        retry_after: lockedFor
+      };
+    }
+  }
+
+  const waitFor = Math.max(0, ...result.rows.map(row => parseInt(row.wait_for) || 0));
+  if (waitFor > 0) {
+    return { allowed: false, code: 'TOO_MANY_ATTEMPTS', retry_after: waitFor };
+  }
+
+  return { allowed: true };
+};
+
+// Función para sumar un fallo a un ámbito y aplicar la espera o el bloqueo.
+// Devuelve { failures, lockedNow } (lockedNow solo la primera vez que se bloquea).
+const recordScopeFailure = async (scope, identifier) => {
+  const result = await query(
+    `INSERT INTO auth_failures (scope, identifier, failures, last_failure_at)
+     VALUES ($1, $2, 1, CURRENT_TIMESTAMP)
+     ON CONFLICT (scope, identifier) DO UPDATE SET
+       failures = CASE
+         WHEN auth_failures.last_failure_at < NOW() - make_interval(mins => $3::int) THEN 1
+         ELSE auth_failures.failures + 1
+       END,
+       last_failure_at = CURRENT_TIMESTAMP
+     RETURNING failures, locked_until > NOW() AS already_locked`,
+    [scope, identifier, FAILURE_WINDOW_MINUTES]
+  );
+
+  const { failures, already_locked } = result.rows[0];
+  const lockedNow = failures >= SCOPES[scope].lockAfter && !already_locked;
+
+  await query(
+    `UPDATE auth_failures SET
+       next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $3::int),
+       locked_until = CASE WHEN $4::boolean THEN CURRENT_TIMESTAMP + make_interval(mins => $5::int) ELSE locked_until END
+     WHERE scope = $1 AND identifier = $2`,
+    [scope, identifier, delaySecondsFor(scope, failures), lockedNow, LOCKOUT_MINUTES]
+  );
+
+  return { failures, lockedNow };
+};
+
+// Función para avisar al titular de la cuenta de que se ha bloqueado
+const notifyAccountLocked = async (email, ip) => {
+  const userResult = await query('SELECT id, email, name FROM users WHERE email = $1', [email]);
+  if (userResult.rows.length === 0) return;
+
+  const user = userResult.rows[0];
+
+  await createUserAlert(
+    user.id,
+    'account_locked',
+    'Acceso bloqueado temporalmente',
+    `Hubo demasiados intentos fallidos de inicio de sesión. El acceso estará bloqueado ${LOCKOUT_MINUTES} minutos.`,
+    'warning',
+    { ip, locked_minutes: LOCKOUT_MINUTES }
+  );
+
+  const resetUrl = `${getFrontendUrl()}/forgot-password`;
+  await sendMail({
+    to: user.email,
+    subject: 'Hemos bloqueado temporalmente el acceso a tu cuenta de BizlyticsApp',
+    text: `Hola ${user.name},\n\n` +
+      `Detectamos demasiados intentos fallidos de inicio de sesión (última IP: ${ip || 'desconocida'}). ` +
+      `Por seguridad, el acceso queda bloqueado ${LOCKOUT_MINUTES} minutos.\n\n` +
+      `Si no has sido tú, te recomendamos restablecer tu contraseña: ${resetUrl}`,
+    html: `<p>Hola ${escapeHtml(user.name)},</p>` +
+      `<p>Detectamos demasiados intentos fallidos de inicio de sesión (última IP: ${escapeHtml(ip || 'desconocida')}). ` +
+      `Por seguridad, el acceso queda bloqueado ${LOCKOUT_MINUTES} minutos.</p>` +
+      `<p>Si no has sido tú, te recomendamos <a href="${resetUrl}">restablecer tu contraseña</a>.</p>`
+  });
+};
+
+// Función para registrar un login fallido en la cuenta y en la IP
+const recordLoginFailure = async (email, ip) => {
+  const normalizedEmail = email.toLowerCase();
+  const account = await recordScopeFailure('account', normalizedEmail);
+  const ipResult = await recordScopeFailure('ip', ip || 'unknown');
+
+  if (account.lockedNow) {
+    console.warn(`🔒 Cuenta ${normalizedEmail} bloqueada tras ${account.failures} intentos fallidos`);
+    notifyAccountLocked(normalizedEmail, ip)
+      .catch(error => console.error('Error notificando bloqueo de cuenta:', error));
+  }
+
+  if (ipResult.lockedNow) {
+    console.warn(`🔒 IP ${ip} bloqueada tras ${ipResult.failures} intentos fallidos`);
+  }
+};
+
+// Función para olvidar los fallos de una cuenta tras un login correcto
+// (los de la IP se mantienen: una cuenta válida no debe blanquear la IP)
+const recordLoginSuccess = async (email) => {
+  await query(
+    "DELETE FROM auth_failures WHERE scope = 'account' AND identifier = $1",
+    [email.toLowerCase()]
+  );
+};
+
+// Función para borrar registros de fallos ya olvidados y sin bloqueo vigente
+const cleanupAuthFailures = async () => {
+  const result = await query(
+    `DELETE FROM auth_failures
+     WHERE last_failure_at < NOW() - make_interval(mins => $1::int)
+       AND (locked_until IS NULL OR locked_until < NOW())`,
+    [FAILURE_WINDOW_MINUTES]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  LOCKOUT_MINUTES,
+  delaySecondsFor,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  cleanupAuthFailures
+};
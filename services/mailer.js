@@ -0,0 +1,65 @@
+const nodemailer = require('nodemailer');
+
+// Transporte SMTP configurable por entorno. Sin SMTP_HOST, fuera de producción,
+// los emails no se envían: se muestran en consola para poder probar los flujos.
+let transporter = null;
+
+// Función para crear (una vez) el transporte de nodemailer
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('SMTP_HOST es obligatoria en producción para enviar emails');
+  } else {
+    console.warn('⚠️ SMTP_HOST no configurada - los emails se mostrarán en consola');
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return transporter;
+};
+
+// Función para obtener la URL del frontend a la que apuntan los enlaces de los emails
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Función para escapar texto que se inserta en el HTML de un email
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+// Función para enviar un email (texto plano y HTML opcional)
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'BizlyticsApp <no-reply@bizlyticsapp.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (info.message && !process.env.SMTP_HOST) {
+    console.log(`📧 Email (no enviado) para ${to}:`, info.message.toString());
+  } else {
+    console.log(`📧 Email enviado a ${to}: ${subject}`);
+  }
+
+  return info;
+};
+
+module.exports = {
+  escapeHtml,
+  getFrontendUrl,
+  sendMail
+};
@@ -0,0 +1,298 @@
+const { query } = require('../database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tipos de datos escritos por /api/dashboard/sync y /api/integrations/:id/sync
+const SYNC_DATA_TYPES = ['stripe_sync', 'google_analytics_sync', 'gmail_sync'];
+
+// Campos aditivos de cada tipo de sincronización y sus nombres alternativos
+// (las dos rutas de sync históricamente guardaban claves distintas)
+const SYNC_FIELDS = {
+  stripe_sync: {
+    revenue: ['revenue', 'revenue_this_month'],
+    transactions: ['transactions', 'transactions_count'],
+    customers: ['customers', 'new_customers']
+  },
+  google_analytics_sync: {
+    sessions: ['sessions'],
+    pageviews: ['pageviews', 'page_views']
+  },
+  gmail_sync: {
+    emails: ['emails', 'total_emails'],
+    important: ['important', 'important_emails'],
+    customer_inquiries: ['customer_inquiries']
+  }
+};
+
+// Métricas que solo existen con una sincronización de Google Analytics en el
+// período: sin ella no hay sesiones y se devuelven como null (no disponibles)
+const TRAFFIC_METRICS = ['traffic', 'conversion_rate', 'bounce_rate'];
+
+// Función para leer un valor numérico probando sus nombres alternativos
+const readNumber = (value, keys) => {
+  for (const key of keys) {
+    const number = parseFloat(value?.[key]);
+    if (!isNaN(number)) return number;
+  }
+  return 0;
+};
+
+// Función para convertir el data_value de una sincronización en totales con
+// nombres canónicos (revenue, sessions, bounced_sessions, emails...)
+const normalizeSyncValue = (dataType, dataValue) => {
+  const fields = SYNC_FIELDS[dataType];
+  if (!fields) return {};
+
+  const value = typeof dataValue === 'string' ? JSON.parse(dataValue) : dataValue;
+  const totals = {};
+
+  for (const [field, keys] of Object.entries(fields)) {
+    totals[field] = readNumber(value, keys);
+  }
+
+  // bounce_rate se guarda como fracción (0.35); se pondera por sesiones
+  if (dataType === 'google_analytics_sync') {
+    totals.bounced_sessions = totals.sessions * readNumber(value, ['bounce_rate']);
+  }
+
+  return totals;
+};
+
+// Función para calcular la parte de [start, end) que no está ya cubierta
+const uncoveredLength = (start, end, covered) => {
+  let pieces = [[start, end]];
+
+  for (const [coveredStart, coveredEnd] of covered) {
+    pieces = pieces.flatMap(([pieceStart, pieceEnd]) => {
+      if (coveredEnd <= pieceStart || coveredStart >= pieceEnd) {
+        return [[pieceStart, pieceEnd]];
+      }
+      const rest = [];
+      if (coveredStart > pieceStart) rest.push([pieceStart, coveredStart]);
+      if (coveredEnd < pieceEnd) rest.push([coveredEnd, pieceEnd]);
+      return rest;
+    });
+  }
+
+  return pieces.reduce((total, [pieceStart, pieceEnd]) => total + (pieceEnd - pieceStart), 0);
+};
+
+// Función para sumar filas de dashboard_data dentro de una ventana temporal.
+// Las filas se recorren de la más reciente a la más antigua: si dos
+// sincronizaciones de la misma integración se solapan, cuenta la última, y
+// cada fila aporta la fracción de su período que cae dentro de la ventana.
+const aggregateRows = (rows, windowStart, windowEnd) => {
+  const totals = {
+    revenue: 0,
+    transactions: 0,
+    customers: 0,
+    sessions: 0,
+    pageviews: 0,
+    bounced_sessions: 0,
+    emails: 0,
+    important: 0,
+    customer_inquiries: 0
+  };
+  const coverage = {};
+  const sources = new Set();
+  let rowsUsed = 0;
+
+  const sortedRows = [...rows].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  for (const row of sortedRows) {
+    const fields = SYNC_FIELDS[row.data_type];
+    if (!fields) continue;
+
+    const rowEnd = new Date(row.period_end || row.created_at).getTime();
+    const rowStart = row.period_start ? new Date(row.period_start).getTime() : rowEnd - DAY_MS;
+    const rowLength = Math.max(rowEnd - rowStart, 1);
+
+    const start = Math.max(rowStart, windowStart.getTime());
+    const end = Math.min(rowEnd, windowEnd.getTime());
+    if (start >= end) continue;
+
+    const coverageKey = `${row.integration_id}:${row.data_type}`;
+    coverage[coverageKey] = coverage[coverageKey] || [];
+    const fraction = uncoveredLength(start, end, coverage[coverageKey]) / rowLength;
+    coverage[coverageKey].push([start, end]);
+    if (fraction <= 0) continue;
+
+    const values = normalizeSyncValue(row.data_type, row.data_value);
+
+    for (const [field, value] of Object.entries(values)) {
+      totals[field] += value * fraction;
+    }
+
+    sources.add(row.data_type);
+    rowsUsed++;
+  }
+
+  return { totals, rowsUsed, sources: [...sources] };
+};
+
+// Función para convertir totales en las métricas que muestra el dashboard.
+// Las métricas de TRAFFIC_METRICS son null si el período no tiene datos de
+// Google Analytics, y se listan en unavailable_metrics.
+const buildMetrics = ({ totals, rowsUsed, sources = [] }) => {
+  const round2 = (number) => Math.round(number * 100) / 100;
+  const hasTraffic = sources.includes('google_analytics_sync');
+  const sessionRate = (count) => (totals.sessions > 0 ? round2(count / totals.sessions * 100) : 0);
+
+  return {
+    revenue: round2(totals.revenue),
+    transactions: Math.round(totals.transactions),
+    customers: Math.round(totals.customers),
+    conversion_rate: hasTraffic ? sessionRate(totals.transactions) : null,
+    avg_order_value: totals.transactions > 0 ? round2(totals.revenue / totals.transactions) : 0,
+    traffic: hasTraffic ? Math.round(totals.sessions) : null,
+    bounce_rate: hasTraffic ? sessionRate(totals.bounced_sessions) : null,
+    emails_processed: Math.round(totals.emails),
+    unavailable_metrics: hasTraffic ? [] : TRAFFIC_METRICS,
+    has_data: rowsUsed > 0
+  };
+};
+
+// Función para obtener las métricas de un negocio en un período [start, end)
+const getPeriodMetrics = async (businessId, start, end) => {
+  const result = await query(
+    `SELECT integration_id, data_type, data_value, period_start, period_end, created_at
+     FROM dashboard_data
+     WHERE business_id = $1
+       AND data_type = ANY($2)
+       AND COALESCE(period_end, created_at) > $3
+       AND COALESCE(period_start, created_at - INTERVAL '1 day') < $4`,
+    [businessId, SYNC_DATA_TYPES, start, end]
+  );
+
+  return buildMetrics(aggregateRows(result.rows, start, end));
+};
+
+// Función para obtener el período actual y el anterior de igual duración
+const getCurrentAndPreviousMetrics = async (businessId, days = 30, now = new Date()) => {
+  const currentStart = new Date(now.getTime() - days * DAY_MS);
+  const previousStart = new Date(currentStart.getTime() - days * DAY_MS);
+
+  const [current, previous] = await Promise.all([
+    getPeriodMetrics(businessId, currentStart, now),
+    getPeriodMetrics(businessId, previousStart, currentStart)
+  ]);
+
+  return {
+    current,
+    previous,
+    periods: {
+      current: { start: currentStart.toISOString(), end: now.toISOString() },
+      previous: { start: previousStart.toISOString(), end: currentStart.toISOString() }
+    }
+  };
+};
+
+// Tipos de período base admitidos para comparar KPIs
+const BASELINE_TYPES = ['previous_month', 'same_month_last_year', 'custom'];
+
+// Función para calcular la variación porcentual entre dos períodos
+// (null si no se puede calcular, p. ej. una métrica no disponible)
+const percentChange = (current, previous) => {
+  if (current === null) return null;
+  if (!previous) return current ? null : '0.0';
+  return ((current - previous) / previous * 100).toFixed(1);
+};
+
+// Función para comparar un valor con su período base (cambio formateado y tendencia)
+const compareMetric = (current, previous) => {
+  if (current === null) {
+    return { change: null, trend: null };
+  }
+
+  const change = percentChange(current, previous);
+
+  if (change === null) {
+    return { change: null, trend: current > 0 ? 'up' : 'stable' };
+  }
+
+  const changeNumber = parseFloat(change);
+  return {
+    change: `${changeNumber > 0 ? '+' : ''}${change}%`,
+    trend: changeNumber > 0 ? 'up' : changeNumber < 0 ? 'down' : 'stable'
+  };
+};
+
+// Métricas que suman a lo largo del período; las tasas y medias (conversión,
+// ticket medio, rebote) no dependen de su duración
+const ADDITIVE_METRICS = ['revenue', 'transactions', 'customers', 'traffic', 'emails_processed'];
+
+// Función para escalar las métricas aditivas de un período (p. ej. el base a la
+// duración del actual: misma media diaria). Con scale 1 se devuelven tal cual.
+const scaleMetrics = (metrics, scale) => {
+  if (scale === 1) return metrics;
+
+  const scaled = { ...metrics };
+  for (const metric of ADDITIVE_METRICS) {
+    if (metrics[metric] === null) continue;
+    scaled[metric] = Math.round(metrics[metric] * scale * 100) / 100;
+  }
+  return scaled;
+};
+
+// Función para resolver el período actual (mes en curso) y el período base.
+// Los períodos base automáticos cubren el mismo número de días transcurridos
+// para no comparar un mes a medias con un mes completo. Si aun así el base dura
+// distinto (un mes anterior más corto o un período custom), baseline.scale es
+// el factor para llevar sus métricas aditivas a la duración del actual.
+// Devuelve { error } si los parámetros no son válidos.
+const resolveBaselinePeriods = ({ baseline = 'previous_month', baseline_from, baseline_to } = {}, now = new Date()) => {
+  if (!BASELINE_TYPES.includes(baseline)) {
+    return { error: `Período base no válido. Usa: ${BASELINE_TYPES.join(', ')}` };
+  }
+
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const currentStart = new Date(Date.UTC(year, month, 1));
+  const elapsed = now.getTime() - currentStart.getTime();
+
+  let baselineStart;
+  let baselineEnd;
+
+  if (baseline === 'previous_month') {
+    baselineStart = new Date(Date.UTC(year, month - 1, 1));
+    baselineEnd = new Date(Math.min(baselineStart.getTime() + elapsed, currentStart.getTime()));
+  } else if (baseline === 'same_month_last_year') {
+    baselineStart = new Date(Date.UTC(year - 1, month, 1));
+    baselineEnd = new Date(Math.min(baselineStart.getTime() + elapsed, Date.UTC(year - 1, month + 1, 1)));
+  } else {
+    baselineStart = new Date(baseline_from);
+    baselineEnd = new Date(baseline_to);
+
+    if (!baseline_from || !baseline_to || isNaN(baselineStart) || isNaN(baselineEnd)) {
+      return { error: 'baseline_from y baseline_to son requeridos con formato de fecha válido' };
+    }
+
+    if (baselineStart >= baselineEnd || baselineEnd > now) {
+      return { error: 'El período base debe terminar después de empezar y no puede estar en el futuro' };
+    }
+  }
+
+  const baselineLength = baselineEnd - baselineStart;
+  const scale = baselineLength > 0 ? elapsed / baselineLength : 1;
+
+  return {
+    current: { start: currentStart, end: now },
+    baseline: { type: baseline, start: baselineStart, end: baselineEnd, scale }
+  };
+};
+
+module.exports = {
+  DAY_MS,
+  BASELINE_TYPES,
+  percentChange,
+  compareMetric,
+  scaleMetrics,
+  resolveBaselinePeriods,
+  SYNC_DATA_TYPES,
+  TRAFFIC_METRICS,
+  normalizeSyncValue,
+  aggregateRows,
+  buildMetrics,
+  getPeriodMetrics,
+  getCurrentAndPreviousMetrics
+};
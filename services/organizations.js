@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const { query } = require('../database');
+const { sendMail, getFrontendUrl, escapeHtml } = require('./mailer');
+const { getPlan } = require('./entitlements');
+
+// Organizaciones (equipos). Cada organización tiene negocios y miembros con un rol:
+//   owner    titular de la facturación; único por organización
+//   admin    gestiona integraciones, negocios y miembros
+//   analyst  consulta el dashboard, sincroniza y exporta
+//   viewer   solo lectura
+// El plan de la organización es el de la suscripción de su owner.
+const ROLES = ['viewer', 'analyst', 'admin', 'owner'];
+const INVITABLE_ROLES = ['admin', 'analyst', 'viewer'];
+
+// Función para saber si un rol alcanza el mínimo exigido
+const hasRole = (role, minRole) => ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+
+// Función para obtener los roles que un miembro puede asignar o gestionar:
+// el owner gestiona a todos los demás; el resto solo a los roles inferiores al suyo
+const getManageableRoles = (actorRole) =>
+  actorRole === 'owner' ? INVITABLE_ROLES : INVITABLE_ROLES.filter(role => ROLES.indexOf(role) < ROLES.indexOf(actorRole));
+
+// Función para obtener la validez de una invitación en horas
+const getInvitationTtlHours = () => parseInt(process.env.ORGANIZATION_INVITE_TTL_HOURS) || 72;
+
+// Función para calcular el hash con el que se guarda un token de invitación
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Middleware que exige un rol mínimo en la organización del negocio seleccionado.
+// Debe ir después de requireBusiness.
+const requireRole = (minRole) => (req, res, next) => {
+  if (!hasRole(req.role, minRole)) {
+    return res.status(403).json({
+      error: 'Tu rol en la organización no permite esta acción',
+      code: 'INSUFFICIENT_ROLE',
+      role: req.role,
+      required_role: minRole
+    });
+  }
+  next();
+};
+
+// Middleware que solo deja pasar al titular de la facturación de la organización
+// del negocio seleccionado. Debe ir después de requireBusiness.
+const requireBillingOwner = (req, res, next) => {
+  if (req.business.owner_user_id !== req.userId) {
+    return res.status(403).json({
+      error: 'Solo el propietario de la organización puede gestionar la suscripción',
+      code: 'BILLING_OWNER_REQUIRED'
+    });
+  }
+  next();
+};
+
+// Función para obtener la pertenencia de un usuario a una organización
+const getMembership = async (organizationId, userId) => {
+  const result = await query(
+    `SELECT o.id AS organization_id, o.name, o.owner_user_id, m.role
+     FROM organization_members m
+     JOIN organizations o ON o.id = m.organization_id
+     WHERE m.organization_id = $1 AND m.user_id = $2`,
+    [organizationId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Función para listar las organizaciones de un usuario con su rol en cada una
+const listOrganizations = async (userId) => {
+  const result = await query(
+    `SELECT o.id, o.name, o.owner_user_id, m.role, m.created_at AS joined_at,
+            (SELECT COUNT(*) FROM organization_members om WHERE om.organization_id = o.id)::int AS members,
+            (SELECT COUNT(*) FROM businesses b WHERE b.organization_id = o.id)::int AS businesses
+     FROM organization_members m
+     JOIN organizations o ON o.id = m.organization_id
+     WHERE m.user_id = $1
+     ORDER BY o.created_at, o.id`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Función para listar los miembros de una organización
+const listMembers = async (organizationId) => {
+  const result = await query(
+    `SELECT u.id AS user_id, u.email, u.name, m.role, m.created_at AS joined_at
+     FROM organization_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.organization_id = $1
+     ORDER BY m.created_at, u.id`,
+    [organizationId]
+  );
+  return result.rows;
+};
+
+// Función para listar las invitaciones pendientes de una organización
+const listInvitations = async (organizationId) => {
+  const result = await query(
+    `SELECT i.id, i.email, i.role, i.expires_at, i.created_at, u.name AS invited_by_name
+     FROM organization_invitations i
+     LEFT JOIN users u ON u.id = i.invited_by
+     WHERE i.organization_id = $1 AND i.accepted_at IS NULL AND i.expires_at > NOW()
+     ORDER BY i.created_at DESC`,
+    [organizationId]
+  );
+  return result.rows;
+};
+
+// Función para crear una invitación (sustituye a la pendiente para el mismo email).
+// Solo se guarda el hash; el token en claro viaja únicamente en el email.
+// Devuelve { invitation, token } o { error, code }.
+const createInvitation = async (organizationId, email, role, invitedBy) => {
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const memberResult = await query(
+    `SELECT 1 FROM organization_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.organization_id = $1 AND u.email = $2`,
+    [organizationId, normalizedEmail]
+  );
+
+  if (memberResult.rows.length > 0) {
+    return { error: 'Esa persona ya es miembro de la organización', code: 'ALREADY_MEMBER' };
+  }
+
+  await query(
+    'DELETE FROM organization_invitations WHERE organization_id = $1 AND email = $2 AND accepted_at IS NULL',
+    [organizationId, normalizedEmail]
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + getInvitationTtlHours() * 60 * 60 * 1000);
+
+  const result = await query(
+    `INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, email, role, expires_at, created_at`,
+    [organizationId, normalizedEmail, role, hashInvitationToken(token), invitedBy, expiresAt]
+  );
+
+  return { invitation: result.rows[0], token };
+};
+
+// Función para enviar el email de invitación
+const sendInvitationEmail = async ({ invitation, token, organizationName, inviterName }) => {
+  const acceptUrl = `${getFrontendUrl()}/invitations/accept?token=${encodeURIComponent(token)}`;
+  const ttlHours = getInvitationTtlHours();
+
+  await sendMail({
+    to: invitation.email,
+    subject: `${inviterName} te invita a ${organizationName} en BizlyticsApp`,
+    text: `Hola,\n\n` +
+      `${inviterName} te ha invitado a unirte a ${organizationName} en BizlyticsApp con el rol ${invitation.role}. ` +
+      `Acepta la invitación en las próximas ${ttlHours} horas:\n\n` +
+      `${acceptUrl}\n\n` +
+      'Si no esperabas esta invitación, ignora este email.',
+    html: '<p>Hola,</p>' +
+      `<p>${escapeHtml(inviterName)} te ha invitado a unirte a <strong>${escapeHtml(organizationName)}</strong> en BizlyticsApp ` +
+      `con el rol ${escapeHtml(invitation.role)}. Acepta la invitación en las próximas ${ttlHours} horas:</p>` +
+      `<p><a href="${acceptUrl}">Aceptar invitación</a></p>` +
+      '<p>Si no esperabas esta invitación, ignora este email.</p>'
+  });
+};
+
+// Función para anular una invitación pendiente. Devuelve true si existía.
+const revokeInvitation = async (organizationId, invitationId) => {
+  const result = await query(
+    'DELETE FROM organization_invitations WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL',
+    [invitationId, organizationId]
+  );
+  return result.rowCount > 0;
+};
+
+// Función para aceptar una invitación con la cuenta del usuario autenticado.
+// La invitación es de un solo uso y solo vale para el email al que se envió.
+// Devuelve { organization, role } o { error, code }.
+const acceptInvitation = async (userId, userEmail, token) => {
+  const tokenHash = hashInvitationToken(token);
+
+  const invitationResult = await query(
+    `SELECT i.id, i.organization_id, i.email, i.role, o.name AS organization_name
+     FROM organization_invitations i
+     JOIN organizations o ON o.id = i.organization_id
+     WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.expires_at > NOW()`,
+    [tokenHash]
+  );
+
+  const invitation = invitationResult.rows[0];
+
+  if (!invitation) {
+    return { error: 'La invitación no es válida o ha caducado', code: 'INVALID_INVITATION' };
+  }
+
+  if (invitation.email !== userEmail.toLowerCase()) {
+    return {
+      error: 'Esta invitación se envió a otro email. Inicia sesión con esa cuenta para aceptarla',
+      code: 'INVITATION_EMAIL_MISMATCH'
+    };
+  }
+
+  // El UPDATE condicional hace la invitación de un solo uso
+  const consumeResult = await query(
+    `UPDATE organization_invitations SET accepted_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND accepted_at IS NULL
+     RETURNING id`,
+    [invitation.id]
+  );
+
+  if (consumeResult.rows.length === 0) {
+    return { error: 'La invitación no es válida o ha caducado', code: 'INVALID_INVITATION' };
+  }
+
+  // Si ya era miembro se mantiene su rol actual
+  await query(
+    `INSERT INTO organization_members (organization_id, user_id, role)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (organization_id, user_id) DO NOTHING`,
+    [invitation.organization_id, userId, invitation.role]
+  );
+
+  const membership = await getMembership(invitation.organization_id, userId);
+
+  return {
+    organization: { id: invitation.organization_id, name: invitation.organization_name },
+    role: membership.role
+  };
+};
+
+// Función para cambiar el rol de un miembro. El owner solo cambia con una transferencia.
+// Devuelve { member } o { error, code }.
+const updateMemberRole = async (organizationId, actorRole, targetUserId, role) => {
+  const target = await getMembership(organizationId, targetUserId);
+
+  if (!target) {
+    return { error: 'Miembro no encontrado', code: 'NOT_FOUND' };
+  }
+
+  const manageableRoles = getManageableRoles(actorRole);
+
+  if (!manageableRoles.includes(target.role) || !manageableRoles.includes(role)) {
+    return { error: 'Tu rol no permite asignar ese rol a este miembro', code: 'INSUFFICIENT_ROLE' };
+  }
+
+  const result = await query(
+    `UPDATE organization_members SET role = $1
+     WHERE organization_id = $2 AND user_id = $3
+     RETURNING user_id, role`,
+    [role, organizationId, targetUserId]
+  );
+
+  return { member: result.rows[0] };
+};
+
+// Función para quitar un miembro (o salir de la organización si es uno mismo).
+// Devuelve { removed } o { error, code }.
+const removeMember = async (organizationId, actor, targetUserId) => {
+  const target = await getMembership(organizationId, targetUserId);
+
+  if (!target) {
+    return { error: 'Miembro no encontrado', code: 'NOT_FOUND' };
+  }
+
+  if (target.role === 'owner') {
+    return {
+      error: 'El propietario no puede salir de la organización. Transfiere antes la propiedad',
+      code: 'OWNER_CANNOT_LEAVE'
+    };
+  }
+
+  if (targetUserId !== actor.userId && !getManageableRoles(actor.role).includes(target.role)) {
+    return { error: 'Tu rol no permite quitar a este miembro', code: 'INSUFFICIENT_ROLE' };
+  }
+
+  await query(
+    'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+    [organizationId, targetUserId]
+  );
+
+  return { removed: { user_id: targetUserId, role: target.role } };
+};
+
+// Función para transferir la propiedad (y la facturación) a otro miembro.
+// El owner anterior pasa a admin. Los datos de la organización cuelgan del
+// user_id del owner (plan del scheduler, borrado en cascada), así que se
+// reasignan en la misma sentencia para que el cambio sea atómico.
+// La suscripción de Stripe no se mueve con la organización: mientras el owner
+// actual tenga un plan de pago (vigente o en gracia) solo se transfiere a un
+// miembro que también lo tenga, para no dejar la organización en free mientras
+// se le sigue cobrando al owner anterior.
+// Devuelve { owner_user_id } o { error, code }.
+const transferOwnership = async (organizationId, currentOwnerId, newOwnerId) => {
+  if (newOwnerId === currentOwnerId) {
+    return { error: 'Ya eres el propietario de la organización', code: 'ALREADY_OWNER' };
+  }
+
+  const target = await getMembership(organizationId, newOwnerId);
+
+  if (!target) {
+    return { error: 'El nuevo propietario debe ser miembro de la organización', code: 'NOT_A_MEMBER' };
+  }
+
+  const [currentPlan, newOwnerPlan] = await Promise.all([getPlan(currentOwnerId), getPlan(newOwnerId)]);
+
+  if (currentPlan.plan_type !== 'free' && newOwnerPlan.plan_type === 'free') {
+    return {
+      error: 'El nuevo propietario necesita un plan de pago mientras tú tengas uno: pídele que se suscriba o transfiere la organización cuando termine tu suscripción',
+      code: 'OWNER_SUBSCRIPTION_ACTIVE'
+    };
+  }
+
+  const result = await query(
+    `WITH org AS (
+       UPDATE organizations SET owner_user_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND owner_user_id = $3
+       RETURNING id
+     ), previous_owner AS (
+       UPDATE organization_members SET role = 'admin'
+       WHERE organization_id IN (SELECT id FROM org) AND user_id = $3
+     ), new_owner AS (
+       UPDATE organization_members SET role = 'owner'
+       WHERE organization_id IN (SELECT id FROM org) AND user_id = $2
+     ), org_businesses AS (
+       UPDATE businesses SET user_id = $2
+       WHERE organization_id IN (SELECT id FROM org)
+       RETURNING id
+     ), org_integrations AS (
+       UPDATE integrations SET user_id = $2
+       WHERE business_id IN (SELECT id FROM org_businesses)
+       RETURNING id
+     ), org_dashboard_data AS (
+       UPDATE dashboard_data SET user_id = $2
+       WHERE business_id IN (SELECT id FROM org_businesses)
+     ), org_dashboard_data_archive AS (
+       UPDATE dashboard_data_archive SET user_id = $2
+       WHERE business_id IN (SELECT id FROM org_businesses)
+     ), org_daily_metrics AS (
+       UPDATE daily_metrics SET user_id = $2
+       WHERE integration_id IN (SELECT id FROM org_integrations)
+     ), org_daily_metrics_archive AS (
+       UPDATE daily_metrics_archive SET user_id = $2
+       WHERE integration_id IN (SELECT id FROM org_integrations)
+     ), org_sync_jobs AS (
+       UPDATE sync_jobs SET user_id = $2
+       WHERE integration_id IN (SELECT id FROM org_integrations)
+     ), org_sync_runs AS (
+       UPDATE sync_runs SET user_id = $2
+       WHERE integration_id IN (SELECT id FROM org_integrations)
+     )
+     SELECT id FROM org`,
+    [organizationId, newOwnerId, currentOwnerId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Solo el propietario puede transferir la organización', code: 'INSUFFICIENT_ROLE' };
+  }
+
+  return { owner_user_id: newOwnerId };
+};
+
+// Función para saber si un usuario es propietario de alguna organización con más miembros
+const ownsSharedOrganization = async (userId) => {
+  const result = await query(
+    `SELECT 1 FROM organizations o
+     WHERE o.owner_user_id = $1
+       AND EXISTS (SELECT 1 FROM organization_members m WHERE m.organization_id = o.id AND m.user_id <> $1)`,
+    [userId]
+  );
+  return result.rows.length > 0;
+};
+
+// Función para borrar invitaciones caducadas o ya aceptadas
+const cleanupExpiredInvitations = async () => {
+  const result = await query(
+    'DELETE FROM organization_invitations WHERE expires_at < NOW() OR accepted_at IS NOT NULL',
+    []
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  ROLES,
+  INVITABLE_ROLES,
+  hasRole,
+  getManageableRoles,
+  requireRole,
+  requireBillingOwner,
+  getMembership,
+  listOrganizations,
+  listMembers,
+  listInvitations,
+  createInvitation,
+  sendInvitationEmail,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  transferOwnership,
+  ownsSharedOrganization,
+  cleanupExpiredInvitations
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+// Política de contraseñas configurable por entorno:
+//   PASSWORD_MIN_LENGTH        longitud mínima (por defecto 10)
+//   PASSWORD_MIN_CHAR_CLASSES  tipos de carácter distintos exigidos entre
+//                              minúsculas, mayúsculas, dígitos y símbolos (por defecto 3)
+//   BCRYPT_COST                coste de bcrypt; los hashes con otro coste se
+//                              recalculan en el siguiente login correcto (por defecto 12)
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+const STRENGTH_LABELS = ['muy débil', 'débil', 'aceptable', 'fuerte', 'muy fuerte'];
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignora lo que pase de 72 bytes
+
+let commonPasswords = null;
+let dummyHash = null;
+
+// Función para obtener la configuración actual de la política
+const getPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 10,
+  minCharClasses: Math.min(parseInt(process.env.PASSWORD_MIN_CHAR_CLASSES) || 3, 4),
+  bcryptCost: parseInt(process.env.BCRYPT_COST) || 12
+});
+
+// Función para cargar (una vez) la lista de contraseñas comunes incluida en el repo
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+// Función para saber si una contraseña es común, también con dígitos o símbolos
+// añadidos al final ("Password123!" se considera "password")
+const isCommonPassword = (password) => {
+  const list = getCommonPasswords();
+  const lower = password.toLowerCase();
+  const base = lower.replace(/[^a-zñ]+$/, '');
+  return list.has(lower) || (base.length >= 4 && list.has(base));
+};
+
+// Función para contar los tipos de carácter presentes
+const countCharClasses = (password) => [
+  /[a-zà-ÿ]/.test(password),
+  /[A-ZÀ-Þ]/.test(password),
+  /\d/.test(password),
+  /[^A-Za-zÀ-ÿ\d]/.test(password)
+].filter(Boolean).length;
+
+// Función para calcular la puntuación de fortaleza (0 a 4) a partir de una
+// estimación de entropía, penalizando repeticiones, secuencias y contraseñas comunes
+const scorePassword = (password) => {
+  if (!password || isCommonPassword(password)) return 0;
+
+  let charsetSize = 0;
+  if (/[a-z]/.test(password)) charsetSize += 26;
+  if (/[A-Z]/.test(password)) charsetSize += 26;
+  if (/\d/.test(password)) charsetSize += 10;
+  if (/[^A-Za-z\d]/.test(password)) charsetSize += 33;
+
+  // Los caracteres repetidos o en secuencia apenas aportan entropía
+  let effectiveLength = 0;
+  for (let i = 0; i < password.length; i++) {
+    const previous = password.charCodeAt(i - 1);
+    const current = password.charCodeAt(i);
+    const predictable = i > 0 && (current === previous || current === previous + 1 || current === previous - 1);
+    effectiveLength += predictable ? 0.25 : 1;
+  }
+
+  const bits = effectiveLength * Math.log2(Math.max(charsetSize, 1));
+
+  if (bits < 28) return 0;
+  if (bits < 40) return 1;
+  if (bits < 60) return 2;
+  if (bits < 80) return 3;
+  return 4;
+};
+
+// Función para validar una contraseña contra la política.
+// `context` puede incluir email, name y company_name, que no deben aparecer en ella.
+// Devuelve { valid, errors: [{ code, message }], strength: { score, label } }.
+const validatePassword = (password, context = {}) => {
+  const policy = getPolicy();
+  const errors = [];
+  const value = typeof password === 'string' ? password : '';
+  const lower = value.toLowerCase();
+
+  if (value.length < policy.minLength) {
+    errors.push({ code: 'TOO_SHORT', message: `La contraseña debe tener al menos ${policy.minLength} caracteres` });
+  }
+
+  if (Buffer.byteLength(value, 'utf8') > MAX_PASSWORD_LENGTH) {
+    errors.push({ code: 'TOO_LONG', message: `La contraseña no puede superar ${MAX_PASSWORD_LENGTH} bytes` });
+  }
+
+  if (countCharClasses(value) < policy.minCharClasses) {
+    errors.push({
+      code: 'NOT_ENOUGH_CHAR_CLASSES',
+      message: `La contraseña debe combinar al menos ${policy.minCharClasses} de: minúsculas, mayúsculas, números y símbolos`
+    });
+  }
+
+  if (value && isCommonPassword(value)) {
+    errors.push({ code: 'COMMON_PASSWORD', message: 'Esa contraseña es demasiado común' });
+  }
+
+  // Partes del email (antes de la @), nombre y empresa de al menos 3 caracteres
+  const personalParts = [
+    context.email?.split('@')[0],
+    ...(context.name || '').split(/\s+/),
+    context.company_name
+  ]
+    .map(part => (part || '').trim().toLowerCase())
+    .filter(part => part.length >= 3);
+
+  if (personalParts.some(part => lower.includes(part))) {
+    errors.push({ code: 'CONTAINS_PERSONAL_INFO', message: 'La contraseña no puede contener tu email, nombre o empresa' });
+  }
+
+  const score = scorePassword(value);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    strength: { score, label: STRENGTH_LABELS[score] }
+  };
+};
+
+// Función para construir la respuesta 400 de una contraseña que no cumple la política
+const passwordErrorResponse = (validation) => ({
+  error: validation.errors[0].message,
+  code: 'WEAK_PASSWORD',
+  password_errors: validation.errors,
+  strength: validation.strength
+});
+
+// Función para calcular el hash de una contraseña con el coste configurado
+const hashPassword = (password) => bcrypt.hash(password, getPolicy().bcryptCost);
+
+// Función para obtener un hash de relleno con el coste actual. Se compara contra
+// él cuando la cuenta no existe o no tiene contraseña, para que la respuesta
+// tarde lo mismo y no delate qué emails están registrados.
+const getDummyHash = async () => {
+  if (!dummyHash || bcrypt.getRounds(dummyHash) !== getPolicy().bcryptCost) {
+    dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+  return dummyHash;
+};
+
+// Función para comparar una contraseña con su hash (false si la cuenta no tiene contraseña)
+const verifyPassword = async (password, passwordHash) => {
+  if (!password) return false;
+
+  if (!passwordHash) {
+    await bcrypt.compare(password, await getDummyHash());
+    return false;
+  }
+
+  return bcrypt.compare(password, passwordHash);
+};
+
+// Función para saber si un hash se calculó con un coste distinto del configurado
+const needsRehash = (passwordHash) => bcrypt.getRounds(passwordHash) !== getPolicy().bcryptCost;
+
+module.exports = {
+  getPolicy,
+  validatePassword,
+  passwordErrorResponse,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
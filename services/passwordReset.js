@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { query } = require('../database');
+const { sendMail, getFrontendUrl, escapeHtml } = require('./mailer');
+
+// Función para obtener la validez del enlace de reset en minutos
+const getResetTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Función para calcular el hash con el que se guarda un token de reset
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Función para crear un token de reset (invalida los anteriores del usuario).
+// Solo se guarda el hash; el token en claro viaja únicamente en el email.
+const createPasswordResetToken = async (userId, requestedIp = null) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + getResetTtlMinutes() * 60 * 1000);
+
+  await query(
+    'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  await query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, hashResetToken(token), expiresAt, requestedIp]
+  );
+
+  return { token, expiresAt };
+};
+
+// Función para obtener el usuario de un token de reset válido sin consumirlo
+// (permite validar la nueva contraseña antes de gastar el enlace)
+const findPasswordResetUser = async (token) => {
+  const result = await query(
+    `SELECT u.id, u.email, u.name, u.company_name
+     FROM password_reset_tokens prt
+     JOIN users u ON u.id = prt.user_id
+     WHERE prt.token_hash = $1 AND prt.used_at IS NULL AND prt.expires_at > NOW()`,
+    [hashResetToken(token)]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Función para consumir un token de reset. Devuelve el user_id o null si el token
+// no existe, ya se usó o caducó. El UPDATE condicional lo hace de un solo uso.
+const consumePasswordResetToken = async (token) => {
+  const result = await query(
+    `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashResetToken(token)]
+  );
+
+  return result.rows[0]?.user_id || null;
+};
+
+// Función para enviar el email con el enlace de reset
+const sendPasswordResetEmail = async (user, token) => {
+  const resetUrl = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  const ttlMinutes = getResetTtlMinutes();
+
+  await sendMail({
+    to: user.email,
+    subject: 'Restablece tu contraseña de BizlyticsApp',
+    text: `Hola ${user.name},\n\n` +
+      `Hemos recibido una solicitud para restablecer tu contraseña. Usa este enlace en los próximos ${ttlMinutes} minutos:\n\n` +
+      `${resetUrl}\n\n` +
+      'Si no la has solicitado, ignora este email: tu contraseña no cambiará.',
+    html: `<p>Hola ${escapeHtml(user.name)},</p>` +
+      `<p>Hemos recibido una solicitud para restablecer tu contraseña. Usa este enlace en los próximos ${ttlMinutes} minutos:</p>` +
+      `<p><a href="${resetUrl}">Restablecer contraseña</a></p>` +
+      '<p>Si no la has solicitado, ignora este email: tu contraseña no cambiará.</p>'
+  });
+};
+
+// Función para avisar al usuario de que su contraseña se ha restablecido
+const sendPasswordChangedEmail = async (user) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Tu contraseña de BizlyticsApp ha cambiado',
+    text: `Hola ${user.name},\n\n` +
+      'Tu contraseña se acaba de restablecer y se han cerrado todas tus sesiones. ' +
+      'Si no has sido tú, contacta con soporte inmediatamente.'
+  });
+};
+
+// Función para borrar tokens de reset caducados o usados
+const cleanupExpiredResetTokens = async () => {
+  const result = await query(
+    'DELETE FROM password_reset_tokens WHERE expires_at < NOW() OR used_at IS NOT NULL',
+    []
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  createPasswordResetToken,
+  findPasswordResetUser,
+  consumePasswordResetToken,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  cleanupExpiredResetTokens
+};
@@ -0,0 +1,190 @@
+const cron = require('node-cron');
+const { query, cleanupExpiredSessions } = require('../database');
+const { enqueueSync } = require('./syncQueue');
+const { SYNCABLE_TYPES } = require('./connectors');
+const { DAY_MS } = require('./metrics');
+const { startOfUTCDay } = require('./dailyMetrics');
+const { cleanupExpiredResetTokens } = require('./passwordReset');
+const { cleanupExpiredInvitations } = require('./organizations');
+const { cleanupAuthFailures } = require('./loginProtection');
+const { cleanupRateLimits } = require('../middleware/rateLimit');
+const { ENTITLED_STATUSES, GRACE_STATUSES, getPlanEntitlements } = require('./entitlements');
+const { sendGraceWarnings, applyExpiredGracePeriods, archiveDashboardData } = require('./subscriptionGrace');
+const { retryFailedWebhookEvents } = require('./webhookEvents');
+
+// Máximo de integraciones encoladas en una ejecución del job
+const SYNC_BATCH_SIZE = 200;
+
+// Tope de la espera tras fallos seguidos (la frecuencia del plan se duplica por fallo)
+const FAILURE_BACKOFF_MAX_MINUTES = 24 * 60;
+
+// Jobs en ejecución en este proceso (evita solapar una ejecución lenta con la siguiente)
+const runningJobs = new Set();
+
+// Función para ejecutar un job registrando inicio, fin, estado y error en job_runs.
+// `fn` puede devolver { status, details } para marcar ejecuciones parciales.
+const runJob = async (jobName, fn) => {
+  if (runningJobs.has(jobName)) {
+    console.log(`⏭️ Job ${jobName} sigue en ejecución, se omite esta vuelta`);
+    return null;
+  }
+
+  runningJobs.add(jobName);
+  let runId = null;
+
+  try {
+    const runResult = await query(
+      'INSERT INTO job_runs (job_name, status) VALUES ($1, $2) RETURNING id',
+      [jobName, 'running']
+    );
+    runId = runResult.rows[0].id;
+
+    const outcome = (await fn()) || {};
+
+    await query(
+      `UPDATE job_runs SET status = $1, details = $2, finished_at = CURRENT_TIMESTAMP WHERE id = $3`,
+      [outcome.status || 'success', outcome.details ? JSON.stringify(outcome.details) : null, runId]
+    );
+
+    console.log(`⏱️ Job ${jobName} terminado: ${outcome.status || 'success'}`);
+    return outcome;
+
+  } catch (error) {
+    console.error(`❌ Error en job ${jobName}:`, error.message);
+
+    if (runId) {
+      await query(
+        `UPDATE job_runs SET status = 'error', error = $1, finished_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [error.message, runId]
+      ).catch(updateError => console.error('Error registrando fallo de job:', updateError.message));
+    }
+    return null;
+
+  } finally {
+    runningJobs.delete(jobName);
+  }
+};
+
+// Función para encolar la sincronización de las integraciones activas que ya
+// toca sincronizar: la frecuencia de su plan desde el último éxito y, si vienen
+// fallando, una espera que se duplica con cada fallo desde el último error. Se
+// encolan primero las que llevan más tiempo vencidas, de modo que las que
+// fallan siempre no acaparan el lote.
+const enqueueDueIntegrations = async () => {
+  const result = await query(
+    `SELECT i.id, i.user_id
+     FROM integrations i
+     LEFT JOIN LATERAL (
+       SELECT plan_type FROM subscriptions
+       WHERE user_id = i.user_id
+         AND (status = ANY($5) OR (status = ANY($6) AND grace_period_ends_at > NOW()))
+       ORDER BY status = ANY($5) DESC, created_at DESC LIMIT 1
+     ) s ON true
+     CROSS JOIN LATERAL (
+       SELECT CASE COALESCE(s.plan_type, 'free')
+         WHEN 'business' THEN $1::int
+         WHEN 'pro' THEN $2::int
+         ELSE $3::int
+       END AS frequency_minutes
+     ) f
+     CROSS JOIN LATERAL (
+       SELECT GREATEST(
+         COALESCE(i.last_synced_at + make_interval(mins => f.frequency_minutes), '-infinity'),
+         CASE WHEN i.consecutive_failures > 0 AND i.last_error_at IS NOT NULL
+           THEN i.last_error_at + make_interval(mins => LEAST(
+             f.frequency_minutes * power(2, LEAST(i.consecutive_failures - 1, 16)), $8::int
+           )::int)
+         END
+       ) AS next_sync_at
+     ) due
+     WHERE i.is_active = true
+       AND i.integration_type = ANY($7)
+       AND COALESCE(i.additional_data->>'status', 'connected') NOT IN ('pending_oauth', 'needs_reauth')
+       AND due.next_sync_at <= NOW()
+       AND NOT EXISTS (
+         SELECT 1 FROM sync_jobs j WHERE j.integration_id = i.id AND j.status IN ('queued', 'running')
+       )
+     ORDER BY due.next_sync_at
+     LIMIT $4`,
+    [
+      getPlanEntitlements('business').sync_frequency_minutes,
+      getPlanEntitlements('pro').sync_frequency_minutes,
+      getPlanEntitlements('free').sync_frequency_minutes,
+      SYNC_BATCH_SIZE,
+      ENTITLED_STATUSES,
+      GRACE_STATUSES,
+      SYNCABLE_TYPES,
+      FAILURE_BACKOFF_MAX_MINUTES
+    ]
+  );
+
+  // Período sincronizado: ayer completo y lo que va de hoy
+  const periodEnd = new Date();
+  const periodStart = new Date(startOfUTCDay(periodEnd).getTime() - DAY_MS);
+
+  let enqueued = 0;
+  for (const integration of result.rows) {
+    const { created } = await enqueueSync(integration.user_id, integration.id, periodStart, periodEnd);
+    if (created) enqueued++;
+  }
+
+  return { details: { due: result.rows.length, enqueued } };
+};
+
+// Función para limpiar sesiones, tokens de reset e invitaciones expirados como job registrado
+const cleanupSessionsJob = async () => {
+  const deleted = await cleanupExpiredSessions();
+  const resetTokensDeleted = await cleanupExpiredResetTokens();
+  const invitationsDeleted = await cleanupExpiredInvitations();
+  return { details: { deleted, reset_tokens_deleted: resetTokensDeleted, invitations_deleted: invitationsDeleted } };
+};
+
+// Función para limpiar contadores de rate limiting y fallos de login caducados
+const cleanupThrottlingJob = async () => {
+  const rateLimitsDeleted = await cleanupRateLimits();
+  const authFailuresDeleted = await cleanupAuthFailures();
+  return { details: { rate_limits_deleted: rateLimitsDeleted, auth_failures_deleted: authFailuresDeleted } };
+};
+
+// Función para avisar de los períodos de gracia que terminan y bajar de plan los expirados
+const subscriptionGraceJob = async () => {
+  const warned = await sendGraceWarnings();
+  const { downgraded, suspended } = await applyExpiredGracePeriods();
+  return { details: { warned, downgraded, integrations_suspended: suspended } };
+};
+
+// Función para archivar el dashboard_data y las daily_metrics de quien bajó a free tras el período de gracia
+const archiveDashboardDataJob = async () => {
+  const { dashboard_data: archived, daily_metrics: archivedDailyMetrics } = await archiveDashboardData();
+  return { details: { archived, archived_daily_metrics: archivedDailyMetrics } };
+};
+
+// Función para reintentar los eventos de Stripe que fallaron al procesarse
+const retryWebhookEventsJob = async () => ({ details: await retryFailedWebhookEvents() });
+
+// Jobs programados (expresiones cron en UTC)
+const JOBS = [
+  { name: 'sync_integrations', schedule: '*/15 * * * *', fn: enqueueDueIntegrations },
+  { name: 'cleanup_sessions', schedule: '0 3 * * *', fn: cleanupSessionsJob },
+  { name: 'cleanup_throttling', schedule: '30 * * * *', fn: cleanupThrottlingJob },
+  { name: 'subscription_grace', schedule: '0 * * * *', fn: subscriptionGraceJob },
+  { name: 'archive_dashboard_data', schedule: '0 4 * * *', fn: archiveDashboardDataJob },
+  { name: 'retry_webhook_events', schedule: '*/5 * * * *', fn: retryWebhookEventsJob }
+];
+
+// Función para arrancar el planificador de tareas en segundo plano
+const startScheduler = () => {
+  const tasks = JOBS.map(job => cron.schedule(job.schedule, () => runJob(job.name, job.fn), { timezone: 'UTC' }));
+
+  console.log(`⏰ Planificador iniciado con ${JOBS.length} jobs: ${JOBS.map(job => job.name).join(', ')}`);
+
+  return {
+    stop: () => tasks.forEach(task => task.stop())
+  };
+};
+
+module.exports = {
+  runJob,
+  enqueueDueIntegrations,
+  startScheduler
+};
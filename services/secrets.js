@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+// Cifrado en sobre (envelope encryption) de credenciales de integraciones.
+//
+// Cada valor se cifra con una clave de datos aleatoria (AES-256-GCM) y esa clave
+// de datos se cifra a su vez con la clave maestra de la versión actual. Rotar la
+// clave maestra solo requiere volver a envolver la clave de datos.
+//
+// Formato guardado: enc:<versión>:<clave de datos envuelta>:<iv>:<tag>:<texto cifrado>
+// (todo en base64). Los valores sin el prefijo enc: son texto plano heredado.
+//
+// Claves: INTEGRATION_ENCRYPTION_KEYS="1:<base64 de 32 bytes>,2:<base64 de 32 bytes>"
+// La versión actual es INTEGRATION_ENCRYPTION_KEY_VERSION o, si no se indica, la mayor.
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const DEV_KEY_VERSION = 0;
+
+let warnedDevKey = false;
+
+// Función para leer las claves maestras configuradas
+const loadKeys = () => {
+  const keys = new Map();
+  const raw = process.env.INTEGRATION_ENCRYPTION_KEYS;
+
+  if (raw) {
+    for (const entry of raw.split(',')) {
+      const [version, key] = entry.trim().split(':');
+      const buffer = Buffer.from(key || '', 'base64');
+
+      if (!/^\d+$/.test(version) || buffer.length !== 32) {
+        throw new Error('INTEGRATION_ENCRYPTION_KEYS mal formada: se espera "versión:clave_base64_32_bytes"');
+      }
+      keys.set(parseInt(version), buffer);
+    }
+  }
+
+  if (keys.size === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('INTEGRATION_ENCRYPTION_KEYS es obligatoria en producción');
+    }
+
+    if (!warnedDevKey) {
+      console.warn('⚠️ INTEGRATION_ENCRYPTION_KEYS no configurada - usando clave de desarrollo');
+      warnedDevKey = true;
+    }
+    keys.set(DEV_KEY_VERSION, crypto.createHash('sha256').update('bizlyticsapp-dev-integration-key').digest());
+  }
+
+  return keys;
+};
+
+// Función para obtener la versión de clave maestra con la que se cifra ahora
+const getCurrentKeyVersion = () => {
+  const keys = loadKeys();
+  const configured = (process.env.INTEGRATION_ENCRYPTION_KEY_VERSION || '').trim();
+
+  // Vacía equivale a no indicarla (así funciona copiar .env.example tal cual)
+  if (configured) {
+    const version = parseInt(configured);
+    if (!keys.has(version)) {
+      throw new Error(`INTEGRATION_ENCRYPTION_KEY_VERSION=${configured} no existe en INTEGRATION_ENCRYPTION_KEYS`);
+    }
+    return version;
+  }
+
+  return Math.max(...keys.keys());
+};
+
+// Función para cifrar con AES-256-GCM; devuelve [iv, tag, texto cifrado]
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext];
+};
+
+// Función para descifrar lo producido por seal()
+const open = (key, iv, tag, ciphertext) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+// Función para envolver una clave de datos con la clave maestra (iv + tag + clave cifrada)
+const wrapDataKey = (masterKey, dataKey) => Buffer.concat(seal(masterKey, dataKey));
+
+// Función para desenvolver una clave de datos
+const unwrapDataKey = (masterKey, wrapped) =>
+  open(masterKey, wrapped.subarray(0, 12), wrapped.subarray(12, 28), wrapped.subarray(28));
+
+// Función para saber si un valor ya está cifrado
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+// Función para separar las partes de un valor cifrado
+const parse = (value) => {
+  const [, version, wrapped, iv, tag, ciphertext] = value.split(':');
+  return {
+    version: parseInt(version),
+    wrapped: Buffer.from(wrapped, 'base64'),
+    iv: Buffer.from(iv, 'base64'),
+    tag: Buffer.from(tag, 'base64'),
+    ciphertext: Buffer.from(ciphertext, 'base64')
+  };
+};
+
+// Función para obtener la clave maestra de una versión
+const getMasterKey = (keys, version) => {
+  const key = keys.get(version);
+  if (!key) {
+    throw new Error(`Clave de cifrado versión ${version} no disponible`);
+  }
+  return key;
+};
+
+// Función para cifrar un secreto (null/undefined se devuelven tal cual)
+const encryptSecret = (plaintext) => {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const keys = loadKeys();
+  const version = getCurrentKeyVersion();
+  const dataKey = crypto.randomBytes(32);
+  const [iv, tag, ciphertext] = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+  const wrapped = wrapDataKey(getMasterKey(keys, version), dataKey);
+
+  return [PREFIX, version, wrapped, iv, tag, ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+// Función para descifrar un secreto (los valores en texto plano heredados se devuelven tal cual)
+const decryptSecret = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const { version, wrapped, iv, tag, ciphertext } = parse(value);
+  const dataKey = unwrapDataKey(getMasterKey(loadKeys(), version), wrapped);
+  return open(dataKey, iv, tag, ciphertext).toString('utf8');
+};
+
+// Función para volver a envolver un valor con la clave maestra actual.
+// El texto cifrado no cambia; los valores en texto plano se cifran.
+const rewrapSecret = (value) => {
+  if (value === null || value === undefined) return value;
+  if (!isEncrypted(value)) return encryptSecret(value);
+
+  const keys = loadKeys();
+  const currentVersion = getCurrentKeyVersion();
+  const { version, wrapped, iv, tag, ciphertext } = parse(value);
+
+  if (version === currentVersion) return value;
+
+  const dataKey = unwrapDataKey(getMasterKey(keys, version), wrapped);
+  const rewrapped = wrapDataKey(getMasterKey(keys, currentVersion), dataKey);
+
+  return [PREFIX, currentVersion, rewrapped, iv, tag, ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+// Función para convertir un error de axios en uno que no arrastre la
+// configuración de la petición (cabeceras Authorization, cuerpos con tokens)
+const sanitizeProviderError = (error) => {
+  if (!error || !error.isAxiosError) return error;
+
+  const sanitized = new Error(error.message);
+  sanitized.code = error.code;
+  sanitized.isProviderError = true;
+  if (error.response) {
+    sanitized.response = { status: error.response.status, data: error.response.data };
+  }
+  return sanitized;
+};
+
+module.exports = {
+  isEncrypted,
+  getCurrentKeyVersion,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  sanitizeProviderError
+};
@@ -0,0 +1,312 @@
+const { query } = require('../database');
+const { createUserAlert } = require('./alerts');
+const { ENTITLED_STATUSES, GRACE_STATUSES } = require('./entitlements');
+const { startGracePeriod, notifyGracePeriodStarted, endGracePeriod } = require('./subscriptionGrace');
+
+// Aplicación de los eventos de Stripe a la base de datos. Los manejadores no
+// capturan sus errores: los registra services/webhookEvents para reintentarlos.
+// Devuelven { skipped: motivo } cuando el evento no se aplica.
+
+// Función para obtener usuario por customer_id de Stripe
+const getUserByStripeCustomer = async (stripeCustomerId) => {
+  const result = await query(
+    'SELECT id, email, name FROM users WHERE stripe_customer_id = $1',
+    [stripeCustomerId]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+// Función para guardar el estado de una suscripción recibido en un evento.
+// Stripe no garantiza el orden de entrega: si ya se aplicó un evento posterior
+// (según event.created) no se sobrescribe y devuelve false.
+const upsertSubscription = async (userId, subscription, eventCreatedAt) => {
+  const result = await query(
+    `INSERT INTO subscriptions (user_id, stripe_subscription_id, status, plan_type,
+                               current_period_start, current_period_end, cancel_at_period_end,
+                               stripe_event_created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (stripe_subscription_id)
+     DO UPDATE SET
+       status = EXCLUDED.status,
+       current_period_start = EXCLUDED.current_period_start,
+       current_period_end = EXCLUDED.current_period_end,
+       cancel_at_period_end = EXCLUDED.cancel_at_period_end,
+       stripe_event_created_at = EXCLUDED.stripe_event_created_at,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE subscriptions.stripe_event_created_at IS NULL
+        OR subscriptions.stripe_event_created_at <= EXCLUDED.stripe_event_created_at
+     RETURNING id`,
+    [
+      userId,
+      subscription.id,
+      subscription.status,
+      subscription.metadata?.plan_type || 'pro',
+      new Date(subscription.current_period_start * 1000),
+      new Date(subscription.current_period_end * 1000),
+      subscription.cancel_at_period_end,
+      eventCreatedAt
+    ]
+  );
+  return result.rows.length > 0;
+};
+
+// Motivos por los que no se aplica un evento
+const userNotFound = (customerId) => ({ skipped: `Usuario no encontrado para customer ${customerId}` });
+const STALE_EVENT = { skipped: 'La suscripción ya tiene aplicado un evento posterior' };
+
+// Manejar creación de suscripción
+const handleSubscriptionCreated = async (subscription, eventCreatedAt) => {
+  console.log('✅ Procesando suscripción creada:', subscription.id);
+
+  const user = await getUserByStripeCustomer(subscription.customer);
+  if (!user) {
+    console.error('❌ Usuario no encontrado para customer:', subscription.customer);
+    return userNotFound(subscription.customer);
+  }
+
+  // Actualizar o crear suscripción en base de datos
+  if (!(await upsertSubscription(user.id, subscription, eventCreatedAt))) {
+    return STALE_EVENT;
+  }
+
+  // Actualizar status del usuario
+  await query(
+    'UPDATE users SET subscription_status = $1 WHERE id = $2',
+    [subscription.status, user.id]
+  );
+
+  // Si vuelve a suscribirse tras bajar de plan, restaurar integraciones y datos
+  if (ENTITLED_STATUSES.includes(subscription.status)) {
+    await endGracePeriod(user.id, subscription.id);
+  }
+
+  // Crear alerta de bienvenida
+  await createUserAlert(
+    user.id,
+    'subscription_created',
+    '¡Bienvenido a BizlyticsApp!',
+    `Tu suscripción ${subscription.metadata?.plan_type || 'Pro'} está activa. ¡Comienza a conectar tus herramientas!`,
+    'success',
+    { subscription_id: subscription.id, plan: subscription.metadata?.plan_type }
+  );
+
+  console.log(`✅ Suscripción procesada para usuario ${user.email}`);
+};
+
+// Manejar actualización de suscripción
+const handleSubscriptionUpdated = async (subscription, eventCreatedAt) => {
+  console.log('🔄 Procesando suscripción actualizada:', subscription.id);
+
+  const user = await getUserByStripeCustomer(subscription.customer);
+  if (!user) return userNotFound(subscription.customer);
+
+  // Actualizar suscripción en base de datos
+  if (!(await upsertSubscription(user.id, subscription, eventCreatedAt))) {
+    return STALE_EVENT;
+  }
+
+  // Actualizar status del usuario
+  await query(
+    'UPDATE users SET subscription_status = $1 WHERE id = $2',
+    [subscription.status, user.id]
+  );
+
+  // Un impago abre el período de gracia; volver a estar al día lo cierra
+  if (GRACE_STATUSES.includes(subscription.status)) {
+    const grace = await startGracePeriod(subscription.id);
+
+    if (grace.started) {
+      await notifyGracePeriodStarted(
+        user.id,
+        subscription.status === 'canceled' ? 'canceled' : 'past_due',
+        grace.grace_period_ends_at,
+        { subscription_id: subscription.id, status: subscription.status }
+      );
+    }
+    return;
+  }
+
+  if (ENTITLED_STATUSES.includes(subscription.status)) {
+    await endGracePeriod(user.id, subscription.id);
+  }
+
+  // Crear alerta según el cambio
+  let alertTitle = 'Suscripción Actualizada';
+  let alertMessage = 'Tu suscripción ha sido actualizada exitosamente.';
+  let alertSeverity = 'info';
+
+  if (subscription.cancel_at_period_end) {
+    alertTitle = 'Suscripción Programada para Cancelación';
+    alertMessage = `Tu suscripción se cancelará el ${new Date(subscription.current_period_end * 1000).toLocaleDateString('es-ES')}. Puedes reactivarla en cualquier momento.`;
+    alertSeverity = 'warning';
+  } else if (subscription.status === 'active') {
+    alertTitle = 'Suscripción Reactivada';
+    alertMessage = '¡Genial! Tu suscripción está activa nuevamente.';
+    alertSeverity = 'success';
+  }
+
+  await createUserAlert(
+    user.id,
+    'subscription_updated',
+    alertTitle,
+    alertMessage,
+    alertSeverity,
+    { subscription_id: subscription.id, status: subscription.status }
+  );
+
+  console.log(`✅ Suscripción actualizada para usuario ${user.email}`);
+};
+
+// Manejar eliminación de suscripción
+const handleSubscriptionDeleted = async (subscription, eventCreatedAt) => {
+  console.log('❌ Procesando suscripción eliminada:', subscription.id);
+
+  const user = await getUserByStripeCustomer(subscription.customer);
+  if (!user) return userNotFound(subscription.customer);
+
+  // Actualizar suscripción como cancelada
+  if (!(await upsertSubscription(user.id, { ...subscription, status: 'canceled' }, eventCreatedAt))) {
+    return STALE_EVENT;
+  }
+
+  await query(
+    'UPDATE users SET subscription_status = $1 WHERE id = $2',
+    ['canceled', user.id]
+  );
+
+  // El plan se mantiene durante el período de gracia; al terminar, el
+  // scheduler baja al plan gratuito y suspende las integraciones que no incluye
+  const grace = await startGracePeriod(subscription.id);
+
+  await notifyGracePeriodStarted(user.id, 'canceled', grace.grace_period_ends_at || new Date(), {
+    subscription_id: subscription.id
+  });
+
+  console.log(`✅ Suscripción cancelada para usuario ${user.email}`);
+};
+
+// Manejar pago exitoso
+const handlePaymentSucceeded = async (invoice) => {
+  console.log('💰 Procesando pago exitoso:', invoice.id);
+
+  const user = await getUserByStripeCustomer(invoice.customer);
+  if (!user) return userNotFound(invoice.customer);
+
+  // Crear alerta de pago exitoso
+  await createUserAlert(
+    user.id,
+    'payment_succeeded',
+    'Pago Procesado Exitosamente',
+    `Tu pago de €${(invoice.amount_paid / 100).toFixed(2)} ha sido procesado. ¡Gracias por tu confianza!`,
+    'success',
+    {
+      invoice_id: invoice.id,
+      amount: invoice.amount_paid / 100,
+      currency: invoice.currency
+    }
+  );
+
+  console.log(`✅ Pago procesado para usuario ${user.email}: €${invoice.amount_paid / 100}`);
+};
+
+// Manejar pago fallido
+const handlePaymentFailed = async (invoice) => {
+  console.log('⚠️ Procesando pago fallido:', invoice.id);
+
+  const user = await getUserByStripeCustomer(invoice.customer);
+  if (!user) return userNotFound(invoice.customer);
+
+  // Crear alerta de pago fallido
+  await createUserAlert(
+    user.id,
+    'payment_failed',
+    'Problema con el Pago',
+    `No pudimos procesar tu pago de €${(invoice.amount_due / 100).toFixed(2)}. Por favor, actualiza tu método de pago para continuar con tu suscripción.`,
+    'error',
+    {
+      invoice_id: invoice.id,
+      amount: invoice.amount_due / 100,
+      currency: invoice.currency
+    }
+  );
+
+  console.log(`⚠️ Pago fallido para usuario ${user.email}: €${invoice.amount_due / 100}`);
+};
+
+// Manejar final de período de prueba próximo
+const handleTrialWillEnd = async (subscription) => {
+  console.log('⏰ Procesando final de prueba próximo:', subscription.id);
+
+  const user = await getUserByStripeCustomer(subscription.customer);
+  if (!user) return userNotFound(subscription.customer);
+
+  const trialEndDate = new Date(subscription.trial_end * 1000);
+
+  // Crear alerta de final de prueba
+  await createUserAlert(
+    user.id,
+    'trial_ending',
+    'Tu Prueba Gratuita Termina Pronto',
+    `Tu período de prueba gratuita termina el ${trialEndDate.toLocaleDateString('es-ES')}. Asegúrate de tener un método de pago configurado para continuar sin interrupciones.`,
+    'warning',
+    {
+      subscription_id: subscription.id,
+      trial_end: trialEndDate.toISOString()
+    }
+  );
+
+  console.log(`⏰ Notificación de fin de prueba enviada a ${user.email}`);
+};
+
+// Manejar cliente creado
+const handleCustomerCreated = async (customer) => {
+  console.log('👤 Procesando cliente creado:', customer.id);
+
+  // Buscar usuario por email si no tiene stripe_customer_id
+  if (customer.email) {
+    const userResult = await query(
+      'SELECT id FROM users WHERE email = $1 AND stripe_customer_id IS NULL',
+      [customer.email]
+    );
+
+    if (userResult.rows.length > 0) {
+      const userId = userResult.rows[0].id;
+
+      // Actualizar usuario con customer_id
+      await query(
+        'UPDATE users SET stripe_customer_id = $1 WHERE id = $2',
+        [customer.id, userId]
+      );
+
+      console.log(`✅ Usuario ${customer.email} vinculado con Stripe customer ${customer.id}`);
+    }
+  }
+};
+
+// Manejadores por tipo de evento
+const EVENT_HANDLERS = {
+  'customer.subscription.created': handleSubscriptionCreated,
+  'customer.subscription.updated': handleSubscriptionUpdated,
+  'customer.subscription.deleted': handleSubscriptionDeleted,
+  'invoice.payment_succeeded': handlePaymentSucceeded,
+  'invoice.payment_failed': handlePaymentFailed,
+  'customer.subscription.trial_will_end': handleTrialWillEnd,
+  'customer.created': handleCustomerCreated
+};
+
+// Función para aplicar un evento de Stripe. Lanza si falla; devuelve
+// { skipped: motivo } si el evento no se aplica o undefined si se aplicó.
+const handleStripeEvent = async (event) => {
+  const handler = EVENT_HANDLERS[event.type];
+
+  if (!handler) {
+    console.log(`ℹ️ Evento no manejado: ${event.type}`);
+    return { skipped: `Evento no manejado: ${event.type}` };
+  }
+
+  return handler(event.data.object, new Date(event.created * 1000));
+};
+
+module.exports = {
+  handleStripeEvent
+};
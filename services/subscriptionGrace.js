@@ -0,0 +1,313 @@
+const { query } = require('../database');
+const { createUserAlert } = require('./alerts');
+const { ENTITLED_STATUSES, GRACE_STATUSES, getEntitlements, getPlanEntitlements } = require('./entitlements');
+
+// Bajada de plan con período de gracia y retención de datos:
+//   1. Un impago (past_due/unpaid) o una cancelación abre un período de gracia
+//      de SUBSCRIPTION_GRACE_DAYS durante el que se mantiene el plan.
+//   2. SUBSCRIPTION_GRACE_WARNING_DAYS antes del final se avisa al usuario.
+//   3. Al terminar, la organización pasa al plan free: las integraciones que
+//      no incluye quedan suspendidas (status 'suspended') y se avisa de que los
+//      datos fuera del historial del plan free (history_days) se archivarán
+//      tras DATA_ARCHIVE_NOTICE_DAYS.
+//   4. Pasado ese aviso, ese dashboard_data y sus daily_metrics se mueven a
+//      dashboard_data_archive y daily_metrics_archive.
+// Si vuelve a suscribirse, se reactivan las integraciones suspendidas y se
+// recuperan los datos archivados sin tener que reconectar nada.
+
+// Máximo de filas archivadas en una ejecución del job
+const ARCHIVE_BATCH_SIZE = 5000;
+
+// Función para leer un número de días de una variable de entorno (admite 0)
+const getDaysSetting = (name, defaultValue) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value < 0 ? defaultValue : value;
+};
+
+// Función para obtener la configuración actual de la política
+const getGraceSettings = () => ({
+  graceDays: getDaysSetting('SUBSCRIPTION_GRACE_DAYS', 7),
+  warningDays: getDaysSetting('SUBSCRIPTION_GRACE_WARNING_DAYS', 2),
+  archiveNoticeDays: getDaysSetting('DATA_ARCHIVE_NOTICE_DAYS', 7)
+});
+
+// Función para formatear una fecha en los mensajes de las alertas
+const formatDate = (date) => new Date(date).toLocaleDateString('es-ES');
+
+// Función para abrir el período de gracia de una suscripción (si no estaba abierto).
+// Devuelve { grace_period_ends_at, started }.
+const startGracePeriod = async (stripeSubscriptionId) => {
+  const result = await query(
+    `UPDATE subscriptions
+     SET grace_period_ends_at = NOW() + make_interval(days => $2::int),
+         grace_warning_sent_at = NULL, downgraded_at = NULL, data_archive_at = NULL
+     WHERE stripe_subscription_id = $1 AND grace_period_ends_at IS NULL
+     RETURNING grace_period_ends_at`,
+    [stripeSubscriptionId, getGraceSettings().graceDays]
+  );
+
+  if (result.rows.length > 0) {
+    return { grace_period_ends_at: result.rows[0].grace_period_ends_at, started: true };
+  }
+
+  const existingResult = await query(
+    'SELECT grace_period_ends_at FROM subscriptions WHERE stripe_subscription_id = $1',
+    [stripeSubscriptionId]
+  );
+
+  return { grace_period_ends_at: existingResult.rows[0]?.grace_period_ends_at || null, started: false };
+};
+
+// Función para avisar del comienzo del período de gracia
+const notifyGracePeriodStarted = async (userId, reason, gracePeriodEndsAt, data = {}) => {
+  const canceled = reason === 'canceled';
+
+  await createUserAlert(
+    userId,
+    canceled ? 'subscription_canceled' : 'subscription_past_due',
+    canceled ? 'Suscripción Cancelada' : 'Pago de la Suscripción Pendiente',
+    canceled
+      ? `Tu suscripción ha sido cancelada. Mantendrás las funciones de tu plan hasta el ${formatDate(gracePeriodEndsAt)}; después pasarás al plan gratuito y se suspenderán las integraciones que no incluye. Puedes reactivar tu plan en cualquier momento.`
+      : `No hemos podido cobrar tu suscripción. Actualiza tu método de pago antes del ${formatDate(gracePeriodEndsAt)} para no pasar al plan gratuito ni perder tus integraciones.`,
+    'warning',
+    { ...data, grace_period_ends_at: new Date(gracePeriodEndsAt).toISOString() }
+  );
+};
+
+// Función para suspender las integraciones activas que el plan free no incluye.
+// Se guarda el estado anterior para restaurarlo sin reconectar.
+const suspendIntegrations = async (ownerUserId) => {
+  const result = await query(
+    `UPDATE integrations
+     SET is_active = false,
+         additional_data = COALESCE(additional_data, '{}'::jsonb) || jsonb_build_object(
+           'status', 'suspended',
+           'suspended_status', COALESCE(additional_data->>'status', 'connected'),
+           'suspended_at', NOW()
+         ),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND is_active = true AND integration_type <> ALL($2)
+     RETURNING id, integration_type`,
+    [ownerUserId, getPlanEntitlements('free').available_types]
+  );
+  return result.rows;
+};
+
+// Función para reactivar las integraciones suspendidas que el plan actual incluye
+const restoreSuspendedIntegrations = async (ownerUserId, availableTypes) => {
+  const result = await query(
+    `UPDATE integrations
+     SET is_active = true,
+         additional_data = (additional_data - 'suspended_status' - 'suspended_at')
+           || jsonb_build_object('status', COALESCE(additional_data->>'suspended_status', 'connected')),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND additional_data->>'status' = 'suspended' AND integration_type = ANY($2)
+     RETURNING id, integration_type`,
+    [ownerUserId, availableTypes]
+  );
+  return result.rows;
+};
+
+// Función para devolver a dashboard_data y daily_metrics los datos archivados de un owner.
+// Si una sincronización posterior ya recalculó un día de daily_metrics, se conserva ese valor.
+const restoreArchivedData = async (ownerUserId) => {
+  const metricsResult = await query(
+    `WITH restored AS (
+       DELETE FROM daily_metrics_archive WHERE user_id = $1
+       RETURNING id, user_id, integration_id, integration_type, metric, metric_date, value, created_at, updated_at
+     )
+     INSERT INTO daily_metrics (id, user_id, integration_id, integration_type, metric, metric_date, value, created_at, updated_at)
+     SELECT id, user_id, integration_id, integration_type, metric, metric_date, value, created_at, updated_at
+     FROM restored
+     ON CONFLICT DO NOTHING`,
+    [ownerUserId]
+  );
+
+  const result = await query(
+    `WITH restored AS (
+       DELETE FROM dashboard_data_archive WHERE user_id = $1
+       RETURNING id, user_id, integration_id, business_id, data_type, data_value, period_start, period_end, created_at
+     )
+     INSERT INTO dashboard_data (id, user_id, integration_id, business_id, data_type, data_value, period_start, period_end, created_at)
+     SELECT id, user_id, integration_id, business_id, data_type, data_value, period_start, period_end, created_at
+     FROM restored`,
+    [ownerUserId]
+  );
+  return result.rowCount + metricsResult.rowCount;
+};
+
+// Función para cerrar el período de gracia de una suscripción que vuelve a estar
+// activa y restaurar lo que se suspendió o archivó al bajar de plan
+const endGracePeriod = async (userId, stripeSubscriptionId) => {
+  await query(
+    `UPDATE subscriptions
+     SET grace_period_ends_at = NULL, grace_warning_sent_at = NULL, downgraded_at = NULL, data_archive_at = NULL
+     WHERE stripe_subscription_id = $1 AND grace_period_ends_at IS NOT NULL`,
+    [stripeSubscriptionId]
+  );
+
+  const entitlements = await getEntitlements(userId);
+  const integrations = await restoreSuspendedIntegrations(userId, entitlements.available_types);
+  const restoredRows = entitlements.history_days === null ? await restoreArchivedData(userId) : 0;
+
+  if (integrations.length > 0 || restoredRows > 0) {
+    await createUserAlert(
+      userId,
+      'plan_restored',
+      'Integraciones y Datos Restaurados',
+      `Hemos reactivado ${integrations.length} integraciones suspendidas${restoredRows > 0 ? ' y recuperado tu historial archivado' : ''}. No tienes que volver a conectarlas.`,
+      'success',
+      { integration_ids: integrations.map(integration => integration.id), restored_rows: restoredRows }
+    );
+    console.log(`♻️ Usuario ${userId}: ${integrations.length} integraciones reactivadas, ${restoredRows} filas restauradas`);
+  }
+
+  return { integrations, restored_rows: restoredRows };
+};
+
+// Función para avisar de los períodos de gracia que terminan pronto (una vez por período)
+const sendGraceWarnings = async () => {
+  const result = await query(
+    `UPDATE subscriptions SET grace_warning_sent_at = CURRENT_TIMESTAMP
+     WHERE status = ANY($1) AND grace_warning_sent_at IS NULL AND downgraded_at IS NULL
+       AND grace_period_ends_at > NOW()
+       AND grace_period_ends_at <= NOW() + make_interval(days => $2::int)
+     RETURNING id, user_id, stripe_subscription_id, grace_period_ends_at`,
+    [GRACE_STATUSES, getGraceSettings().warningDays]
+  );
+
+  for (const subscription of result.rows) {
+    await createUserAlert(
+      subscription.user_id,
+      'grace_period_ending',
+      'Tu Plan Termina Pronto',
+      `El ${formatDate(subscription.grace_period_ends_at)} pasarás al plan gratuito y se suspenderán las integraciones que no incluye. Reactiva tu suscripción para evitarlo.`,
+      'warning',
+      {
+        subscription_id: subscription.stripe_subscription_id,
+        grace_period_ends_at: new Date(subscription.grace_period_ends_at).toISOString()
+      }
+    );
+  }
+
+  return result.rows.length;
+};
+
+// Función para bajar al plan free a los owners cuyo período de gracia ha terminado
+const applyExpiredGracePeriods = async () => {
+  const { archiveNoticeDays } = getGraceSettings();
+
+  const result = await query(
+    `UPDATE subscriptions
+     SET downgraded_at = CURRENT_TIMESTAMP, data_archive_at = NOW() + make_interval(days => $2::int)
+     WHERE status = ANY($1) AND downgraded_at IS NULL AND grace_period_ends_at <= NOW()
+     RETURNING id, user_id, stripe_subscription_id, data_archive_at`,
+    [GRACE_STATUSES, archiveNoticeDays]
+  );
+
+  let downgraded = 0;
+  let suspended = 0;
+
+  for (const subscription of result.rows) {
+    // Puede tener otra suscripción vigente (p. ej. se suscribió de nuevo)
+    const entitlements = await getEntitlements(subscription.user_id);
+    if (entitlements.plan_type !== 'free') continue;
+
+    const integrations = await suspendIntegrations(subscription.user_id);
+
+    await query(
+      'UPDATE users SET subscription_status = $1 WHERE id = $2',
+      ['free', subscription.user_id]
+    );
+
+    await createUserAlert(
+      subscription.user_id,
+      'plan_downgraded',
+      'Has Pasado al Plan Gratuito',
+      `Tu período de gracia ha terminado. Hemos suspendido ${integrations.length} integraciones que el plan gratuito no incluye y el ${formatDate(subscription.data_archive_at)} archivaremos los datos de más de ${entitlements.history_days} días. Si te suscribes de nuevo, se restaurarán automáticamente.`,
+      'warning',
+      {
+        subscription_id: subscription.stripe_subscription_id,
+        suspended_integration_ids: integrations.map(integration => integration.id),
+        data_archive_at: new Date(subscription.data_archive_at).toISOString()
+      }
+    );
+
+    console.log(`⬇️ Usuario ${subscription.user_id} bajado al plan free (${integrations.length} integraciones suspendidas)`);
+    downgraded++;
+    suspended += integrations.length;
+  }
+
+  return { downgraded, suspended };
+};
+
+// Condición SQL de los usuarios (alias t) a los que se archivan datos: solo a
+// quien bajó de plan al terminar la gracia y ya recibió el aviso con la fecha
+// (data_archive_at vencido); los usuarios que siempre han sido free no se
+// tocan. Tampoco a quien tiene un plan vigente o en gracia.
+const ARCHIVABLE_USER_SQL = `
+  EXISTS (
+    SELECT 1 FROM subscriptions s
+    WHERE s.user_id = t.user_id AND s.downgraded_at IS NOT NULL AND s.data_archive_at <= NOW()
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM subscriptions s
+    WHERE s.user_id = t.user_id
+      AND (s.status = ANY($2)
+           OR (s.status = ANY($3) AND s.grace_period_ends_at > NOW())
+           OR s.data_archive_at > NOW())
+  )`;
+
+// Función para archivar el dashboard_data y las daily_metrics que quedan fuera
+// del historial del plan free (history_days), que es lo que esos usuarios
+// pueden consultar. Borrado e inserción van en la misma sentencia: si falla la
+// inserción no se pierde nada. Devuelve las filas archivadas de cada tabla.
+const archiveDashboardData = async () => {
+  const params = [getPlanEntitlements('free').history_days, ENTITLED_STATUSES, GRACE_STATUSES, ARCHIVE_BATCH_SIZE];
+
+  const dataResult = await query(
+    `WITH candidates AS (
+       SELECT t.id FROM dashboard_data t
+       WHERE COALESCE(t.period_end, t.created_at) < NOW() - make_interval(days => $1::int)
+         AND ${ARCHIVABLE_USER_SQL}
+       LIMIT $4
+     ), moved AS (
+       DELETE FROM dashboard_data d USING candidates c WHERE d.id = c.id
+       RETURNING d.id, d.user_id, d.integration_id, d.business_id, d.data_type, d.data_value,
+                 d.period_start, d.period_end, d.created_at
+     )
+     INSERT INTO dashboard_data_archive (id, user_id, integration_id, business_id, data_type, data_value, period_start, period_end, created_at)
+     SELECT id, user_id, integration_id, business_id, data_type, data_value, period_start, period_end, created_at
+     FROM moved`,
+    params
+  );
+
+  const metricsResult = await query(
+    `WITH candidates AS (
+       SELECT t.id FROM daily_metrics t
+       WHERE t.metric_date < (NOW() AT TIME ZONE 'UTC')::date - $1::int
+         AND ${ARCHIVABLE_USER_SQL}
+       LIMIT $4
+     ), moved AS (
+       DELETE FROM daily_metrics m USING candidates c WHERE m.id = c.id
+       RETURNING m.id, m.user_id, m.integration_id, m.integration_type, m.metric, m.metric_date,
+                 m.value, m.created_at, m.updated_at
+     )
+     INSERT INTO daily_metrics_archive (id, user_id, integration_id, integration_type, metric, metric_date, value, created_at, updated_at)
+     SELECT id, user_id, integration_id, integration_type, metric, metric_date, value, created_at, updated_at
+     FROM moved`,
+    params
+  );
+
+  return { dashboard_data: dataResult.rowCount, daily_metrics: metricsResult.rowCount };
+};
+
+module.exports = {
+  getGraceSettings,
+  startGracePeriod,
+  notifyGracePeriodStarted,
+  endGracePeriod,
+  sendGraceWarnings,
+  applyExpiredGracePeriods,
+  archiveDashboardData
+};
@@ -0,0 +1,73 @@
+const { query } = require('../database');
+const { replaceDailyMetrics, recordSyncPeriod } = require('./dailyMetrics');
+const { getSyncConnector } = require('./connectors');
+const { ensureFreshToken } = require('./integrationTokens');
+const { startSyncRun, completeSyncRun, failSyncRun } = require('./syncRuns');
+
+// Función para ejecutar el conector y guardar el resultado
+const runSync = async (userId, storedIntegration, periodStart, periodEnd) => {
+  const connector = getSyncConnector(storedIntegration.integration_type);
+
+  if (!connector) {
+    const error = new Error(`La sincronización de ${storedIntegration.integration_type} aún no está disponible`);
+    error.code = 'SYNC_UNAVAILABLE';
+    throw error;
+  }
+
+  // Renovar el token OAuth antes de llamar al proveedor
+  const integration = await ensureFreshToken(storedIntegration);
+  const result = await connector(integration, periodStart, periodEnd);
+
+  // Guardar datos sincronizados
+  await query(
+    `INSERT INTO dashboard_data (user_id, business_id, integration_id, data_type, data_value, period_start, period_end)
+     VALUES ($1, (SELECT business_id FROM integrations WHERE id = $2), $2, $3, $4, $5, $6)`,
+    [
+      userId,
+      integration.id,
+      `${integration.integration_type}_sync`,
+      JSON.stringify(result.data),
+      periodStart,
+      periodEnd
+    ]
+  );
+
+  // Actualizar la serie diaria de métricas
+  if (result.daily) {
+    await replaceDailyMetrics(userId, integration, periodStart, periodEnd, result.daily);
+  } else {
+    await recordSyncPeriod(userId, integration, result.data, periodStart, periodEnd);
+  }
+
+  return result;
+};
+
+// Función para sincronizar una integración en el período [periodStart, periodEnd).
+// Guarda el resumen en dashboard_data, actualiza la serie de daily_metrics y
+// registra el intento en sync_runs (éxito o error, registros y duración).
+// `storedIntegration` debe incluir id, user_id, integration_type, integration_name,
+// access_token, refresh_token, expires_at y additional_data.
+const syncIntegration = async (userId, storedIntegration, periodStart, periodEnd, { syncJobId = null } = {}) => {
+  const run = await startSyncRun(userId, storedIntegration.id, periodStart, periodEnd, syncJobId);
+  const startedAt = Date.now();
+  let result;
+
+  try {
+    result = await runSync(userId, storedIntegration, periodStart, periodEnd);
+  } catch (error) {
+    await failSyncRun(run.id, storedIntegration.id, error, Date.now() - startedAt)
+      .catch(recordError => console.error('Error registrando fallo de sincronización:', recordError.message));
+    throw error;
+  }
+
+  await completeSyncRun(run.id, storedIntegration.id, result.records, Date.now() - startedAt);
+
+  return {
+    data: result.data,
+    records_synced: result.records
+  };
+};
+
+module.exports = {
+  syncIntegration
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const { query } = require('../database');
+const { syncIntegration } = require('./sync');
+
+// Configuración del worker de sincronización
+const WORKER_CONCURRENCY = parseInt(process.env.SYNC_WORKER_CONCURRENCY) || 3;
+const POLL_INTERVAL_MS = parseInt(process.env.SYNC_WORKER_POLL_MS) || 5000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+
+// Mientras ejecuta un job, el worker renueva heartbeat_at cada HEARTBEAT_INTERVAL_MS.
+// Un job en running sin latido durante STALE_JOB_MINUTES se considera abandonado
+// (worker caído), por mucho que dure la sincronización.
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const STALE_JOB_MINUTES = 5;
+
+// Intentos de enqueueSync si el job en curso termina entre el INSERT y la lectura
+const ENQUEUE_ATTEMPTS = 3;
+
+// Errores que no se resuelven reintentando: requieren acción del usuario o un conector
+const PERMANENT_ERROR_CODES = ['NEEDS_REAUTH', 'PENDING_OAUTH', 'SYNC_UNAVAILABLE'];
+
+// Columnas de sync_jobs que se devuelven a la API
+const JOB_FIELDS = `id, integration_id, status, attempts, max_attempts, run_at, period_start, period_end,
+                    last_error, result, created_at, started_at, finished_at`;
+
+// Función para calcular la espera antes del siguiente intento (exponencial con jitter)
+const backoffSeconds = (attempts) => {
+  const exponential = Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+  return Math.round(exponential * (0.8 + Math.random() * 0.4));
+};
+
+// Función para encolar la sincronización de una integración.
+// Si ya hay un job pendiente o en curso para esa integración, se devuelve ese.
+// Si ese job termina justo entre el INSERT y la lectura, se vuelve a intentar.
+const enqueueSync = async (userId, integrationId, periodStart, periodEnd, maxAttempts = DEFAULT_MAX_ATTEMPTS) => {
+  for (let attempt = 0; attempt < ENQUEUE_ATTEMPTS; attempt++) {
+    const insertResult = await query(
+      `INSERT INTO sync_jobs (user_id, integration_id, period_start, period_end, max_attempts)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (integration_id) WHERE status IN ('queued', 'running') DO NOTHING
+       RETURNING ${JOB_FIELDS}`,
+      [userId, integrationId, periodStart, periodEnd, maxAttempts]
+    );
+
+    if (insertResult.rows.length > 0) {
+      return { job: insertResult.rows[0], created: true };
+    }
+
+    const existingResult = await query(
+      `SELECT ${JOB_FIELDS} FROM sync_jobs
+       WHERE integration_id = $1 AND status IN ('queued', 'running')`,
+      [integrationId]
+    );
+
+    if (existingResult.rows.length > 0) {
+      return { job: existingResult.rows[0], created: false };
+    }
+  }
+
+  throw new Error(`No se pudo encolar la sincronización de la integración ${integrationId}`);
+};
+
+// Función para obtener un job de sincronización de una integración del negocio
+const getSyncJob = async (businessId, jobId) => {
+  const result = await query(
+    `SELECT ${JOB_FIELDS} FROM sync_jobs
+     WHERE id = $1 AND integration_id IN (SELECT id FROM integrations WHERE business_id = $2)`,
+    [jobId, businessId]
+  );
+  return result.rows[0] || null;
+};
+
+// Función para listar los jobs recientes de las integraciones de un negocio
+const listSyncJobs = async (businessId, limit = 20) => {
+  const result = await query(
+    `SELECT ${JOB_FIELDS} FROM sync_jobs
+     WHERE integration_id IN (SELECT id FROM integrations WHERE business_id = $1)
+     ORDER BY created_at DESC LIMIT $2`,
+    [businessId, limit]
+  );
+  return result.rows;
+};
+
+// Función para reservar hasta `limit` jobs listos. SKIP LOCKED permite que
+// varios procesos worker compartan la cola sin tomar el mismo job.
+const claimJobs = async (workerId, limit) => {
+  const result = await query(
+    `UPDATE sync_jobs
+     SET status = 'running', locked_by = $1, started_at = CURRENT_TIMESTAMP,
+         heartbeat_at = CURRENT_TIMESTAMP, attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM sync_jobs
+       WHERE status = 'queued' AND run_at <= NOW()
+       ORDER BY run_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [workerId, limit]
+  );
+  return result.rows;
+};
+
+// Función para renovar el latido de un job mientras este worker lo tenga reservado
+const heartbeatJob = async (job) => {
+  await query(
+    `UPDATE sync_jobs SET heartbeat_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'running' AND locked_by = $2`,
+    [job.id, job.locked_by]
+  );
+};
+
+// Función para devolver a la cola los jobs de workers que murieron a mitad
+// (o darlos por fallidos si ya agotaron sus intentos)
+const requeueStaleJobs = async () => {
+  const result = await query(
+    `UPDATE sync_jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+         last_error = COALESCE(last_error, 'Worker interrumpido'),
+         finished_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP ELSE NULL END,
+         locked_by = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'running'
+       AND COALESCE(heartbeat_at, started_at) < NOW() - make_interval(mins => $1::int)`,
+    [STALE_JOB_MINUTES]
+  );
+
+  if (result.rowCount > 0) {
+    console.log(`♻️ ${result.rowCount} jobs de sincronización abandonados recuperados`);
+  }
+};
+
+// Función para ejecutar un job reservado y registrar su resultado. Los UPDATE
+// finales exigen que el job siga reservado por este worker: si se dio por
+// abandonado y otro lo tomó, el resultado de este ya no se guarda.
+const processJob = async (job) => {
+  const heartbeat = setInterval(() => {
+    heartbeatJob(job).catch(error => console.error(`Error renovando el latido del job ${job.id}:`, error.message));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    // Se busca solo por integración: si la organización cambió de owner desde
+    // que se encoló el job, los datos se guardan con el owner actual
+    const integrationResult = await query(
+      `SELECT id, user_id, business_id, integration_type, integration_name, access_token, refresh_token, expires_at, additional_data
+       FROM integrations WHERE id = $1 AND is_active = true`,
+      [job.integration_id]
+    );
+
+    if (integrationResult.rows.length === 0) {
+      await query(
+        `UPDATE sync_jobs SET status = 'failed', last_error = $1, finished_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND locked_by = $3`,
+        ['Integración no encontrada o inactiva', job.id, job.locked_by]
+      );
+      return;
+    }
+
+    const result = await syncIntegration(
+      integrationResult.rows[0].user_id,
+      integrationResult.rows[0],
+      new Date(job.period_start),
+      new Date(job.period_end),
+      { syncJobId: job.id }
+    );
+
+    await query(
+      `UPDATE sync_jobs SET status = 'succeeded', result = $1, last_error = NULL,
+              finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND locked_by = $3`,
+      [JSON.stringify({ records_synced: result.records_synced }), job.id, job.locked_by]
+    );
+
+  } catch (error) {
+    const permanent = PERMANENT_ERROR_CODES.includes(error.code);
+
+    if (!permanent && job.attempts < job.max_attempts) {
+      const delay = backoffSeconds(job.attempts);
+      console.log(`🔁 Job ${job.id} falló (intento ${job.attempts}/${job.max_attempts}), reintento en ${delay}s`);
+
+      await query(
+        `UPDATE sync_jobs SET status = 'queued', last_error = $1, locked_by = NULL,
+                run_at = NOW() + make_interval(secs => $2::int), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND locked_by = $4`,
+        [error.message, delay, job.id, job.locked_by]
+      );
+      return;
+    }
+
+    console.error(`❌ Job ${job.id} falló definitivamente:`, error.message);
+    await query(
+      `UPDATE sync_jobs SET status = 'failed', last_error = $1, finished_at = CURRENT_TIMESTAMP,
+              updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND locked_by = $3`,
+      [error.message, job.id, job.locked_by]
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Función para arrancar el worker que procesa la cola con concurrencia limitada
+const startSyncWorker = ({ concurrency = WORKER_CONCURRENCY, pollIntervalMs = POLL_INTERVAL_MS } = {}) => {
+  const workerId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  let active = 0;
+  let polling = false;
+  let stopped = false;
+
+  const poll = async () => {
+    if (polling || stopped || active >= concurrency) return;
+    polling = true;
+
+    try {
+      await requeueStaleJobs();
+      const jobs = await claimJobs(workerId, concurrency - active);
+
+      for (const job of jobs) {
+        active++;
+        processJob(job)
+          .catch(error => console.error(`Error procesando job ${job.id}:`, error.message))
+          .finally(() => {
+            active--;
+          });
+      }
+    } catch (error) {
+      console.error('Error consultando la cola de sincronización:', error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollIntervalMs);
+  console.log(`👷 Worker de sincronización ${workerId} iniciado (concurrencia ${concurrency})`);
+
+  return {
+    stop: () => {
+      stopped = true;
+      clearInterval(timer);
+    }
+  };
+};
+
+module.exports = {
+  enqueueSync,
+  getSyncJob,
+  listSyncJobs,
+  startSyncWorker
+};
@@ -0,0 +1,101 @@
+const { query } = require('../database');
+const { getSyncConnector } = require('./connectors');
+
+// A partir de este número de fallos seguidos la integración se considera caída
+const FAILING_THRESHOLD = 3;
+
+// Longitud máxima del mensaje de error guardado
+const MAX_ERROR_LENGTH = 1000;
+
+// Función para obtener un mensaje de error apto para guardar y mostrar al usuario
+const describeError = (error) => {
+  const providerMessage = error.response?.data?.error?.message || error.response?.data?.error_description;
+  const message = providerMessage ? `${error.message}: ${providerMessage}` : error.message;
+  return String(message || 'Error desconocido').slice(0, MAX_ERROR_LENGTH);
+};
+
+// Función para registrar el inicio de un intento de sincronización
+const startSyncRun = async (userId, integrationId, periodStart, periodEnd, syncJobId = null) => {
+  const result = await query(
+    `INSERT INTO sync_runs (user_id, integration_id, sync_job_id, period_start, period_end)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, started_at`,
+    [userId, integrationId, syncJobId, periodStart, periodEnd]
+  );
+  return result.rows[0];
+};
+
+// Función para cerrar un intento exitoso y reiniciar el contador de fallos
+const completeSyncRun = async (runId, integrationId, recordsFetched, durationMs) => {
+  await query(
+    `UPDATE sync_runs SET status = 'success', records_fetched = $1, duration_ms = $2,
+            finished_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [recordsFetched, durationMs, runId]
+  );
+
+  await query(
+    `UPDATE integrations SET last_synced_at = CURRENT_TIMESTAMP, last_error = NULL,
+            consecutive_failures = 0
+     WHERE id = $1`,
+    [integrationId]
+  );
+};
+
+// Función para cerrar un intento fallido y acumular el fallo en la integración
+const failSyncRun = async (runId, integrationId, error, durationMs) => {
+  const message = describeError(error);
+
+  await query(
+    `UPDATE sync_runs SET status = 'error', error_message = $1, error_code = $2, duration_ms = $3,
+            finished_at = CURRENT_TIMESTAMP
+     WHERE id = $4`,
+    [message, error.code ? String(error.code).slice(0, 50) : null, durationMs, runId]
+  );
+
+  await query(
+    `UPDATE integrations SET last_error = $1, last_error_at = CURRENT_TIMESTAMP,
+            consecutive_failures = consecutive_failures + 1
+     WHERE id = $2`,
+    [message, integrationId]
+  );
+};
+
+// Función para listar el historial de intentos de una integración
+const listSyncRuns = async (integrationId, limit = 20) => {
+  const result = await query(
+    `SELECT id, sync_job_id, status, period_start, period_end, records_fetched, duration_ms,
+            error_message, error_code, started_at, finished_at
+     FROM sync_runs
+     WHERE integration_id = $1
+     ORDER BY started_at DESC
+     LIMIT $2`,
+    [integrationId, limit]
+  );
+  return result.rows;
+};
+
+// Función para calcular el estado de salud de una fila de integrations
+// (necesita integration_type, is_active, additional_data, last_synced_at y consecutive_failures)
+const getIntegrationHealth = (integration) => {
+  const status = integration.additional_data?.status;
+
+  if (status === 'suspended') return 'suspended';
+  if (!integration.is_active) return 'inactive';
+  if (status === 'pending_oauth') return 'pending_oauth';
+  if (status === 'needs_reauth') return 'needs_reauth';
+  if (!getSyncConnector(integration.integration_type)) return 'sync_unavailable';
+  if (integration.consecutive_failures >= FAILING_THRESHOLD) return 'failing';
+  if (integration.consecutive_failures > 0) return 'degraded';
+  if (!integration.last_synced_at) return 'never_synced';
+  return 'healthy';
+};
+
+module.exports = {
+  FAILING_THRESHOLD,
+  startSyncRun,
+  completeSyncRun,
+  failSyncRun,
+  listSyncRuns,
+  getIntegrationHealth
+};
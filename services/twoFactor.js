@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../database');
+const { encryptSecret, decryptSecret, getCurrentKeyVersion } = require('./secrets');
+const { getJwtSecret } = require('../middleware/auth');
+
+// 2FA con TOTP (RFC 6238): SHA-1, 6 dígitos, pasos de 30 segundos.
+// El secreto se guarda cifrado igual que las credenciales de integraciones y
+// los códigos de recuperación solo como hash.
+
+const TOTP_ISSUER = 'BizlyticsApp';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+// El paso intermedio del login caduca a los 5 minutos
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_AUDIENCE = 'bizlyticsapp:2fa-challenge';
+
+// Tras MAX_FAILED_ATTEMPTS códigos erróneos se bloquea el segundo paso LOCKOUT_MINUTES
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Función para codificar en base32 (RFC 4648, sin relleno)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Función para decodificar base32 (ignora espacios y relleno)
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Secreto base32 no válido');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Función para calcular el código HOTP de un contador
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', secret).update(counterBuffer).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Función para generar un secreto TOTP nuevo (base32)
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Función para construir la URI otpauth:// que se muestra como QR en el frontend
+const buildOtpauthUri = (email, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Función para comprobar un código TOTP con una ventana de ±1 paso.
+// Devuelve el paso que coincide (para impedir reutilizarlo) o null.
+const verifyTotp = (secret, code, lastUsedStep = null, now = Date.now()) => {
+  if (!/^\d{6}$/.test(String(code || '').trim())) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentStep + drift;
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(hotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code).trim()))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Función para normalizar un código de recuperación antes de calcular su hash
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Función para calcular el hash de un código de recuperación
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Función para generar códigos de recuperación nuevos (sustituye a los anteriores).
+// Devuelve los códigos en claro: es la única vez que se pueden mostrar.
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await query(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::text[])`,
+    [userId, codes.map(hashRecoveryCode)]
+  );
+
+  return codes;
+};
+
+// Función para consumir un código de recuperación (un solo uso)
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await query(
+    `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashRecoveryCode(code)]
+  );
+  return result.rows.length > 0;
+};
+
+// Función para contar los códigos de recuperación que quedan sin usar
+const countRemainingRecoveryCodes = async (userId) => {
+  const result = await query(
+    'SELECT COUNT(*) FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+// Función para guardar un secreto pendiente de confirmar (sustituye a otro pendiente)
+const startEnrollment = async (userId) => {
+  const secret = generateTotpSecret();
+
+  await query(
+    `UPDATE users SET totp_secret = $1, totp_secret_key_version = $2, totp_enabled_at = NULL, totp_last_used_step = NULL
+     WHERE id = $3`,
+    [encryptSecret(secret), getCurrentKeyVersion(), userId]
+  );
+
+  return secret;
+};
+
+// Función para obtener el estado 2FA de un usuario con el secreto descifrado
+const getTwoFactorState = async (userId) => {
+  const result = await query(
+    `SELECT email, password_hash, totp_secret, totp_enabled_at, totp_last_used_step,
+            totp_failed_attempts, totp_last_failed_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const user = result.rows[0];
+  return {
+    ...user,
+    totp_secret: user.totp_secret ? decryptSecret(user.totp_secret) : null,
+    totp_last_used_step: user.totp_last_used_step === null ? null : parseInt(user.totp_last_used_step)
+  };
+};
+
+// Función para saber si el segundo paso está bloqueado por demasiados fallos
+const isLockedOut = (state) =>
+  state.totp_failed_attempts >= MAX_FAILED_ATTEMPTS &&
+  state.totp_last_failed_at &&
+  Date.now() - new Date(state.totp_last_failed_at).getTime() < LOCKOUT_MINUTES * 60 * 1000;
+
+// Función para registrar un código erróneo (el contador se reinicia tras el bloqueo)
+const recordFailedAttempt = async (userId) => {
+  await query(
+    `UPDATE users SET
+       totp_failed_attempts = CASE
+         WHEN totp_last_failed_at < NOW() - make_interval(mins => $2::int) THEN 1
+         ELSE totp_failed_attempts + 1
+       END,
+       totp_last_failed_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId, LOCKOUT_MINUTES]
+  );
+};
+
+// Función para registrar un código correcto y reiniciar los fallos
+const recordSuccessfulCode = async (userId, step = null) => {
+  await query(
+    `UPDATE users SET totp_failed_attempts = 0, totp_last_failed_at = NULL,
+            totp_last_used_step = COALESCE($2, totp_last_used_step)
+     WHERE id = $1`,
+    [userId, step]
+  );
+};
+
+// Función para verificar un código TOTP o de recuperación de un usuario con 2FA activo.
+// Devuelve { valid, method } o { valid: false, code } con LOCKED_OUT / INVALID_CODE.
+const verifySecondFactor = async (userId, { code, recovery_code }) => {
+  const state = await getTwoFactorState(userId);
+
+  if (!state || !state.totp_enabled_at) {
+    return { valid: false, code: 'TWO_FACTOR_NOT_ENABLED' };
+  }
+
+  if (isLockedOut(state)) {
+    return { valid: false, code: 'LOCKED_OUT' };
+  }
+
+  if (code) {
+    const step = verifyTotp(state.totp_secret, code, state.totp_last_used_step);
+    if (step !== null) {
+      await recordSuccessfulCode(userId, step);
+      return { valid: true, method: 'totp' };
+    }
+  } else if (recovery_code && await consumeRecoveryCode(userId, recovery_code)) {
+    await recordSuccessfulCode(userId);
+    return { valid: true, method: 'recovery_code' };
+  }
+
+  await recordFailedAttempt(userId);
+  return { valid: false, code: 'INVALID_CODE' };
+};
+
+// Función para desactivar 2FA y borrar los códigos de recuperación
+const disableTwoFactor = async (userId) => {
+  await query(
+    `UPDATE users SET totp_secret = NULL, totp_secret_key_version = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL,
+            totp_failed_attempts = 0, totp_last_failed_at = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+// Función para firmar el token del paso intermedio del login (contraseña ya verificada)
+const signChallenge = (userId) => jwt.sign(
+  { userId },
+  getJwtSecret(),
+  { expiresIn: CHALLENGE_TTL, audience: CHALLENGE_AUDIENCE }
+);
+
+// Función para verificar el token del paso intermedio (lanza error si no es válido)
+const verifyChallenge = (challengeToken) => jwt.verify(challengeToken, getJwtSecret(), { audience: CHALLENGE_AUDIENCE });
+
+module.exports = {
+  LOCKOUT_MINUTES,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  countRemainingRecoveryCodes,
+  startEnrollment,
+  getTwoFactorState,
+  recordSuccessfulCode,
+  verifySecondFactor,
+  disableTwoFactor,
+  signChallenge,
+  verifyChallenge
+};
@@ -0,0 +1,166 @@
+const { query } = require('../database');
+const { handleStripeEvent } = require('./stripeEvents');
+
+// Registro de los eventos de Stripe recibidos (webhook_events). Cada evento se
+// guarda una sola vez por su id, de modo que las reentregas de Stripe no se
+// procesan dos veces, y los que fallan se reintentan con backoff exponencial.
+
+// Estados: received, processing, processed, skipped (no aplicado) y failed
+const WEBHOOK_EVENT_STATUSES = ['received', 'processing', 'processed', 'skipped', 'failed'];
+
+const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_SECONDS = 60;
+const BACKOFF_MAX_SECONDS = 6 * 60 * 60;
+
+// Un evento en processing más tiempo que esto se considera abandonado
+const STALE_PROCESSING_MINUTES = 10;
+
+// Máximo de eventos reintentados en una ejecución del job
+const RETRY_BATCH_SIZE = 50;
+
+// Columnas de webhook_events que se devuelven a la API (sin el payload)
+const EVENT_FIELDS = `id, stripe_event_id, event_type, object_id, livemode, status, attempts, last_error,
+                      skip_reason, event_created_at, received_at, processed_at, next_retry_at`;
+
+// Función para calcular la espera antes del siguiente intento
+const backoffSeconds = (attempts) => Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+
+// Función para guardar un evento recibido. Si ya estaba registrado se devuelve
+// el existente. Devuelve { event, created }.
+const recordWebhookEvent = async (stripeEvent) => {
+  const insertResult = await query(
+    `INSERT INTO webhook_events (stripe_event_id, event_type, object_id, livemode, event_created_at, payload)
+     VALUES ($1, $2, $3, $4, to_timestamp($5), $6)
+     ON CONFLICT (stripe_event_id) DO NOTHING
+     RETURNING ${EVENT_FIELDS}`,
+    [
+      stripeEvent.id,
+      stripeEvent.type,
+      stripeEvent.data?.object?.id || null,
+      !!stripeEvent.livemode,
+      stripeEvent.created,
+      JSON.stringify(stripeEvent)
+    ]
+  );
+
+  if (insertResult.rows.length > 0) {
+    return { event: insertResult.rows[0], created: true };
+  }
+
+  const existingResult = await query(
+    `SELECT ${EVENT_FIELDS} FROM webhook_events WHERE stripe_event_id = $1`,
+    [stripeEvent.id]
+  );
+
+  return { event: existingResult.rows[0], created: false };
+};
+
+// Función para reservar un evento pendiente, fallido o abandonado antes de
+// procesarlo. Devuelve la fila con el payload o null si otro proceso lo tiene
+// o ya se procesó.
+const claimWebhookEvent = async (eventId) => {
+  const result = await query(
+    `UPDATE webhook_events
+     SET status = 'processing', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP,
+         next_retry_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+       AND (status IN ('received', 'failed')
+            OR (status = 'processing' AND started_at < NOW() - make_interval(mins => $2::int)))
+     RETURNING id, stripe_event_id, event_type, attempts, payload`,
+    [eventId, STALE_PROCESSING_MINUTES]
+  );
+  return result.rows[0] || null;
+};
+
+// Función para procesar un evento registrado y guardar el resultado.
+// Devuelve el evento actualizado o null si no se pudo reservar.
+const processWebhookEvent = async (eventId) => {
+  const event = await claimWebhookEvent(eventId);
+  if (!event) return null;
+
+  try {
+    const outcome = await handleStripeEvent(event.payload);
+    const skipReason = outcome?.skipped || null;
+
+    const result = await query(
+      `UPDATE webhook_events
+       SET status = $1, skip_reason = $2, last_error = NULL, processed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING ${EVENT_FIELDS}`,
+      [skipReason ? 'skipped' : 'processed', skipReason, event.id]
+    );
+    return result.rows[0];
+
+  } catch (error) {
+    const retry = event.attempts < MAX_ATTEMPTS;
+    console.error(`❌ Error procesando evento ${event.stripe_event_id} (${event.event_type}, intento ${event.attempts}/${MAX_ATTEMPTS}):`, error.message);
+
+    const result = await query(
+      `UPDATE webhook_events
+       SET status = 'failed', last_error = $1, updated_at = CURRENT_TIMESTAMP,
+           next_retry_at = CASE WHEN $2::boolean THEN NOW() + make_interval(secs => $3::int) ELSE NULL END
+       WHERE id = $4
+       RETURNING ${EVENT_FIELDS}`,
+      [error.message, retry, backoffSeconds(event.attempts), event.id]
+    );
+    return result.rows[0];
+  }
+};
+
+// Función para reintentar los eventos fallidos cuyo reintento ya toca y los
+// abandonados a mitad o sin llegar a procesarse (el webhook ya confirmó a
+// Stripe, que no los reenviará). Se procesan por orden de creación en Stripe.
+const retryFailedWebhookEvents = async () => {
+  const result = await query(
+    `SELECT id FROM webhook_events
+     WHERE (status = 'failed' AND next_retry_at <= NOW())
+        OR (status = 'processing' AND started_at < NOW() - make_interval(mins => $1::int))
+        OR (status = 'received' AND received_at < NOW() - make_interval(mins => $1::int))
+     ORDER BY event_created_at
+     LIMIT $2`,
+    [STALE_PROCESSING_MINUTES, RETRY_BATCH_SIZE]
+  );
+
+  let processed = 0;
+  let failed = 0;
+
+  for (const { id } of result.rows) {
+    const event = await processWebhookEvent(id);
+    if (!event) continue;
+    if (event.status === 'failed') failed++;
+    else processed++;
+  }
+
+  return { retried: result.rows.length, processed, failed };
+};
+
+// Función para listar los eventos recientes, opcionalmente por estado o tipo
+const listWebhookEvents = async ({ limit = 20, status = null, eventType = null } = {}) => {
+  const result = await query(
+    `SELECT ${EVENT_FIELDS} FROM webhook_events
+     WHERE ($2::text IS NULL OR status = $2) AND ($3::text IS NULL OR event_type = $3)
+     ORDER BY received_at DESC
+     LIMIT $1`,
+    [limit, status, eventType]
+  );
+  return result.rows;
+};
+
+// Función para obtener un evento con su payload
+const getWebhookEvent = async (eventId) => {
+  const result = await query(
+    `SELECT ${EVENT_FIELDS}, payload FROM webhook_events WHERE id = $1`,
+    [eventId]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  WEBHOOK_EVENT_STATUSES,
+  recordWebhookEvent,
+  processWebhookEvent,
+  retryFailedWebhookEvents,
+  listWebhookEvents,
+  getWebhookEvent
+};
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+
+// Callback OAuth de las integraciones de Google contra un endpoint de tokens
+// local y una base de datos en memoria (sin red ni Postgres)
+
+let tokenServer;
+let appServer;
+let baseUrl;
+let buildAuthorizeUrl;
+let decryptSecret;
+
+// Peticiones recibidas por el endpoint de tokens
+let tokenRequests = [];
+
+// Fila de integrations pendiente de autorización (owner 7 de su organización)
+let integration;
+
+// Base de datos en memoria: solo las consultas que hace el callback
+const fakeDatabase = {
+  query: async (text, params) => {
+    if (text.includes('SELECT i.id FROM integrations i')) {
+      const [integrationId, userId, integrationType] = params;
+      const found = integrationId === integration.id && userId === 7 && integrationType === integration.integration_type;
+      return { rows: found ? [{ id: integration.id }] : [] };
+    }
+
+    if (text.includes('UPDATE integrations') && text.includes('SET access_token = $1')) {
+      integration.access_token = params[0];
+      integration.refresh_token = params[1] ?? integration.refresh_token;
+      integration.expires_at = params[2];
+      integration.is_active = true;
+      integration.additional_data = { ...integration.additional_data, ...JSON.parse(params[4]) };
+      return { rows: [], rowCount: 1 };
+    }
+
+    throw new Error(`Consulta no esperada en el test: ${text}`);
+  },
+  withTransaction: async (fn) => fn(fakeDatabase)
+};
+
+// Función para llamar al callback con el state y, opcionalmente, la cookie de ligadura
+const callCallback = (params, cookie) => new Promise((resolve, reject) => {
+  const url = `${baseUrl}/api/integrations/google/callback?${new URLSearchParams(params).toString()}`;
+  http.get(url, { headers: cookie ? { Cookie: cookie } : {} }, (res) => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, location: res.headers.location, body }));
+  }).on('error', reject);
+});
+
+test.before(async () => {
+  tokenServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const form = new URLSearchParams(body);
+      tokenRequests.push(form);
+
+      if (form.get('code') !== 'codigo-valido') {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'invalid_grant' }));
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        access_token: 'ya29.access',
+        refresh_token: '1//refresh',
+        expires_in: 3599,
+        scope: 'https://www.googleapis.com/auth/analytics.readonly'
+      }));
+    });
+  });
+  await new Promise(resolve => tokenServer.listen(0, '127.0.0.1', resolve));
+
+  process.env.GOOGLE_TOKEN_URL = `http://127.0.0.1:${tokenServer.address().port}/token`;
+  process.env.GOOGLE_CLIENT_ID = 'test-client-id.apps.googleusercontent.com';
+  process.env.GOOGLE_CLIENT_SECRET = 'test-client-secret';
+  process.env.FRONTEND_URL = 'http://frontend.test';
+
+  const databasePath = path.resolve(__dirname, '../database.js');
+  require.cache[databasePath] = { id: databasePath, filename: databasePath, loaded: true, exports: fakeDatabase };
+
+  const express = require('express');
+  const app = express();
+  app.use('/api/integrations', require('../routes/integrations'));
+
+  appServer = http.createServer(app);
+  await new Promise(resolve => appServer.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${appServer.address().port}`;
+
+  ({ buildAuthorizeUrl } = require('../services/googleOAuth'));
+  ({ decryptSecret } = require('../services/secrets'));
+});
+
+test.beforeEach(() => {
+  tokenRequests = [];
+  integration = {
+    id: 5,
+    integration_type: 'google_analytics',
+    access_token: null,
+    refresh_token: null,
+    is_active: true,
+    additional_data: { property_id: 'properties/123', status: 'pending_oauth' }
+  };
+});
+
+test.after(async () => {
+  await new Promise(resolve => appServer.close(resolve));
+  await new Promise(resolve => tokenServer.close(resolve));
+});
+
+test('canjea el código y pasa la integración de pending_oauth a connected', async () => {
+  const { url, binding } = buildAuthorizeUrl(7, 5, 'google_analytics');
+  const state = new URL(url).searchParams.get('state');
+
+  const response = await callCallback({ code: 'codigo-valido', state }, `bz_google_integration=${binding}`);
+
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.location, 'http://frontend.test/integrations?type=google_analytics&status=connected&integration_id=5');
+
+  assert.strictEqual(tokenRequests.length, 1);
+  assert.strictEqual(tokenRequests[0].get('grant_type'), 'authorization_code');
+  assert.strictEqual(tokenRequests[0].get('code'), 'codigo-valido');
+  assert.strictEqual(tokenRequests[0].get('client_secret'), 'test-client-secret');
+
+  assert.strictEqual(integration.additional_data.status, 'connected');
+  assert.strictEqual(integration.additional_data.property_id, 'properties/123');
+  assert.notStrictEqual(integration.access_token, 'ya29.access');
+  assert.strictEqual(decryptSecret(integration.access_token), 'ya29.access');
+  assert.strictEqual(decryptSecret(integration.refresh_token), '1//refresh');
+  assert.ok(integration.expires_at > new Date());
+});
+
+test('un código rechazado por Google deja la integración pendiente', async () => {
+  const { url, binding } = buildAuthorizeUrl(7, 5, 'google_analytics');
+  const state = new URL(url).searchParams.get('state');
+
+  const response = await callCallback({ code: 'codigo-caducado', state }, `bz_google_integration=${binding}`);
+
+  assert.strictEqual(response.status, 302);
+  assert.match(response.location, /status=oauth_failed/);
+  assert.strictEqual(integration.additional_data.status, 'pending_oauth');
+  assert.strictEqual(integration.access_token, null);
+});
+
+test('rechaza el state sin la cookie del navegador que creó la integración', async () => {
+  const { url } = buildAuthorizeUrl(7, 5, 'google_analytics');
+  const state = new URL(url).searchParams.get('state');
+  const otherBinding = buildAuthorizeUrl(7, 5, 'google_analytics').binding;
+
+  assert.strictEqual((await callCallback({ code: 'codigo-valido', state })).status, 400);
+  assert.strictEqual((await callCallback({ code: 'codigo-valido', state }, `bz_google_integration=${otherBinding}`)).status, 400);
+  assert.strictEqual(tokenRequests.length, 0);
+  assert.strictEqual(integration.additional_data.status, 'pending_oauth');
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Verificación del login con Google contra un JWKS local (sin red)
+
+const CLIENT_ID = 'test-client-id.apps.googleusercontent.com';
+const ISSUER = 'https://accounts.google.com';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'test-key-1';
+
+let server;
+let verifyGoogleIdToken;
+let buildLoginAuthorizeUrl;
+let verifyLoginState;
+
+// Función para firmar un ID token como lo haría Google
+const signIdToken = (claims = {}, { kid = KID, key = privateKey } = {}) => jwt.sign(
+  { sub: '1234567890', email: 'Ana@Example.com', email_verified: true, name: 'Ana', nonce: 'n-1', ...claims },
+  key,
+  { algorithm: 'RS256', keyid: kid, audience: CLIENT_ID, issuer: ISSUER, expiresIn: '5m' }
+);
+
+test.before(async () => {
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' };
+
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=60' });
+    res.end(JSON.stringify({ keys: [jwk] }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.GOOGLE_JWKS_URL = `http://127.0.0.1:${server.address().port}/certs`;
+  process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+  process.env.GOOGLE_OIDC_ISSUERS = ISSUER;
+
+  ({ verifyGoogleIdToken } = require('../services/googleIdToken'));
+  ({ buildLoginAuthorizeUrl, verifyLoginState } = require('../services/googleOAuth'));
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('acepta un ID token firmado por una clave del JWKS', async () => {
+  const profile = await verifyGoogleIdToken(signIdToken(), { nonce: 'n-1' });
+
+  assert.deepStrictEqual(profile, {
+    subject: '1234567890',
+    email: 'ana@example.com',
+    email_verified: true,
+    name: 'Ana'
+  });
+});
+
+test('rechaza un nonce distinto del del state', async () => {
+  await assert.rejects(verifyGoogleIdToken(signIdToken(), { nonce: 'otro' }), { code: 'INVALID_ID_TOKEN' });
+});
+
+test('rechaza otra audiencia', async () => {
+  const token = jwt.sign({ sub: '1', nonce: 'n-1' }, privateKey,
+    { algorithm: 'RS256', keyid: KID, audience: 'otro-cliente', issuer: ISSUER, expiresIn: '5m' });
+
+  await assert.rejects(verifyGoogleIdToken(token, { nonce: 'n-1' }), { code: 'INVALID_ID_TOKEN' });
+});
+
+test('rechaza una firma de una clave que no está en el JWKS', async () => {
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  await assert.rejects(verifyGoogleIdToken(signIdToken({}, { key: otherKey }), { nonce: 'n-1' }), { code: 'INVALID_ID_TOKEN' });
+  await assert.rejects(verifyGoogleIdToken(signIdToken({}, { kid: 'desconocida' }), { nonce: 'n-1' }), { code: 'INVALID_ID_TOKEN' });
+});
+
+test('el state solo vale con la cookie del navegador que inició el flujo', () => {
+  const { url, binding } = buildLoginAuthorizeUrl({ mode: 'link', userId: 7 });
+  const state = new URL(url).searchParams.get('state');
+
+  assert.strictEqual(verifyLoginState(state, binding).userId, 7);
+  assert.throws(() => verifyLoginState(state, null));
+  assert.throws(() => verifyLoginState(state, buildLoginAuthorizeUrl({ mode: 'login' }).binding));
+});
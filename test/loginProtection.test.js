@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Esperas y bloqueos por intentos fallidos de login, con auth_failures en memoria
+
+// Filas de auth_failures por `${scope}:${identifier}`
+let failures;
+// Consultas de usuario hechas para avisar del bloqueo
+let lockNotifications;
+
+const secondsUntil = (date) => (date ? Math.ceil((date.getTime() - Date.now()) / 1000) : null);
+
+const databasePath = path.resolve(__dirname, '../database.js');
+require.cache[databasePath] = {
+  id: databasePath,
+  filename: databasePath,
+  loaded: true,
+  exports: {
+    query: async (text, params) => {
+      const now = new Date();
+
+      if (text.includes('SELECT scope') && text.includes('FROM auth_failures')) {
+        const rows = [['account', params[0]], ['ip', params[1]]]
+          .map(([scope, identifier]) => failures.get(`${scope}:${identifier}`) && { scope, ...failures.get(`${scope}:${identifier}`) })
+          .filter(Boolean)
+          .map(row => ({ scope: row.scope, locked_for: secondsUntil(row.locked_until), wait_for: secondsUntil(row.next_attempt_at) }));
+        return { rows };
+      }
+
+      if (text.includes('INSERT INTO auth_failures')) {
+        const key = `${params[0]}:${params[1]}`;
+        const row = failures.get(key) || { failures: 0, locked_until: null, next_attempt_at: null };
+        const forgotten = row.last_failure_at && row.last_failure_at < new Date(now - params[2] * 60 * 1000);
+        row.failures = forgotten ? 1 : row.failures + 1;
+        row.last_failure_at = now;
+        failures.set(key, row);
+        return { rows: [{ failures: row.failures, already_locked: !!row.locked_until && row.locked_until > now }] };
+      }
+
+      if (text.includes('UPDATE auth_failures SET')) {
+        const row = failures.get(`${params[0]}:${params[1]}`);
+        row.next_attempt_at = new Date(now.getTime() + params[2] * 1000);
+        if (params[3]) row.locked_until = new Date(now.getTime() + params[4] * 60 * 1000);
+        return { rows: [], rowCount: 1 };
+      }
+
+      if (text.includes('DELETE FROM auth_failures')) {
+        failures.delete(`account:${params[0]}`);
+        return { rows: [], rowCount: 1 };
+      }
+
+      if (text.includes('SELECT id, email, name FROM users')) {
+        lockNotifications.push(params[0]);
+        return { rows: [] };
+      }
+
+      throw new Error(`Consulta no esperada en el test: ${text}`);
+    },
+    withTransaction: async () => { throw new Error('No se esperaba ninguna transacción'); }
+  }
+};
+
+const {
+  LOCKOUT_MINUTES,
+  delaySecondsFor,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../services/loginProtection');
+
+// Función para registrar `count` fallos seguidos de una cuenta desde una IP
+const failTimes = async (count, email = 'ana@example.com', ip = '203.0.113.7') => {
+  for (let attempt = 0; attempt < count; attempt++) {
+    await recordLoginFailure(email, ip);
+  }
+};
+
+test.before(() => {
+  // Los avisos de bloqueo no aportan nada aquí
+  test.mock.method(console, 'warn', () => {});
+});
+
+test.beforeEach(() => {
+  failures = new Map();
+  lockNotifications = [];
+});
+
+test('la espera por cuenta empieza en el tercer fallo, se dobla y se limita a 60 s', () => {
+  assert.deepStrictEqual(
+    Array.from({ length: 11 }, (_, count) => delaySecondsFor('account', count)),
+    [0, 0, 0, 1, 2, 4, 8, 16, 32, 60, 60]
+  );
+});
+
+test('la IP tolera más fallos antes de esperar', () => {
+  assert.strictEqual(delaySecondsFor('ip', 9), 0);
+  assert.strictEqual(delaySecondsFor('ip', 10), 1);
+  assert.strictEqual(delaySecondsFor('ip', 16), 60);
+});
+
+test('dos fallos no obligan a esperar; el tercero sí', async () => {
+  await failTimes(2);
+  assert.deepStrictEqual(await checkLoginAllowed('ana@example.com', '203.0.113.7'), { allowed: true });
+
+  await failTimes(1);
+  assert.deepStrictEqual(
+    await checkLoginAllowed('Ana@Example.com', '203.0.113.7'),
+    { allowed: false, code: 'TOO_MANY_ATTEMPTS', retry_after: 1 }
+  );
+});
+
+test('el décimo fallo bloquea la cuenta y avisa una sola vez', async () => {
+  await failTimes(9);
+  const waiting = await checkLoginAllowed('ana@example.com', '198.51.100.1');
+  assert.strictEqual(waiting.code, 'TOO_MANY_ATTEMPTS');
+  assert.strictEqual(lockNotifications.length, 0);
+
+  await failTimes(2);
+  const locked = await checkLoginAllowed('ana@example.com', '198.51.100.1');
+  assert.strictEqual(locked.code, 'ACCOUNT_LOCKED');
+  assert.ok(locked.retry_after > LOCKOUT_MINUTES * 60 - 5 && locked.retry_after <= LOCKOUT_MINUTES * 60);
+  assert.deepStrictEqual(lockNotifications, ['ana@example.com']);
+});
+
+test('el bloqueo por IP afecta a cualquier cuenta desde esa IP', async () => {
+  for (let account = 0; account < 50; account++) {
+    await recordLoginFailure(`usuario${account}@example.com`, '203.0.113.9');
+  }
+
+  assert.strictEqual((await checkLoginAllowed('nueva@example.com', '203.0.113.9')).code, 'IP_LOCKED');
+  assert.deepStrictEqual(await checkLoginAllowed('nueva@example.com', '203.0.113.10'), { allowed: true });
+});
+
+test('un login correcto olvida los fallos de la cuenta pero no los de la IP', async () => {
+  await failTimes(3);
+  await recordLoginSuccess('Ana@Example.com');
+
+  assert.strictEqual(failures.has('account:ana@example.com'), false);
+  assert.strictEqual(failures.get('ip:203.0.113.7').failures, 3);
+});
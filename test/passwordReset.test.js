@@ -0,0 +1,277 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+
+// Reset de contraseña de extremo a extremo: el email llega a un servidor SMTP
+// local y la base de datos es un almacén en memoria (sin red ni Postgres)
+
+let smtpServer;
+let appServer;
+let baseUrl;
+let requireAuth;
+let createSession;
+let verifyPassword;
+let hashPassword;
+
+// Emails recibidos por el SMTP local y quien espera el siguiente
+let inbox = [];
+let waitingForMail = [];
+
+// Tablas en memoria
+let users;
+let resetTokens;
+let sessions;
+let nextSessionId;
+
+// Base de datos en memoria: solo las consultas del flujo de reset y de sesiones
+const fakeDatabase = {
+  query: async (text, params) => {
+    const now = new Date();
+
+    if (text.includes('INSERT INTO rate_limits')) {
+      return { rows: [{ hits: 1, reset_in: 60 }] };
+    }
+
+    if (text.includes('SELECT id, email, name FROM users WHERE email = $1')) {
+      return { rows: users.filter(user => user.email === params[0]) };
+    }
+
+    if (text.includes('UPDATE password_reset_tokens SET used_at') && text.includes('WHERE user_id = $1')) {
+      const pending = resetTokens.filter(token => token.user_id === params[0] && !token.used_at);
+      pending.forEach(token => { token.used_at = now; });
+      return { rows: [], rowCount: pending.length };
+    }
+
+    if (text.includes('INSERT INTO password_reset_tokens')) {
+      resetTokens.push({ user_id: params[0], token_hash: params[1], expires_at: params[2], used_at: null });
+      return { rows: [], rowCount: 1 };
+    }
+
+    const isValidToken = (token) => token.token_hash === params[0] && !token.used_at && token.expires_at > now;
+
+    if (text.includes('FROM password_reset_tokens prt')) {
+      const token = resetTokens.find(isValidToken);
+      return { rows: token ? [users.find(user => user.id === token.user_id)] : [] };
+    }
+
+    if (text.includes('UPDATE password_reset_tokens SET used_at') && text.includes('RETURNING user_id')) {
+      const token = resetTokens.find(isValidToken);
+      if (!token) return { rows: [], rowCount: 0 };
+      token.used_at = now;
+      return { rows: [{ user_id: token.user_id }], rowCount: 1 };
+    }
+
+    if (text.includes('UPDATE users SET password_hash = $1')) {
+      const user = users.find(row => row.id === params[1]);
+      user.password_hash = params[0];
+      return { rows: [user], rowCount: 1 };
+    }
+
+    if (text.includes('INSERT INTO sessions')) {
+      const session = { id: nextSessionId++, user_id: params[0], expires_at: params[3] };
+      sessions.push(session);
+      return { rows: [{ id: session.id }], rowCount: 1 };
+    }
+
+    if (text.includes('SELECT id, expires_at FROM sessions')) {
+      return { rows: sessions.filter(session => session.id === params[0] && session.user_id === params[1]) };
+    }
+
+    if (text.includes('DELETE FROM sessions WHERE user_id = $1')) {
+      const before = sessions.length;
+      sessions = sessions.filter(session => session.user_id !== params[0] || session.id === params[1]);
+      return { rows: [], rowCount: before - sessions.length };
+    }
+
+    if (text.includes('UPDATE sessions SET last_used_at')) {
+      return { rows: [], rowCount: 0 };
+    }
+
+    throw new Error(`Consulta no esperada en el test: ${text}`);
+  },
+  withTransaction: async (fn) => fn(fakeDatabase)
+};
+
+// Función para esperar el siguiente email que llegue al SMTP local
+const nextMail = () => {
+  if (inbox.length > 0) return Promise.resolve(inbox.shift());
+  return new Promise(resolve => waitingForMail.push(resolve));
+};
+
+// Función para sacar el token del enlace de un email (el cuerpo va en quoted-printable)
+const extractResetToken = (mail) => {
+  const body = mail.replace(/=\r\n/g, '').replace(/=3D/g, '=');
+  return /reset-password\?token=([A-Za-z0-9_-]+)/.exec(body)[1];
+};
+
+// Función para hacer una petición JSON a la API
+const post = async (pathname, body) => {
+  const response = await fetch(`${baseUrl}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Función para pasar un access token por requireAuth y devolver el estado HTTP
+const authStatus = (token) => new Promise((resolve) => {
+  const req = { headers: { authorization: `Bearer ${token}` }, get: () => null };
+  const res = { status: (code) => ({ json: () => resolve(code) }) };
+  requireAuth(req, res, () => resolve(200));
+});
+
+// Función para pedir un enlace de reset y devolver el token recibido por email
+const requestResetToken = async (email) => {
+  const mail = nextMail();
+  const response = await post('/api/auth/forgot-password', { email });
+  assert.strictEqual(response.status, 200);
+  return extractResetToken(await mail);
+};
+
+test.before(async () => {
+  // Los logs de envío de emails y de cambio de contraseña no aportan nada aquí
+  test.mock.method(console, 'log', () => {});
+
+  // Servidor SMTP mínimo: acepta cualquier remitente y guarda el DATA de cada email
+  smtpServer = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          const mail = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write('250 OK\r\n');
+          const waiting = waitingForMail.shift();
+          if (waiting) waiting(mail); else inbox.push(mail);
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const command = buffer.slice(0, lineEnd).toUpperCase();
+        buffer = buffer.slice(lineEnd + 2);
+
+        if (command.startsWith('EHLO')) {
+          socket.write('250-localhost\r\n250 8BITMIME\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 Fin con <CRLF>.<CRLF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Adiós\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtpServer.address().port);
+  process.env.FRONTEND_URL = 'http://frontend.test';
+  process.env.BCRYPT_COST = '4';
+
+  const databasePath = path.resolve(__dirname, '../database.js');
+  require.cache[databasePath] = { id: databasePath, filename: databasePath, loaded: true, exports: fakeDatabase };
+
+  const express = require('express');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+
+  appServer = http.createServer(app);
+  await new Promise(resolve => appServer.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${appServer.address().port}`;
+
+  ({ requireAuth, createSession } = require('../middleware/auth'));
+  ({ verifyPassword, hashPassword } = require('../services/passwordPolicy'));
+});
+
+test.beforeEach(async () => {
+  inbox = [];
+  waitingForMail = [];
+  users = [
+    { id: 1, email: 'ana@example.com', name: 'Ana', company_name: null, password_hash: await hashPassword('Antigua-Clave-2025') },
+    { id: 2, email: 'luis@example.com', name: 'Luis', company_name: null, password_hash: null }
+  ];
+  resetTokens = [];
+  sessions = [];
+  nextSessionId = 1;
+});
+
+test.after(async () => {
+  await new Promise(resolve => appServer.close(resolve));
+  await new Promise(resolve => smtpServer.close(resolve));
+});
+
+test('el enlace del email cambia la contraseña una sola vez y cierra las sesiones', async () => {
+  const { token: anaToken } = await createSession(1);
+  const { token: luisToken } = await createSession(2);
+  assert.strictEqual(await authStatus(anaToken), 200);
+
+  const resetToken = await requestResetToken('Ana@Example.com');
+  const changedMail = nextMail();
+
+  const first = await post('/api/auth/reset-password', { token: resetToken, newPassword: 'Nueva-Clave-Segura-2026' });
+  assert.strictEqual(first.status, 200);
+  assert.ok(await verifyPassword('Nueva-Clave-Segura-2026', users[0].password_hash));
+  assert.match(await changedMail, /^To: ana@example\.com$/m);
+
+  // Las sesiones de Ana se cierran; las de otros usuarios no
+  assert.strictEqual(await authStatus(anaToken), 401);
+  assert.strictEqual(await authStatus(luisToken), 200);
+
+  const second = await post('/api/auth/reset-password', { token: resetToken, newPassword: 'Otra-Clave-Distinta-2026' });
+  assert.strictEqual(second.status, 400);
+  assert.strictEqual(second.body.code, 'INVALID_RESET_TOKEN');
+  assert.ok(await verifyPassword('Nueva-Clave-Segura-2026', users[0].password_hash));
+});
+
+test('un enlace caducado no cambia la contraseña', async () => {
+  const resetToken = await requestResetToken('ana@example.com');
+  resetTokens[0].expires_at = new Date(Date.now() - 1000);
+
+  const response = await post('/api/auth/reset-password', { token: resetToken, newPassword: 'Nueva-Clave-Segura-2026' });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.code, 'INVALID_RESET_TOKEN');
+  assert.ok(await verifyPassword('Antigua-Clave-2025', users[0].password_hash));
+  assert.strictEqual(resetTokens[0].used_at, null);
+});
+
+test('pedir un enlace nuevo invalida el anterior', async () => {
+  const oldToken = await requestResetToken('ana@example.com');
+  const newToken = await requestResetToken('ana@example.com');
+
+  const old = await post('/api/auth/reset-password', { token: oldToken, newPassword: 'Nueva-Clave-Segura-2026' });
+  assert.strictEqual(old.status, 400);
+
+  const changedMail = nextMail();
+  const current = await post('/api/auth/reset-password', { token: newToken, newPassword: 'Nueva-Clave-Segura-2026' });
+  assert.strictEqual(current.status, 200);
+  await changedMail;
+});
+
+test('una contraseña rechazada por la política no gasta el enlace', async () => {
+  const resetToken = await requestResetToken('ana@example.com');
+
+  const weak = await post('/api/auth/reset-password', { token: resetToken, newPassword: 'corta' });
+  assert.strictEqual(weak.status, 400);
+  assert.strictEqual(resetTokens[0].used_at, null);
+
+  const changedMail = nextMail();
+  const valid = await post('/api/auth/reset-password', { token: resetToken, newPassword: 'Nueva-Clave-Segura-2026' });
+  assert.strictEqual(valid.status, 200);
+  await changedMail;
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Sincronización de Stripe contra un stub local de la API (sin red)
+
+const PERIOD_START = new Date('2026-03-01T00:00:00Z');
+const PERIOD_END = new Date('2026-03-08T00:00:00Z');
+const CREATED = Math.floor(new Date('2026-03-02T12:00:00Z').getTime() / 1000);
+
+let server;
+let syncStripe;
+let MAX_PAGES;
+
+// Objetos que devuelve el stub por recurso y peticiones recibidas
+let resources = {};
+let requests = [];
+// Si es true, /charges responde siempre has_more (paginación sin fin)
+let endlessCharges = false;
+
+// Función para crear un cargo como los que devuelve Stripe
+const charge = (id, amount, extra = {}) => ({
+  id, amount, currency: 'eur', status: 'succeeded', paid: true, created: CREATED, ...extra
+});
+
+const integration = { id: 1, access_token: 'rk_test_abc123', additional_data: { default_currency: 'eur' } };
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({
+      path: url.pathname,
+      params: url.searchParams,
+      authorization: req.headers.authorization,
+      stripeAccount: req.headers['stripe-account']
+    });
+
+    const items = resources[url.pathname] || [];
+    const limit = parseInt(url.searchParams.get('limit'));
+    const startingAfter = url.searchParams.get('starting_after');
+    let page;
+    let hasMore;
+
+    if (url.pathname === '/charges' && endlessCharges) {
+      const offset = requests.filter(request => request.path === '/charges').length;
+      page = [charge(`ch_${offset}`, 100)];
+      hasMore = true;
+    } else {
+      const from = startingAfter ? items.findIndex(item => item.id === startingAfter) + 1 : 0;
+      page = items.slice(from, from + limit);
+      hasMore = from + limit < items.length;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ object: 'list', data: page, has_more: hasMore }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.STRIPE_CONNECTOR_API_URL = `http://127.0.0.1:${server.address().port}`;
+
+  ({ syncStripe, MAX_PAGES } = require('../services/connectors/stripe'));
+});
+
+test.beforeEach(() => {
+  resources = {};
+  requests = [];
+  endlessCharges = false;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('recorre todas las páginas con starting_after y suma el período', async () => {
+  resources['/charges'] = Array.from({ length: 250 }, (_, index) => charge(`ch_${index}`, 1000));
+  resources['/refunds'] = [{ id: 're_1', amount: 500, currency: 'eur', status: 'succeeded', created: CREATED }];
+
+  const result = await syncStripe(integration, PERIOD_START, PERIOD_END);
+
+  const chargeRequests = requests.filter(request => request.path === '/charges');
+  assert.strictEqual(chargeRequests.length, 3);
+  assert.strictEqual(chargeRequests[0].params.get('starting_after'), null);
+  assert.strictEqual(chargeRequests[1].params.get('starting_after'), 'ch_99');
+  assert.strictEqual(chargeRequests[2].params.get('starting_after'), 'ch_199');
+  assert.strictEqual(chargeRequests[0].params.get('created[gte]'), String(PERIOD_START.getTime() / 1000));
+  assert.strictEqual(chargeRequests[0].params.get('created[lt]'), String(PERIOD_END.getTime() / 1000));
+
+  assert.strictEqual(result.data.transactions, 250);
+  assert.strictEqual(result.data.gross_revenue, 2500);
+  assert.strictEqual(result.data.revenue, 2495);
+  assert.strictEqual(result.records, 251);
+});
+
+test('usa solo la clave restringida del negocio, sin cabecera Stripe-Account', async () => {
+  await syncStripe(integration, PERIOD_START, PERIOD_END);
+
+  assert.ok(requests.length > 0);
+  for (const request of requests) {
+    assert.strictEqual(request.authorization, 'Bearer rk_test_abc123');
+    assert.strictEqual(request.stripeAccount, undefined);
+  }
+});
+
+test('deja de paginar al llegar a MAX_PAGES', async () => {
+  endlessCharges = true;
+
+  const result = await syncStripe(integration, PERIOD_START, PERIOD_END);
+
+  assert.strictEqual(requests.filter(request => request.path === '/charges').length, MAX_PAGES);
+  assert.strictEqual(result.data.transactions, MAX_PAGES);
+});
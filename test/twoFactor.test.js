@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+
+// Códigos TOTP (RFC 6238) y rechazo de códigos reutilizados, con la tabla users en memoria
+
+// Secreto de los vectores de prueba del RFC 6238 ("12345678901234567890" en base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+// Fila de users con 2FA activo
+let user;
+
+const databasePath = path.resolve(__dirname, '../database.js');
+require.cache[databasePath] = {
+  id: databasePath,
+  filename: databasePath,
+  loaded: true,
+  exports: {
+    query: async (text, params) => {
+      if (text.includes('SELECT email, password_hash, totp_secret')) {
+        return { rows: params[0] === user.id ? [{ ...user }] : [] };
+      }
+
+      if (text.includes('totp_failed_attempts = 0')) {
+        user.totp_failed_attempts = 0;
+        user.totp_last_failed_at = null;
+        user.totp_last_used_step = params[1] ?? user.totp_last_used_step;
+        return { rows: [], rowCount: 1 };
+      }
+
+      if (text.includes('totp_failed_attempts + 1')) {
+        user.totp_failed_attempts++;
+        user.totp_last_failed_at = new Date();
+        return { rows: [], rowCount: 1 };
+      }
+
+      if (text.includes('UPDATE two_factor_recovery_codes')) {
+        return { rows: [] };
+      }
+
+      throw new Error(`Consulta no esperada en el test: ${text}`);
+    },
+    withTransaction: async () => { throw new Error('No se esperaba ninguna transacción'); }
+  }
+};
+
+const { verifyTotp, verifySecondFactor } = require('../services/twoFactor');
+const { encryptSecret } = require('../services/secrets');
+
+// Función para calcular el código de un paso con el secreto del RFC (HOTP de referencia)
+const codeForStep = (step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac('sha1', '12345678901234567890').update(counter).digest();
+  const binary = digest.readUInt32BE(digest[digest.length - 1] & 15) & 0x7fffffff;
+  return String(binary % 1e6).padStart(6, '0');
+};
+
+test.beforeEach(() => {
+  user = {
+    id: 1,
+    email: 'ana@example.com',
+    password_hash: null,
+    totp_secret: encryptSecret(RFC_SECRET),
+    totp_enabled_at: new Date(),
+    totp_last_used_step: null,
+    totp_failed_attempts: 0,
+    totp_last_failed_at: null
+  };
+});
+
+test('acepta los vectores del RFC 6238 y devuelve su paso', () => {
+  assert.strictEqual(verifyTotp(RFC_SECRET, '287082', null, 59 * 1000), 1);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '081804', null, 1111111109 * 1000), 37037036);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '050471', null, 1111111111 * 1000), 37037037);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', null, 1234567890 * 1000), 41152263);
+});
+
+test('admite un paso de desfase y rechaza dos', () => {
+  const time = 1234567890 * 1000;
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', null, time + STEP_MS), 41152263);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', null, time - STEP_MS), 41152263);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', null, time + 2 * STEP_MS), null);
+});
+
+test('rechaza códigos con otro formato', () => {
+  const time = 1234567890 * 1000;
+
+  for (const code of ['', null, '05924', '0059245', '00592a', ' 00 5924', 5924]) {
+    assert.strictEqual(verifyTotp(RFC_SECRET, code, null, time), null, `debería rechazar ${JSON.stringify(code)}`);
+  }
+});
+
+test('rechaza el paso ya usado y los anteriores', () => {
+  const time = 1234567890 * 1000;
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', 41152263, time), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', 41152264, time + STEP_MS), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', 41152262, time), 41152263);
+});
+
+test('verifySecondFactor no acepta dos veces el mismo código', async () => {
+  const step = Math.floor(Date.now() / STEP_MS);
+  const code = codeForStep(step);
+
+  assert.deepStrictEqual(await verifySecondFactor(1, { code }), { valid: true, method: 'totp' });
+  assert.strictEqual(user.totp_last_used_step, step);
+
+  assert.deepStrictEqual(await verifySecondFactor(1, { code }), { valid: false, code: 'INVALID_CODE' });
+  assert.strictEqual(user.totp_failed_attempts, 1);
+});
+
+test('verifySecondFactor bloquea tras cinco códigos erróneos aunque llegue uno válido', async () => {
+  const code = codeForStep(Math.floor(Date.now() / STEP_MS));
+  const wrong = code === '000000' ? '111111' : '000000';
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.strictEqual((await verifySecondFactor(1, { code: wrong })).code, 'INVALID_CODE');
+  }
+
+  assert.deepStrictEqual(await verifySecondFactor(1, { code }), { valid: false, code: 'LOCKED_OUT' });
+  assert.strictEqual(user.totp_last_used_step, null);
+});